@@ -1,4 +1,5 @@
-const { app, BrowserWindow } = require('electron');
+const { app, BrowserWindow, dialog, ipcMain } = require('electron');
+const fs = require('fs');
 const path = require('path');
 
 function createWindow() {
@@ -25,7 +26,163 @@ function createWindow() {
   mainWindow.setMenuBarVisibility(false);
 }
 
+// User settings live as one JSON file in the app's data directory
+const settingsPath = () => path.join(app.getPath('userData'), 'settings.json');
+
+// Presets live one JSON file each, named by a slug of the preset's name
+const presetsDir = () => path.join(app.getPath('userData'), 'presets');
+
+// Impulse responses loaded for the reverb are copied here, so settings can refer to them by id
+const impulsesDir = () => path.join(app.getPath('userData'), 'impulses');
+
+/**
+ * A file id from a name - lowercase letters, digits and dashes
+ */
+function slug(name, fallback) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || fallback;
+}
+
+/**
+ * Path of a preset file - ids are slugs, so nothing from the renderer can point outside the folder
+ */
+function presetPath(id) {
+  if (!/^[a-z0-9-]+$/.test(id)) {
+    throw new Error(`Invalid preset id: ${id}`);
+  }
+  return path.join(presetsDir(), `${id}.json`);
+}
+
+/**
+ * Path of an impulse response file - slugs again, as with presets
+ */
+function impulsePath(id) {
+  if (!/^[a-z0-9-]+$/.test(id)) {
+    throw new Error(`Invalid impulse id: ${id}`);
+  }
+  return path.join(impulsesDir(), `${id}.wav`);
+}
+
+/**
+ * Register IPC handlers for the renderer's file access.
+ * The renderer has no Node integration, so everything touching disk goes through here.
+ */
+function registerIpcHandlers() {
+  // Save binary or text data through a native save dialog.
+  // Resolves to the chosen path, or null if the user cancelled.
+  ipcMain.handle('save-file', async (event, options, data) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    const { canceled, filePath } = await dialog.showSaveDialog(window, {
+      title: options.title,
+      defaultPath: options.defaultPath,
+      filters: options.filters
+    });
+
+    if (canceled || !filePath) return null;
+
+    const contents = typeof data === 'string' ? data : Buffer.from(data);
+    await fs.promises.writeFile(filePath, contents);
+    return filePath;
+  });
+
+  // Read a file chosen through a native open dialog.
+  // Resolves to { path, data } - data is a string if an encoding was given, bytes otherwise -
+  // or null if the user cancelled.
+  ipcMain.handle('open-file', async (event, options) => {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    const { canceled, filePaths } = await dialog.showOpenDialog(window, {
+      title: options.title,
+      filters: options.filters,
+      properties: ['openFile']
+    });
+
+    if (canceled || filePaths.length === 0) return null;
+
+    const filePath = filePaths[0];
+    const data = options.encoding
+      ? await fs.promises.readFile(filePath, options.encoding)
+      : new Uint8Array(await fs.promises.readFile(filePath));
+    return { path: filePath, data };
+  });
+
+  // Load saved settings - an empty object on first run or if the file is unreadable
+  ipcMain.handle('load-settings', async () => {
+    try {
+      return JSON.parse(await fs.promises.readFile(settingsPath(), 'utf8'));
+    } catch (err) {
+      return {};
+    }
+  });
+
+  // Replace the saved settings
+  ipcMain.handle('save-settings', async (event, settings) => {
+    await fs.promises.writeFile(settingsPath(), JSON.stringify(settings, null, 2));
+  });
+
+  // List saved presets as [{ id, name }], by name - unreadable files are skipped
+  ipcMain.handle('list-presets', async () => {
+    let files;
+    try {
+      files = await fs.promises.readdir(presetsDir());
+    } catch (err) {
+      return [];
+    }
+
+    const presets = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const id = file.slice(0, -5);
+      try {
+        const preset = JSON.parse(await fs.promises.readFile(presetPath(id), 'utf8'));
+        presets.push({ id, name: preset.name || id });
+      } catch (err) {
+        // Not a preset we can read
+      }
+    }
+    return presets.sort((a, b) => a.name.localeCompare(b.name));
+  });
+
+  // Save a preset under a slug of its name, replacing one with the same name.
+  // Resolves to its id.
+  ipcMain.handle('save-preset', async (event, preset) => {
+    const id = slug(preset.name, 'preset');
+    await fs.promises.mkdir(presetsDir(), { recursive: true });
+    await fs.promises.writeFile(presetPath(id), JSON.stringify(preset, null, 2));
+    return id;
+  });
+
+  // Load a preset by id - null if it's gone or unreadable
+  ipcMain.handle('load-preset', async (event, id) => {
+    try {
+      return JSON.parse(await fs.promises.readFile(presetPath(id), 'utf8'));
+    } catch (err) {
+      return null;
+    }
+  });
+
+  ipcMain.handle('delete-preset', async (event, id) => {
+    await fs.promises.rm(presetPath(id), { force: true });
+  });
+
+  // Keep a copy of an impulse response under a slug of its name, replacing one with the same name.
+  // Resolves to its id.
+  ipcMain.handle('save-impulse', async (event, name, data) => {
+    const id = slug(String(name).replace(/\.wav$/i, ''), 'impulse');
+    await fs.promises.mkdir(impulsesDir(), { recursive: true });
+    await fs.promises.writeFile(impulsePath(id), Buffer.from(data));
+    return id;
+  });
+
+  // Load an impulse response by id - bytes, or null if it's gone
+  ipcMain.handle('load-impulse', async (event, id) => {
+    try {
+      return new Uint8Array(await fs.promises.readFile(impulsePath(id)));
+    } catch (err) {
+      return null;
+    }
+  });
+}
+
 app.whenReady().then(() => {
+  registerIpcHandlers();
   createWindow();
 
   app.on('activate', function () {
@@ -1,5 +1,25 @@
 // Preload script - runs before renderer
-// We don't need Node integration for this app, keeping it minimal
-window.addEventListener('DOMContentLoaded', () => {
-  // Any initialization that needs to happen before the app loads
+// The renderer has no Node integration; this exposes the few native operations it needs
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('harmonicDepths', {
+  // Save data (string or ArrayBuffer) via a native dialog - resolves to the path, or null if cancelled
+  saveFile: (options, data) => ipcRenderer.invoke('save-file', options, data),
+
+  // Read a file chosen via a native dialog - resolves to { path, data }, or null if cancelled
+  openFile: (options) => ipcRenderer.invoke('open-file', options),
+
+  // Persisted user settings - a plain object, {} on first run
+  loadSettings: () => ipcRenderer.invoke('load-settings'),
+  saveSettings: (settings) => ipcRenderer.invoke('save-settings', settings),
+
+  // Presets, stored as JSON files in the app's data directory
+  listPresets: () => ipcRenderer.invoke('list-presets'),
+  savePreset: (preset) => ipcRenderer.invoke('save-preset', preset),
+  loadPreset: (id) => ipcRenderer.invoke('load-preset', id),
+  deletePreset: (id) => ipcRenderer.invoke('delete-preset', id),
+
+  // Impulse responses for the reverb, copied into the app's data directory - load resolves to bytes or null
+  saveImpulse: (name, data) => ipcRenderer.invoke('save-impulse', name, data),
+  loadImpulse: (id) => ipcRenderer.invoke('load-impulse', id)
 });
@@ -0,0 +1,348 @@
+/**
+ * Additive Engine
+ *
+ * A second backend for the harmonic engine. HarmonicEngine gives every voice its own
+ * oscillator, gains and panner; this one sums every voice inside a single AudioWorklet
+ * (additive-processor.js). Timbres become sets of sine partials, and a deep-prime cloud
+ * of hundreds of partials is one node rather than hundreds.
+ *
+ * It has the same public API - voices are created, faded, glided, placed, retuned and
+ * released the same way - so the two are interchangeable. The drone, effects and
+ * analyser are HarmonicEngine's own.
+ */
+
+import { HarmonicEngine, SPATIAL_MODES } from './harmonic-engine.js';
+import { TIMBRES, getTimbreSpectrum } from './timbres.js';
+import { shapeEnvelope } from './envelopes.js';
+
+const PROCESSOR_URL = new URL('./additive-processor.js', import.meta.url).href;
+
+// How many partials the built-in waveforms are summed to - the processor fades out any near Nyquist
+const WAVEFORM_PARTIALS = 32;
+
+// Binaural mode places voices between virtual loudspeakers, each heard through an HRTF panner:
+// a ring of eight at ear level, and another below it for the deeper nodes
+const RING_SIZE = 8;
+const RING_ELEVATIONS = [0, -Math.PI / 4];
+const STEREO_CHANNELS = 2;
+const SPEAKERS = RING_SIZE * RING_ELEVATIONS.length;
+
+/**
+ * A timbre as sine partials, scaled to peak near 1 as the oscillator waveforms and PeriodicWaves do
+ * @param {string} name - Key into TIMBRES
+ * @returns {Object} - {ratios, amplitudes, level}
+ */
+function timbrePartials(name) {
+  const timbre = TIMBRES[name] || TIMBRES.sine;
+  const spectrum = getTimbreSpectrum(name, WAVEFORM_PARTIALS);
+
+  // FM sidebands already share the power of one sine; harmonic spectra are measured over a cycle
+  let peak = 1;
+  if (!timbre.fm) {
+    peak = 0;
+    for (let i = 0; i < 512; i++) {
+      let value = 0;
+      for (const { ratio, amplitude } of spectrum) {
+        value += amplitude * Math.sin(2 * Math.PI * ratio * i / 512);
+      }
+      peak = Math.max(peak, Math.abs(value));
+    }
+  }
+
+  return {
+    ratios: spectrum.map(p => p.ratio),
+    amplitudes: spectrum.map(p => p.amplitude / peak),
+    level: timbre.level
+  };
+}
+
+/**
+ * Where a voice is heard: gains on the processor's output channels
+ * @param {Object} position - {x, y, depth}, as HarmonicEngine.setVoicePosition takes
+ * @param {string} mode - One of SPATIAL_MODES
+ * @param {number} width - 0 (all in the center) to 1
+ * @returns {Array} - [[channel, gain]]: channels 0 and 1 are stereo, the rest the virtual speakers
+ */
+function channelGains({ x, y, depth }, mode, width) {
+  if (mode !== 'binaural') {
+    // Equal power, as a StereoPannerNode pans a mono voice
+    const pan = Math.max(-1, Math.min(1, x * 2 * width));
+    const angle = (pan + 1) * Math.PI / 4;
+    return [[0, Math.cos(angle)], [1, Math.sin(angle)]];
+  }
+
+  // The direction HarmonicEngine gives its HRTF panners
+  const px = x * width;
+  const py = -depth * 0.5 * width;
+  const pz = y * width - (1 - width);
+  const azimuth = Math.atan2(px, -pz || 0);
+  const elevation = Math.atan2(py, Math.hypot(px, pz));
+
+  // Between the two nearest speakers round each ring, and between the rings, at equal power
+  const around = (azimuth / (2 * Math.PI) * RING_SIZE + RING_SIZE) % RING_SIZE;
+  const first = Math.floor(around) % RING_SIZE;
+  const second = (first + 1) % RING_SIZE;
+  const across = (around - Math.floor(around)) * Math.PI / 2;
+  const down = Math.max(0, Math.min(1, elevation / RING_ELEVATIONS[1])) * Math.PI / 2;
+
+  const gains = [];
+  [Math.cos(down), Math.sin(down)].forEach((ringGain, ring) => {
+    const base = STEREO_CHANNELS + ring * RING_SIZE;
+    gains.push([base + first, ringGain * Math.cos(across)], [base + second, ringGain * Math.sin(across)]);
+  });
+  return gains.filter(([, gain]) => gain > 1e-6);
+}
+
+/**
+ * The harmonic engine, with every voice summed in one AudioWorklet
+ */
+export class AdditiveEngine extends HarmonicEngine {
+  constructor() {
+    super();
+    this.node = null; // The AudioWorkletNode every voice sounds in
+    this.speakers = null; // HRTF panners for binaural mode, made when first needed
+    this.outbox = []; // Messages for the processor, sent together once the current task is done
+    this.nextSerial = 1; // Names voices to the processor - never reused, so a fading voice is never mistaken for a new one
+    this.partials = new Map(); // Timbre partials by name
+    this.syncs = new Map(); // Pending sync() calls: id -> resolve
+  }
+
+  /**
+   * Initialize the audio context (must be called after user interaction)
+   * @param {BaseAudioContext} context - Optional context to build the graph in (e.g. an OfflineAudioContext)
+   */
+  async init(context = null) {
+    if (this.isInitialized) return;
+
+    const audioContext = context || new (window.AudioContext || window.webkitAudioContext)();
+    await audioContext.audioWorklet.addModule(PROCESSOR_URL);
+    await super.init(audioContext);
+
+    this.node = new AudioWorkletNode(audioContext, 'additive-processor', {
+      numberOfInputs: 0,
+      numberOfOutputs: 2,
+      outputChannelCount: [STEREO_CHANNELS, SPEAKERS],
+      processorOptions: { fundamental: this.fundamental, stereoChannels: STEREO_CHANNELS }
+    });
+    this.node.port.onmessage = e => {
+      const resolve = this.syncs.get(e.data.synced);
+      this.syncs.delete(e.data.synced);
+      if (resolve) resolve();
+    };
+    this.node.connect(this.masterGain, 0);
+
+    if (this.spatialMode === 'binaural') {
+      this.createSpeakers();
+    }
+  }
+
+  /**
+   * The virtual loudspeakers binaural mode places voices between
+   */
+  createSpeakers() {
+    if (this.speakers) return;
+
+    const splitter = this.audioContext.createChannelSplitter(SPEAKERS);
+    this.node.connect(splitter, 1);
+
+    this.speakers = [];
+    RING_ELEVATIONS.forEach((elevation, ring) => {
+      for (let i = 0; i < RING_SIZE; i++) {
+        const azimuth = i * 2 * Math.PI / RING_SIZE;
+        const panner = this.createPanner();
+        panner.positionX.value = Math.sin(azimuth) * Math.cos(elevation);
+        panner.positionY.value = Math.sin(elevation);
+        panner.positionZ.value = -Math.cos(azimuth) * Math.cos(elevation);
+        splitter.connect(panner, ring * RING_SIZE + i);
+        panner.connect(this.masterGain);
+        this.speakers.push(panner);
+      }
+    });
+  }
+
+  /**
+   * Queue a message for the processor - everything sent in one task arrives together
+   */
+  send(message) {
+    this.outbox.push(message);
+    if (this.outbox.length > 1) return;
+
+    queueMicrotask(() => {
+      this.node.port.postMessage(this.outbox);
+      this.outbox = [];
+    });
+  }
+
+  /**
+   * Resolves once every change so far has reached the processor - an offline render waits
+   * for this, as it could otherwise finish before the messages arrive
+   */
+  sync() {
+    return new Promise(resolve => {
+      const id = this.nextSerial++;
+      this.syncs.set(id, resolve);
+      this.send({ type: 'sync', id });
+    });
+  }
+
+  getPartials(name) {
+    if (!this.partials.has(name)) {
+      this.partials.set(name, timbrePartials(name));
+    }
+    return this.partials.get(name);
+  }
+
+  /**
+   * Create a voice for a specific harmonic
+   * @param {string} id - Unique identifier for this voice
+   * @param {number} ratio - Frequency ratio relative to fundamental
+   * @param {number} family - Prime family the voice belongs to (selects its timbre)
+   * @returns {Object} - Voice control object
+   */
+  createVoice(id, ratio, family = null) {
+    if (this.voices.has(id)) {
+      return this.voices.get(id);
+    }
+
+    const voice = {
+      serial: this.nextSerial++,
+      position: { x: 0, y: 0, depth: 0 }, // Where its node is, see setVoicePosition
+      targetGain: 0,
+      release: null, // Release time its last trigger shaped, if any
+      sustain: 1, // Envelope level it holds at - untriggered voices play at their amplitude
+      ratio: ratio,
+      family: family,
+      timbre: this.getTimbre(family)
+    };
+    this.send({
+      type: 'create',
+      serial: voice.serial,
+      ratio,
+      channels: STEREO_CHANNELS + SPEAKERS,
+      ...this.getPartials(voice.timbre)
+    });
+    this.applyPosition(voice, 0);
+
+    this.voices.set(id, voice);
+    this.emit('create', { id, ratio });
+    return voice;
+  }
+
+  /**
+   * Set the amplitude of a harmonic voice with smooth transition
+   * @param {string} id - Voice identifier
+   * @param {number} amplitude - Target amplitude (0-1)
+   * @param {number} time - Transition time in seconds
+   * @param {number} at - Audio time to start the transition, for changes scheduled ahead (default: now)
+   */
+  setVoiceAmplitude(id, amplitude, time = 0.1, at = null) {
+    const voice = this.voices.get(id);
+    if (!voice) return;
+
+    voice.targetGain = amplitude;
+    this.emit('amplitude', { id, amplitude, time }, at);
+
+    // About four time constants to get there
+    this.send({ type: 'amplitude', serial: voice.serial, amplitude, timeConstant: time / 4, at });
+  }
+
+  /**
+   * Strike a voice - the processor runs its envelope, see HarmonicEngine.triggerVoice
+   * @param {string} id - Voice identifier
+   * @param {number} amplitude - Amplitude the envelope is relative to (0-1)
+   * @param {number|null} velocity - 0 (swell) to 1 (pluck); null plays the envelope as set
+   * @param {number} at - Audio time to strike, for notes scheduled ahead (default: now)
+   */
+  triggerVoice(id, amplitude, velocity = null, at = null) {
+    const voice = this.voices.get(id);
+    if (!voice) return;
+
+    const { attack, peak, decay, sustain, release } = shapeEnvelope(this.getEnvelope(voice.family), velocity);
+    voice.targetGain = amplitude;
+    voice.release = release;
+    voice.sustain = sustain;
+    this.emit('amplitude', { id, amplitude, time: attack }, at);
+    this.send({ type: 'trigger', serial: voice.serial, amplitude, attack, peak, decay, sustain, at });
+  }
+
+  /**
+   * Glide a voice into its pitch from another ratio, at a scheduled time
+   * @param {string} id - Voice identifier
+   * @param {number} fromRatio - Ratio the glide starts from
+   * @param {number} time - Glide duration in seconds
+   * @param {number} at - Audio time the glide starts
+   */
+  glideVoice(id, fromRatio, time, at) {
+    const voice = this.voices.get(id);
+    if (!voice) return;
+
+    this.send({ type: 'glide', serial: voice.serial, from: fromRatio, time, at });
+  }
+
+  /**
+   * Fade out and remove a voice. The processor drops it once it's silent, and the id
+   * is free at once: a voice created under it meanwhile fades in alongside the old one.
+   * @param {string} id - Voice identifier
+   * @param {number} fadeTime - Fade duration (default: the release of the voice's envelope)
+   * @param {number} at - Audio time the release starts, for notes scheduled ahead (default: now)
+   */
+  releaseVoice(id, fadeTime = null, at = null) {
+    const voice = this.voices.get(id);
+    if (!voice) return;
+
+    fadeTime = fadeTime ?? this.releaseTime(voice);
+    this.emit('release', { id, fadeTime }, at);
+    this.send({ type: 'release', serial: voice.serial, timeConstant: fadeTime / 4, at });
+    this.voices.delete(id);
+  }
+
+  applyPosition(voice, time) {
+    this.send({
+      type: 'position',
+      serial: voice.serial,
+      gains: channelGains(voice.position, this.spatialMode, this.spatialWidth),
+      timeConstant: time
+    });
+  }
+
+  /**
+   * Switch between stereo panning and binaural placement - sounding voices move across
+   * @param {string} mode - One of SPATIAL_MODES
+   */
+  setSpatialMode(mode) {
+    if (!SPATIAL_MODES.includes(mode)) {
+      throw new Error(`Unknown spatial mode: ${mode}`);
+    }
+    this.spatialMode = mode;
+    if (!this.node) return;
+
+    if (mode === 'binaural') {
+      this.createSpeakers();
+    }
+    for (const voice of this.voices.values()) {
+      this.applyPosition(voice, 0.05);
+    }
+  }
+
+  retuneVoices(freq, time) {
+    this.send({ type: 'fundamental', frequency: freq, time });
+  }
+
+  /**
+   * Switch a sounding voice (or the drone) to a timbre
+   * @param {Object} voice - A voice, or the drone
+   * @param {string} name - Timbre name
+   */
+  applyTimbre(voice, name) {
+    // The drone is still an oscillator
+    if (voice.oscillator) {
+      super.applyTimbre(voice, name);
+      return;
+    }
+
+    voice.timbre = name;
+    this.send({ type: 'timbre', serial: voice.serial, ...this.getPartials(name) });
+  }
+}
+
+export { timbrePartials, channelGains };
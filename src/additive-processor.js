@@ -0,0 +1,287 @@
+/**
+ * Additive Processor
+ *
+ * The audio-thread half of the additive engine (see additive-engine.js). One processor
+ * sums every voice as sine partials, each with its own phase accumulator, so glides and
+ * retunings never jump phase, and a cloud of hundreds of partials needs no audio nodes at all.
+ *
+ * The engine drives it with batches of messages. A change for the future carries an audio
+ * time and lands on its exact sample. Amplitudes and placements approach their targets
+ * exponentially, like setTargetAtTime, so nothing clicks. Each voice also has an envelope:
+ * a trigger ramps it to a peak and lets it settle to the sustain level, and a release fades
+ * it out. A released voice is dropped here once silent - nothing has to come back later to clean it up.
+ *
+ * Output 0 is stereo; output 1 feeds the virtual loudspeakers the engine renders binaurally.
+ */
+
+// Sine lookup for a whole cycle, with a guard point for interpolation
+const TABLE_SIZE = 4096;
+const SINE = new Float32Array(TABLE_SIZE + 1);
+for (let i = 0; i <= TABLE_SIZE; i++) {
+  SINE[i] = Math.sin(2 * Math.PI * i / TABLE_SIZE);
+}
+
+// A released voice is dropped once it's this quiet (-80 dB)
+const SILENCE = 0.0001;
+
+// Partials fade out between these fractions of Nyquist rather than alias
+const TAPER = { start: 0.85, end: 0.95 };
+
+/**
+ * Per-sample smoothing coefficient for a time constant in seconds - 0 jumps straight there
+ */
+function smoothing(timeConstant) {
+  return timeConstant > 0 ? 1 - Math.exp(-1 / (timeConstant * sampleRate)) : 1;
+}
+
+/**
+ * Where an exponential glide is at a frame: {from, to, start, length} in frames
+ */
+function glideAt(glide, frame) {
+  const progress = Math.max(0, (frame - glide.start) / glide.length);
+  return progress >= 1 ? glide.to : glide.from * Math.pow(glide.to / glide.from, progress);
+}
+
+class AdditiveProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { fundamental, stereoChannels } = options.processorOptions;
+    this.fundamental = fundamental;
+    this.fundamentalGlide = null;
+    this.stereoChannels = stereoChannels; // Channels below this go to output 0, the rest to output 1
+    this.voices = new Map(); // serial -> voice
+    this.pending = []; // Messages waiting for their frame, in time order
+    this.frequencies = new Float64Array(128); // The fundamental at each sample of the block
+    this.mono = new Float32Array(128); // One voice's samples, before placing
+    this.port.onmessage = e => this.receive(e.data);
+  }
+
+  /**
+   * Queue a batch of messages by the frame each takes effect - immediately if it has no time
+   */
+  receive(messages) {
+    for (const message of messages) {
+      if (message.type === 'sync') {
+        // Everything sent before this has arrived
+        this.port.postMessage({ synced: message.id });
+        continue;
+      }
+
+      message.frame = message.at == null ? 0 : Math.round(message.at * sampleRate);
+      let i = this.pending.length;
+      while (i > 0 && this.pending[i - 1].frame > message.frame) i--;
+      this.pending.splice(i, 0, message);
+    }
+  }
+
+  apply(message, frame) {
+    const voice = this.voices.get(message.serial);
+
+    switch (message.type) {
+      case 'create': {
+        const created = {
+          ratio: message.ratio,
+          glide: null,
+          amplitude: 0,
+          target: 0,
+          coefficient: 1,
+          envelope: 1, // Untriggered voices play at their amplitude
+          envelopeTarget: 1,
+          envelopeCoefficient: 1,
+          attackLeft: 0, // Samples of linear attack still to go
+          attackStep: 0,
+          releasing: false,
+          gains: new Float32Array(message.channels),
+          targetGains: new Float32Array(message.channels),
+          placeTime: 0
+        };
+        this.setTimbre(created, message);
+        this.voices.set(message.serial, created);
+        break;
+      }
+      case 'amplitude':
+        if (!voice) break;
+        voice.target = message.amplitude;
+        voice.coefficient = smoothing(message.timeConstant);
+        break;
+      case 'trigger':
+        if (!voice) break;
+        if (voice.target === 0) voice.envelope = 0; // A fresh voice attacks from silence
+        voice.amplitude = voice.target = message.amplitude;
+        voice.attackLeft = Math.max(1, Math.round(message.attack * sampleRate));
+        voice.attackStep = (message.peak - voice.envelope) / voice.attackLeft;
+        voice.envelopeTarget = message.sustain;
+        voice.envelopeCoefficient = smoothing(message.decay / 4);
+        break;
+      case 'release':
+        if (!voice) break;
+        voice.attackLeft = 0;
+        voice.envelopeTarget = 0;
+        voice.envelopeCoefficient = smoothing(message.timeConstant);
+        voice.releasing = true;
+        break;
+      case 'glide':
+        if (!voice) break;
+        voice.glide = { from: message.from, to: voice.ratio, start: frame, length: Math.max(1, message.time * sampleRate) };
+        break;
+      case 'timbre':
+        if (voice) this.setTimbre(voice, message);
+        break;
+      case 'position':
+        if (!voice) break;
+        voice.targetGains.fill(0);
+        for (const [channel, gain] of message.gains) {
+          voice.targetGains[channel] = gain;
+        }
+        voice.placeTime = message.timeConstant;
+        if (!(voice.placeTime > 0)) voice.gains.set(voice.targetGains);
+        break;
+      case 'fundamental': {
+        const from = this.fundamentalGlide ? glideAt(this.fundamentalGlide, frame) : this.fundamental;
+        this.fundamental = message.frequency;
+        this.fundamentalGlide = message.time > 0
+          ? { from, to: message.frequency, start: frame, length: message.time * sampleRate }
+          : null;
+        break;
+      }
+    }
+  }
+
+  /**
+   * Give a voice its partials - those it had already keep their phase
+   */
+  setTimbre(voice, { ratios, amplitudes, level }) {
+    const phases = new Float64Array(ratios.length);
+    if (voice.phases) phases.set(voice.phases.subarray(0, Math.min(phases.length, voice.phases.length)));
+
+    voice.ratios = Float64Array.from(ratios);
+    voice.amplitudes = Float32Array.from(amplitudes);
+    voice.weights = new Float32Array(ratios.length); // Amplitudes after the Nyquist taper, per block
+    voice.phases = phases;
+    voice.level = level;
+  }
+
+  process(inputs, outputs) {
+    const length = outputs[0][0].length;
+
+    // Render up to each pending message's frame, apply it, and carry on
+    let from = 0;
+    while (from < length) {
+      while (this.pending.length > 0 && this.pending[0].frame <= currentFrame + from) {
+        this.apply(this.pending.shift(), currentFrame + from);
+      }
+      const next = this.pending.length > 0 ? this.pending[0].frame - currentFrame : length;
+      const to = Math.min(length, Math.max(from + 1, next));
+      this.render(outputs, from, to);
+      from = to;
+    }
+
+    for (const [serial, voice] of this.voices) {
+      if (voice.releasing && this.isSilent(voice)) {
+        this.voices.delete(serial);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Whether a voice makes no sound now - its amplitude has faded to 0, or its release has died away.
+   * (A trigger's attack starts its envelope from 0, so that alone isn't silence.)
+   */
+  isSilent(voice) {
+    return (voice.amplitude < SILENCE && voice.target === 0) || (voice.releasing && voice.envelope < SILENCE);
+  }
+
+  /**
+   * Add every voice into the outputs, for samples from..to of the block
+   */
+  render(outputs, from, to) {
+    const nyquist = sampleRate / 2;
+    const frequencies = this.frequencies;
+    const mono = this.mono;
+
+    for (let i = from; i < to; i++) {
+      frequencies[i] = this.fundamentalGlide ? glideAt(this.fundamentalGlide, currentFrame + i) : this.fundamental;
+    }
+    if (this.fundamentalGlide && currentFrame + to >= this.fundamentalGlide.start + this.fundamentalGlide.length) {
+      this.fundamentalGlide = null;
+    }
+
+    for (const voice of this.voices.values()) {
+      if (this.isSilent(voice)) continue;
+
+      const { ratios, amplitudes, weights, phases, target, coefficient, envelopeTarget, envelopeCoefficient } = voice;
+      const count = ratios.length;
+
+      const top = frequencies[from] * voice.ratio;
+      for (let k = 0; k < count; k++) {
+        const taper = (TAPER.end * nyquist - top * ratios[k]) / ((TAPER.end - TAPER.start) * nyquist);
+        weights[k] = amplitudes[k] * Math.max(0, Math.min(1, taper)) * voice.level;
+      }
+
+      const glide = voice.glide;
+      const period = voice.ratio / sampleRate;
+      let amplitude = voice.amplitude;
+      let envelope = voice.envelope;
+      for (let i = from; i < to; i++) {
+        amplitude += (target - amplitude) * coefficient;
+        if (voice.attackLeft > 0) {
+          envelope += voice.attackStep;
+          voice.attackLeft--;
+        } else {
+          envelope += (envelopeTarget - envelope) * envelopeCoefficient;
+        }
+        const step = glide ? frequencies[i] * glideAt(glide, currentFrame + i) / sampleRate : frequencies[i] * period;
+
+        let sum = 0;
+        for (let k = 0; k < count; k++) {
+          let phase = phases[k] + step * ratios[k];
+          if (phase >= 1) phase -= Math.floor(phase);
+          phases[k] = phase;
+
+          const x = phase * TABLE_SIZE;
+          const j = x | 0;
+          sum += weights[k] * (SINE[j] + (SINE[j + 1] - SINE[j]) * (x - j));
+        }
+        mono[i] = sum * amplitude * envelope;
+      }
+      voice.amplitude = amplitude;
+      voice.envelope = envelope;
+
+      if (glide && currentFrame + to >= glide.start + glide.length) {
+        voice.glide = null;
+      }
+
+      this.place(voice, outputs, from, to);
+    }
+  }
+
+  /**
+   * Spread a voice's samples over the output channels, its gains gliding towards their targets
+   */
+  place(voice, outputs, from, to) {
+    const { gains, targetGains } = voice;
+    const mono = this.mono;
+    const samples = to - from;
+    const coefficient = voice.placeTime > 0 ? 1 - Math.exp(-samples / (voice.placeTime * sampleRate)) : 1;
+
+    for (let c = 0; c < gains.length; c++) {
+      const start = gains[c];
+      let end = start + (targetGains[c] - start) * coefficient;
+      if (Math.abs(end - targetGains[c]) < 1e-5) end = targetGains[c];
+      gains[c] = end;
+      if (start === 0 && end === 0) continue;
+
+      const channel = c < this.stereoChannels ? outputs[0][c] : outputs[1][c - this.stereoChannels];
+      if (!channel) continue;
+
+      const slope = (end - start) / samples;
+      for (let i = from; i < to; i++) {
+        channel[i] += mono[i] * (start + slope * (i - from + 1));
+      }
+    }
+  }
+}
+
+registerProcessor('additive-processor', AdditiveProcessor);
@@ -0,0 +1,145 @@
+/**
+ * Audio Export
+ *
+ * Renders the sound of the harmonic engine to a WAV file, offline.
+ * Rather than recording the speakers, we rebuild the exact same voice graph
+ * (drone, harmonic voices, effects chain) inside an OfflineAudioContext
+ * and let it render faster than real time. The ratios stay mathematically exact.
+ */
+
+// Supported output formats - 32 bit is written as IEEE float, the others as integer PCM
+const BIT_DEPTHS = [16, 24, 32];
+
+/**
+ * Render the engine's current sound offline
+ * @param {HarmonicEngine} engine - The live engine whose state should be captured
+ * @param {Object} options - Render options
+ * @param {number} options.sampleRate - Output sample rate in Hz
+ * @param {number} options.duration - Length of the render in seconds
+ * @param {number} options.fadeOut - Fade at the end of the file, in seconds
+ * @returns {Promise<AudioBuffer>} - The rendered stereo audio
+ */
+async function renderOffline(engine, { sampleRate = 48000, duration = 30, fadeOut = 2 } = {}) {
+  const length = Math.ceil(sampleRate * duration);
+  const context = new OfflineAudioContext(2, length, sampleRate);
+
+  // A second engine of the same kind, built in the offline context, mirrors the live one
+  const offline = new engine.constructor();
+  offline.fundamental = engine.fundamental;
+  offline.masterVolume = engine.masterVolume;
+  offline.timbre = engine.timbre;
+  offline.familyTimbres = { ...engine.familyTimbres };
+  offline.envelope = engine.envelope;
+  offline.familyEnvelopes = { ...engine.familyEnvelopes };
+  offline.spatialMode = engine.spatialMode;
+  offline.spatialWidth = engine.spatialWidth;
+  offline.effectsConfig = engine.effectsConfig;
+  offline.impulseData = engine.impulseData;
+  offline.seed = engine.seed;
+  await offline.init(context);
+
+  // Recreate every voice that is currently sounding, at its target level and place.
+  // Live voices hold at their envelope's sustain level, so that goes into the level here.
+  for (const [id, voice] of engine.voices) {
+    if (voice.targetGain <= 0.0001) continue;
+    offline.createVoice(id, voice.ratio, voice.family);
+    offline.setVoiceAmplitude(id, voice.targetGain * voice.sustain, 0.15);
+    offline.setVoicePosition(id, voice.position, 0);
+  }
+
+  // Fade the whole mix at the end so the file doesn't stop with a click
+  const fadeStart = Math.max(0, duration - fadeOut);
+  offline.masterGain.gain.setValueAtTime(offline.masterVolume, fadeStart);
+  offline.masterGain.gain.linearRampToValueAtTime(0, duration);
+
+  await offline.sync();
+  return context.startRendering();
+}
+
+/**
+ * Encode audio as a RIFF/WAVE file
+ * @param {AudioBuffer} buffer - Audio to encode (anything with numberOfChannels, length, sampleRate, getChannelData)
+ * @param {number} bitDepth - 16 or 24 for integer PCM, 32 for float
+ * @returns {ArrayBuffer} - The complete WAV file
+ */
+function encodeWav(buffer, bitDepth = 24) {
+  if (!BIT_DEPTHS.includes(bitDepth)) {
+    throw new Error(`Unsupported bit depth: ${bitDepth}`);
+  }
+
+  const isFloat = bitDepth === 32;
+  const channelCount = buffer.numberOfChannels;
+  const frameCount = buffer.length;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = channelCount * bytesPerSample;
+  const dataSize = frameCount * blockAlign;
+
+  // Float files carry a (cbSize-extended) fmt chunk and a fact chunk, as the spec asks
+  const fmtSize = isFloat ? 18 : 16;
+  const factSize = isFloat ? 12 : 0;
+  const headerSize = 12 + (8 + fmtSize) + factSize + 8;
+
+  const arrayBuffer = new ArrayBuffer(headerSize + dataSize);
+  const view = new DataView(arrayBuffer);
+  let offset = 0;
+
+  const writeString = (str) => {
+    for (let i = 0; i < str.length; i++) {
+      view.setUint8(offset++, str.charCodeAt(i));
+    }
+  };
+
+  // RIFF header
+  writeString('RIFF');
+  view.setUint32(offset, headerSize + dataSize - 8, true); offset += 4;
+  writeString('WAVE');
+
+  // Format chunk
+  writeString('fmt ');
+  view.setUint32(offset, fmtSize, true); offset += 4;
+  view.setUint16(offset, isFloat ? 3 : 1, true); offset += 2; // 3 = IEEE float, 1 = PCM
+  view.setUint16(offset, channelCount, true); offset += 2;
+  view.setUint32(offset, buffer.sampleRate, true); offset += 4;
+  view.setUint32(offset, buffer.sampleRate * blockAlign, true); offset += 4;
+  view.setUint16(offset, blockAlign, true); offset += 2;
+  view.setUint16(offset, bitDepth, true); offset += 2;
+  if (isFloat) {
+    view.setUint16(offset, 0, true); offset += 2; // No extension bytes
+
+    writeString('fact');
+    view.setUint32(offset, 4, true); offset += 4;
+    view.setUint32(offset, frameCount, true); offset += 4;
+  }
+
+  // Sample data, interleaved
+  writeString('data');
+  view.setUint32(offset, dataSize, true); offset += 4;
+
+  const channels = [];
+  for (let c = 0; c < channelCount; c++) {
+    channels.push(buffer.getChannelData(c));
+  }
+
+  for (let i = 0; i < frameCount; i++) {
+    for (let c = 0; c < channelCount; c++) {
+      const sample = Math.max(-1, Math.min(1, channels[c][i]));
+
+      if (isFloat) {
+        view.setFloat32(offset, sample, true);
+      } else if (bitDepth === 16) {
+        view.setInt16(offset, Math.round(sample < 0 ? sample * 0x8000 : sample * 0x7fff), true);
+      } else {
+        // 24-bit: three little-endian bytes
+        const value = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7fffff);
+        view.setUint8(offset, value & 0xff);
+        view.setUint8(offset + 1, (value >> 8) & 0xff);
+        view.setUint8(offset + 2, (value >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return arrayBuffer;
+}
+
+export { BIT_DEPTHS, renderOffline, encodeWav };
@@ -0,0 +1,179 @@
+/**
+ * Autopilot
+ *
+ * A virtual hand for when nobody is at the controls. The cursor wanders on slow
+ * noise-driven curves, is drawn towards nodes of the primes it has spent least time with,
+ * and drifts down and back up through the depths.
+ *
+ * Everything is in normalized space coordinates (see HarmonicSpace.normalizePoint)
+ * and advances in fixed ticks from a seeded generator, so the same seed in the same
+ * space walks the same path however the frames happen to fall.
+ */
+
+import { createRandom } from './random.js';
+
+const AUTOPILOT_DEFAULTS = {
+  seed: 1,
+  speed: 0.3, // 0-1
+  density: 0.5, // 0-1 - how many nodes sound at once
+  depthRange: { min: 0, max: 0.6 },
+  startDepth: 0 // Where the depth eases in from
+};
+
+// Cursor speed at speed 0 and 1, in normalized units per second
+const SPEED_RANGE = { min: 0.01, max: 0.12 };
+
+// Fixed simulation step, in seconds
+const TICK = 1 / 60;
+
+// How close counts as spending time with a node, in normalized units
+const VISIT_RADIUS = 0.08;
+
+// Roughly how long one swell of the depth takes, in seconds
+const DEPTH_PERIOD = 90;
+
+// How long the depth takes to ease from where it started into its wandering, in seconds
+const DEPTH_EASE = 20;
+
+/**
+ * Smooth one-dimensional value noise
+ * @param {Function} random - Seeded source for the lattice
+ * @returns {Function} - t => value in [-1, 1], changing smoothly over about one unit of t
+ */
+function createNoise(random) {
+  const lattice = Array.from({ length: 256 }, () => random() * 2 - 1);
+
+  return function noise(t) {
+    const i = Math.floor(t);
+    const f = t - i;
+    const a = lattice[((i % 256) + 256) % 256];
+    const b = lattice[(((i + 1) % 256) + 256) % 256];
+    const s = f * f * (3 - 2 * f);
+    return a + (b - a) * s;
+  };
+}
+
+/**
+ * Shortest signed turn from one angle to another
+ */
+function angleBetween(from, to) {
+  return Math.atan2(Math.sin(to - from), Math.cos(to - from));
+}
+
+/**
+ * Wanders a virtual cursor through the space
+ */
+export class Autopilot {
+  /**
+   * @param {Object} options - Overrides for AUTOPILOT_DEFAULTS: {seed, speed, density, depthRange, startDepth}
+   */
+  constructor(options = {}) {
+    this.options = { ...AUTOPILOT_DEFAULTS, ...options };
+    this.random = createRandom(this.options.seed);
+    this.turnNoise = createNoise(this.random);
+    this.depthNoise = createNoise(this.random);
+
+    this.time = 0;
+    this.pending = 0; // Time not yet simulated, less than a tick
+    this.position = { x: 0, y: 0 };
+    this.heading = this.random() * Math.PI * 2;
+    this.visits = {}; // prime -> seconds spent near its nodes
+    this.target = null; // Node being drawn towards: {id, prime}
+    this.retargetAt = 0;
+  }
+
+  /**
+   * Pick up from a point - where a person left the cursor, say
+   */
+  setPosition(x, y) {
+    this.position = { x, y };
+  }
+
+  /**
+   * Depth at the current moment, within the depth range
+   */
+  get depth() {
+    const { min, max } = this.options.depthRange;
+    const wandering = min + (max - min) * (0.5 + 0.5 * this.depthNoise(this.time / DEPTH_PERIOD));
+    const ease = Math.min(1, this.time / DEPTH_EASE);
+    return this.options.startDepth + (wandering - this.options.startDepth) * ease;
+  }
+
+  /**
+   * Advance by some wall-clock time
+   * @param {number} dt - Seconds since the last step
+   * @param {Object} space - {harmonics: [{id, prime, x, y}] in normalized coordinates, bounds: {x, y} half-extents}
+   * @returns {Object} - {x, y, depth}
+   */
+  step(dt, space) {
+    this.pending += Math.min(dt, 1); // A long stall shouldn't fast-forward the walk
+    while (this.pending >= TICK) {
+      this.tick(space);
+      this.pending -= TICK;
+    }
+
+    return { ...this.position, depth: this.depth };
+  }
+
+  tick({ harmonics, bounds }) {
+    this.time += TICK;
+
+    // Time spent near each prime's nodes
+    for (const h of harmonics) {
+      if (Math.hypot(h.x - this.position.x, h.y - this.position.y) < VISIT_RADIUS) {
+        this.visits[h.prime] = (this.visits[h.prime] || 0) + TICK;
+      }
+    }
+
+    // Head somewhere new now and then, or when the target sinks out of view
+    let goal = this.target && harmonics.find(h => h.id === this.target.id);
+    if (!goal || this.time >= this.retargetAt) {
+      this.chooseTarget(harmonics);
+      goal = this.target && harmonics.find(h => h.id === this.target.id);
+    }
+
+    // Wander, lean towards the target, and turn back from the edges
+    let turn = this.turnNoise(this.time * 0.4) * 1.8;
+
+    if (goal) {
+      const distance = Math.hypot(goal.x - this.position.x, goal.y - this.position.y);
+      const toward = Math.atan2(goal.y - this.position.y, goal.x - this.position.x);
+      // The pull fades on arrival, so the cursor lingers and circles rather than parks
+      turn += angleBetween(this.heading, toward) * 0.8 * Math.min(1, distance / VISIT_RADIUS);
+    }
+
+    const margin = 0.9;
+    if (Math.abs(this.position.x) > bounds.x * margin || Math.abs(this.position.y) > bounds.y * margin) {
+      turn += angleBetween(this.heading, Math.atan2(-this.position.y, -this.position.x)) * 3;
+    }
+
+    this.heading += turn * TICK;
+
+    const { min, max } = SPEED_RANGE;
+    const speed = min + (max - min) * this.options.speed;
+    this.position = {
+      x: Math.max(-bounds.x, Math.min(bounds.x, this.position.x + Math.cos(this.heading) * speed * TICK)),
+      y: Math.max(-bounds.y, Math.min(bounds.y, this.position.y + Math.sin(this.heading) * speed * TICK))
+    };
+  }
+
+  /**
+   * Choose a node to head for - the less time spent with its prime, the likelier
+   */
+  chooseTarget(harmonics) {
+    this.retargetAt = this.time + 6 + this.random() * 12;
+    if (harmonics.length === 0) {
+      this.target = null;
+      return;
+    }
+
+    const weights = harmonics.map(h => 1 / (1 + (this.visits[h.prime] || 0)));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    let pick = this.random() * total;
+    const index = weights.findIndex(w => (pick -= w) < 0);
+    const chosen = harmonics[index < 0 ? harmonics.length - 1 : index];
+    this.target = { id: chosen.id, prime: chosen.prime };
+  }
+}
+
+export { AUTOPILOT_DEFAULTS };
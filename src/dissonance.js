@@ -0,0 +1,100 @@
+/**
+ * Sensory Dissonance
+ *
+ * Why does 11/8 feel stranger than 7/4? Partly because of roughness: two partials
+ * close in frequency beat against each other, and beating fast enough (but not too fast)
+ * sounds rough. Plomp and Levelt measured how rough a pair of sines sounds as a
+ * function of their distance relative to the critical band; Sethares fitted it with
+ * two exponentials. The roughness of a chord is the sum over every pair of partials.
+ *
+ * Simple ratios line the partials of two tones up exactly - no beating, a dip in the
+ * curve. That is where 3/2, 5/4 and 7/4 live. 11/8 lands where partials nearly,
+ * but not quite, coincide.
+ */
+
+// Sethares' fit to the Plomp-Levelt curve
+const ROUGHNESS_MAX_AT = 0.24; // Critical-band position of maximum roughness
+const CRITICAL_BAND_SLOPE = 0.0207;
+const CRITICAL_BAND_OFFSET = 18.96;
+const DECAY_FAST = 3.51;
+const DECAY_SLOW = 5.75;
+
+/**
+ * Roughness of two sine partials
+ * @param {number} f1 - Frequency of the first partial in Hz
+ * @param {number} a1 - Its amplitude
+ * @param {number} f2 - Frequency of the second partial in Hz
+ * @param {number} a2 - Its amplitude
+ * @returns {number} - Roughness, 0 for unison or far-apart partials
+ */
+function pairRoughness(f1, a1, f2, a2) {
+  const low = Math.min(f1, f2);
+  const spread = ROUGHNESS_MAX_AT / (CRITICAL_BAND_SLOPE * low + CRITICAL_BAND_OFFSET);
+  const distance = spread * Math.abs(f2 - f1);
+  return Math.min(a1, a2) * (Math.exp(-DECAY_FAST * distance) - Math.exp(-DECAY_SLOW * distance));
+}
+
+/**
+ * Expand tones into their partials
+ * @param {Array} tones - [{frequency, amplitude, spectrum}], spectrum as [{ratio, amplitude}]
+ * @returns {Array} - [{frequency, amplitude}]
+ */
+function tonePartials(tones) {
+  const partials = [];
+  for (const tone of tones) {
+    const spectrum = tone.spectrum || [{ ratio: 1, amplitude: 1 }];
+    for (const partial of spectrum) {
+      partials.push({
+        frequency: tone.frequency * partial.ratio,
+        amplitude: tone.amplitude * partial.amplitude
+      });
+    }
+  }
+  return partials;
+}
+
+/**
+ * Total roughness of a set of sounding tones - every pair of partials, across and within tones
+ * @param {Array} tones - [{frequency, amplitude, spectrum}]
+ * @returns {number}
+ */
+function roughness(tones) {
+  const partials = tonePartials(tones);
+  let total = 0;
+  for (let i = 0; i < partials.length; i++) {
+    for (let j = i + 1; j < partials.length; j++) {
+      total += pairRoughness(
+        partials[i].frequency, partials[i].amplitude,
+        partials[j].frequency, partials[j].amplitude
+      );
+    }
+  }
+  return total;
+}
+
+/**
+ * Roughness of a dyad as its upper tone sweeps over a range of intervals
+ * @param {Object} options
+ * @param {number} options.frequency - Frequency of the lower tone in Hz
+ * @param {Array} options.spectrum - Spectrum of both tones, [{ratio, amplitude}]
+ * @param {number} options.from - Smallest interval, as a ratio
+ * @param {number} options.to - Largest interval, as a ratio
+ * @param {number} options.steps - Number of points
+ * @returns {Array} - [{ratio, roughness}], spaced evenly in pitch
+ */
+function dissonanceCurve({ frequency = 220, spectrum, from = 1, to = 2, steps = 400 } = {}) {
+  const curve = [];
+  for (let i = 0; i <= steps; i++) {
+    const ratio = from * Math.pow(to / from, i / steps);
+    curve.push({
+      ratio,
+      roughness: roughness([
+        { frequency, amplitude: 1, spectrum },
+        { frequency: frequency * ratio, amplitude: 1, spectrum }
+      ])
+    });
+  }
+  return curve;
+}
+
+export { pairRoughness, roughness, dissonanceCurve };
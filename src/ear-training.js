@@ -0,0 +1,164 @@
+/**
+ * Ear Training
+ *
+ * Exploring the space builds familiarity; a quiz measures it. Three kinds of question:
+ * - prime: a harmonic sounds over the drone (sometimes beside a familiar octave or fifth) - which prime is it?
+ * - node: the same, but answered by finding its node in the space
+ * - tempered: is this the just interval, or its nearest 12-TET neighbour?
+ *
+ * The deeper the space, the more primes are in play: 3 and 5 at the surface,
+ * then 7, 11, 13 and beyond. Every answer is kept per prime - accuracy and
+ * response time - so progress can be followed across sessions.
+ */
+
+import { getPrimeRatio } from './harmonic-engine.js';
+
+const QUESTION_TYPES = ['prime', 'node', 'tempered'];
+
+// Depth at which each prime joins the quiz
+const PRIME_UNLOCKS = [
+  { prime: 3, depth: 0 },
+  { prime: 5, depth: 0 },
+  { prime: 7, depth: 0.15 },
+  { prime: 11, depth: 0.3 },
+  { prime: 13, depth: 0.45 },
+  { prime: 17, depth: 0.6 },
+  { prime: 19, depth: 0.6 },
+  { prime: 23, depth: 0.8 },
+  { prime: 29, depth: 0.8 },
+  { prime: 31, depth: 0.8 }
+];
+
+// Tempered questions need a difference worth hearing - 3/2 is only 2 cents from its 12-TET fifth
+const MIN_TEMPERED_DIFFERENCE = 10;
+
+// How many recent answers the history keeps, besides the per-prime totals
+const RECENT_ANSWERS = 100;
+
+/**
+ * Primes in play at a depth
+ * @param {number} depth - Current depth, 0-1
+ * @returns {Array} - Primes, lowest first
+ */
+function unlockedPrimes(depth) {
+  return PRIME_UNLOCKS.filter(unlock => unlock.depth <= depth).map(unlock => unlock.prime);
+}
+
+/**
+ * The 12-TET interval nearest a ratio
+ */
+function temperedRatio(ratio) {
+  return Math.pow(2, Math.round(12 * Math.log2(ratio)) / 12);
+}
+
+/**
+ * Asks questions and keeps score
+ */
+export class EarTrainer {
+  /**
+   * @param {Object} history - Saved history to continue from: {primes: {prime: {attempts, correct, totalTime}}, recent}
+   * @param {Function} random - Source of numbers in [0, 1) - seed it to make a quiz repeatable
+   */
+  constructor(history = {}, random = Math.random) {
+    this.random = random;
+    this.history = {
+      primes: { ...history.primes },
+      recent: [...(history.recent || [])]
+    };
+  }
+
+  pick(list) {
+    return list[Math.floor(this.random() * list.length)];
+  }
+
+  /**
+   * Make up the next question
+   * @param {Object} options
+   * @param {number} options.depth - Current depth - sets which primes are in play
+   * @param {Object} options.folding - Folding the ratios are heard in
+   * @param {Array} options.types - Question types allowed right now (e.g. no 'node' if primes aren't on screen)
+   * @returns {Object} - {type, prime, choices, voices: [{prime, ratio}]}; tempered questions add {tempered}
+   */
+  nextQuestion({ depth, folding, types = QUESTION_TYPES }) {
+    const primes = unlockedPrimes(depth);
+    let type = this.pick(types);
+
+    // Only primes that sit audibly apart from 12-TET make tempered questions
+    const temperable = primes.filter(prime => {
+      const ratio = getPrimeRatio(prime, folding);
+      return Math.abs(1200 * Math.log2(ratio / temperedRatio(ratio))) >= MIN_TEMPERED_DIFFERENCE;
+    });
+    if (type === 'tempered' && temperable.length === 0) {
+      type = types.find(t => t !== 'tempered') || 'prime';
+    }
+
+    const prime = this.pick(type === 'tempered' ? temperable : primes);
+    const ratio = getPrimeRatio(prime, folding);
+
+    if (type === 'tempered') {
+      const tempered = this.random() < 0.5;
+      return {
+        type,
+        prime,
+        tempered,
+        choices: ['just', 'tempered'],
+        voices: [{ prime, ratio: tempered ? temperedRatio(ratio) : ratio }]
+      };
+    }
+
+    const voices = [{ prime, ratio }];
+
+    // Sometimes the harmonic comes with a familiar companion - the new sound has to be picked out
+    const companions = [2, 3].filter(p => p !== prime);
+    if (this.random() < 0.4) {
+      const companion = this.pick(companions);
+      voices.push({ prime: companion, ratio: getPrimeRatio(companion, folding), companion: true });
+    }
+
+    return { type, prime, choices: primes, voices };
+  }
+
+  /**
+   * Score an answer and add it to the history
+   * @param {Object} question - From nextQuestion
+   * @param {number|string} response - A prime, or 'just'/'tempered'
+   * @param {number} elapsed - Response time in milliseconds
+   * @returns {boolean} - Whether it was right
+   */
+  answer(question, response, elapsed) {
+    const correct = question.type === 'tempered'
+      ? response === (question.tempered ? 'tempered' : 'just')
+      : response === question.prime;
+
+    const record = this.history.primes[question.prime] || { attempts: 0, correct: 0, totalTime: 0 };
+    this.history.primes[question.prime] = {
+      attempts: record.attempts + 1,
+      correct: record.correct + (correct ? 1 : 0),
+      totalTime: record.totalTime + elapsed
+    };
+
+    this.history.recent.push({ type: question.type, prime: question.prime, correct, elapsed: Math.round(elapsed) });
+    if (this.history.recent.length > RECENT_ANSWERS) {
+      this.history.recent.shift();
+    }
+
+    return correct;
+  }
+
+  /**
+   * Accuracy and mean response time for each prime answered so far
+   * @returns {Array} - [{prime, attempts, accuracy (0-1), meanTime (ms)}], lowest prime first
+   */
+  stats() {
+    return Object.entries(this.history.primes)
+      .map(([prime, record]) => ({
+        prime: Number(prime),
+        attempts: record.attempts,
+        accuracy: record.correct / record.attempts,
+        meanTime: record.totalTime / record.attempts
+      }))
+      .sort((a, b) => a.prime - b.prime);
+  }
+}
+
+export { QUESTION_TYPES, unlockedPrimes, temperedRatio };
@@ -0,0 +1,353 @@
+/**
+ * Effects
+ *
+ * The room the drone plays in: a chain of filter, delay, reverb and compressor,
+ * in any order, each of which can be switched out.
+ *
+ * - Filter: a plain biquad, to darken or thin the mix
+ * - Delay: no tempo here, so the echoes are timed from the fundamental instead -
+ *   each side waits a prime number of fundamental periods (doubled up to a useful length),
+ *   so the repeats stay in phase with the drone and the two sides cross in a prime ratio
+ * - Reverb: a generated noise tail, or a recorded impulse response of a real room.
+ *   The tail is grown from a seed, so a replayed journey rings exactly as it did
+ * - Compressor: keeps many voices together from clipping
+ */
+
+import { createRandom } from './random.js';
+
+const EFFECT_TYPES = ['filter', 'delay', 'reverb', 'compressor'];
+
+const FILTER_TYPES = ['lowpass', 'highpass', 'bandpass'];
+
+// Primes the delay's two sides can count periods in
+const DELAY_PRIMES = [2, 3, 5, 7, 11, 13];
+
+// Longest echo the delay line holds, in seconds
+const MAX_DELAY = 2;
+
+// Channel counts a ConvolverNode accepts for its impulse response
+const IMPULSE_CHANNELS = [1, 2, 4];
+
+const DEFAULT_EFFECTS = {
+  order: ['filter', 'delay', 'reverb', 'compressor'],
+  filter: { enabled: false, type: 'lowpass', frequency: 6000, q: 0.7 },
+  delay: { enabled: false, left: 3, right: 5, length: 0.8, feedback: 0.35, mix: 0.25 },
+  reverb: { enabled: true, decay: 3, mix: 0.3, impulse: null }, // impulse: {id, name} of a loaded IR
+  compressor: { enabled: true, threshold: -24, knee: 30, ratio: 4, attack: 0.003, release: 0.25 }
+};
+
+// What each effect's settings are, for building controls: [key, label, min, max, step]
+const EFFECT_PARAMS = {
+  filter: [['frequency', 'Frequency (Hz)', 20, 20000, 10], ['q', 'Q', 0.1, 20, 0.1]],
+  delay: [['length', 'Longest (s)', 0.05, MAX_DELAY, 0.05], ['feedback', 'Feedback', 0, 0.9, 0.05], ['mix', 'Mix', 0, 1, 0.05]],
+  reverb: [['decay', 'Decay (s)', 0.2, 10, 0.1], ['mix', 'Mix', 0, 1, 0.05]],
+  compressor: [
+    ['threshold', 'Threshold (dB)', -60, 0, 1],
+    ['knee', 'Knee (dB)', 0, 40, 1],
+    ['ratio', 'Ratio', 1, 20, 0.5],
+    ['attack', 'Attack (s)', 0, 1, 0.001],
+    ['release', 'Release (s)', 0, 1, 0.01]
+  ]
+};
+
+/**
+ * Fill in and check an effects configuration - saved settings may be partial or from an older version
+ * @param {Object} config - {order, filter, delay, reverb, compressor}, any part missing
+ * @returns {Object} - A complete configuration
+ */
+function normalizeEffects(config = {}) {
+  const order = Array.isArray(config.order) &&
+    config.order.length === EFFECT_TYPES.length &&
+    EFFECT_TYPES.every(type => config.order.includes(type))
+    ? [...config.order]
+    : [...DEFAULT_EFFECTS.order];
+
+  const effects = { order };
+  for (const type of EFFECT_TYPES) {
+    effects[type] = { ...DEFAULT_EFFECTS[type], ...config[type] };
+    for (const [key, , min, max] of EFFECT_PARAMS[type]) {
+      const value = Number(effects[type][key]);
+      effects[type][key] = Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : DEFAULT_EFFECTS[type][key];
+    }
+  }
+
+  if (!FILTER_TYPES.includes(effects.filter.type)) effects.filter.type = DEFAULT_EFFECTS.filter.type;
+  for (const side of ['left', 'right']) {
+    if (!DELAY_PRIMES.includes(effects.delay[side])) effects.delay[side] = DEFAULT_EFFECTS.delay[side];
+  }
+
+  return effects;
+}
+
+/**
+ * Delay times for a fundamental: each side waits a prime number of periods,
+ * doubled as often as fits within the longest time
+ * @param {number} fundamental - In Hz
+ * @param {Object} delay - {left, right, length}: primes, and the longest time in seconds
+ * @returns {Object} - {left, right} in seconds
+ */
+function delayTimes(fundamental, { left, right, length }) {
+  const fit = prime => {
+    let time = prime / fundamental;
+    while (time * 2 <= length) time *= 2;
+    return Math.min(time, MAX_DELAY);
+  };
+  return { left: fit(left), right: fit(right) };
+}
+
+/**
+ * A noise tail fading away exponentially
+ * @param {BaseAudioContext} context
+ * @param {number} decay - Length in seconds
+ * @param {number} seed - 32-bit integer seed for the noise
+ * @returns {AudioBuffer}
+ */
+function generateImpulse(context, decay, seed) {
+  const sampleRate = context.sampleRate;
+  const length = Math.ceil(sampleRate * decay);
+  const impulse = context.createBuffer(2, length, sampleRate);
+  const random = createRandom(seed);
+
+  for (let channel = 0; channel < 2; channel++) {
+    const channelData = impulse.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      // Exponential decay with some randomness for natural feel
+      channelData[i] = (random() * 2 - 1) * Math.exp(-3 * i / length);
+    }
+  }
+
+  return impulse;
+}
+
+/**
+ * A recorded impulse response cut to a decay time, fading out over its last fifth
+ * @param {BaseAudioContext} context
+ * @param {AudioBuffer} source - The recording
+ * @param {number} decay - Longest length in seconds
+ * @returns {AudioBuffer}
+ */
+function trimImpulse(context, source, decay) {
+  const length = Math.min(source.length, Math.ceil(source.sampleRate * decay));
+  const impulse = context.createBuffer(source.numberOfChannels, length, source.sampleRate);
+  const fadeStart = Math.floor(length * 0.8);
+
+  for (let channel = 0; channel < source.numberOfChannels; channel++) {
+    const from = source.getChannelData(channel);
+    const to = impulse.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      const fade = i < fadeStart ? 1 : 0.5 + 0.5 * Math.cos(Math.PI * (i - fadeStart) / (length - fadeStart));
+      to[i] = from[i] * fade;
+    }
+  }
+
+  return impulse;
+}
+
+/**
+ * The effects between the voices and the speakers. Connect to input and from output.
+ */
+export class EffectsChain {
+  /**
+   * @param {BaseAudioContext} context - Context to build in
+   * @param {Object} config - See DEFAULT_EFFECTS
+   * @param {number} seed - Seed for the generated reverb tail
+   */
+  constructor(context, config = {}, seed = 0) {
+    this.context = context;
+    this.seed = seed;
+    this.input = context.createGain();
+    this.output = context.createGain();
+    this.config = normalizeEffects(config);
+    this.fundamental = 110;
+    this.recording = null; // Decoded impulse response, or null for the generated tail
+    this.impulseDecay = null; // Decay the reverb's current impulse was made for
+    this.wired = false;
+
+    this.units = {
+      filter: this.createFilter(),
+      delay: this.createDelay(),
+      reverb: this.createReverb(),
+      compressor: this.createCompressor()
+    };
+
+    this.configure(this.config);
+  }
+
+  createFilter() {
+    const filter = this.context.createBiquadFilter();
+    return { input: filter, output: filter, filter };
+  }
+
+  /**
+   * Two delay lines, one per side, each feeding back into itself
+   */
+  createDelay() {
+    const ctx = this.context;
+    const unit = {
+      input: ctx.createGain(),
+      output: ctx.createGain(),
+      dry: ctx.createGain(),
+      wet: ctx.createGain(),
+      merger: ctx.createChannelMerger(2),
+      lines: [0, 1].map(() => ({ delay: ctx.createDelay(MAX_DELAY), feedback: ctx.createGain() }))
+    };
+
+    unit.input.connect(unit.dry);
+    unit.dry.connect(unit.output);
+    unit.lines.forEach((line, side) => {
+      unit.input.connect(line.delay);
+      line.delay.connect(line.feedback);
+      line.feedback.connect(line.delay);
+      line.delay.connect(unit.merger, 0, side);
+    });
+    unit.merger.connect(unit.wet);
+    unit.wet.connect(unit.output);
+    return unit;
+  }
+
+  createReverb() {
+    const ctx = this.context;
+    const unit = {
+      input: ctx.createGain(),
+      output: ctx.createGain(),
+      dry: ctx.createGain(),
+      wet: ctx.createGain(),
+      convolver: ctx.createConvolver()
+    };
+
+    unit.input.connect(unit.dry);
+    unit.dry.connect(unit.output);
+    unit.input.connect(unit.convolver);
+    unit.convolver.connect(unit.wet);
+    unit.wet.connect(unit.output);
+    return unit;
+  }
+
+  createCompressor() {
+    const compressor = this.context.createDynamicsCompressor();
+    return { input: compressor, output: compressor, compressor };
+  }
+
+  /**
+   * Apply a configuration - parameters glide, and the chain is rewired only if its order or switches changed
+   * @param {Object} config - See DEFAULT_EFFECTS; missing parts keep their defaults
+   */
+  configure(config) {
+    const previous = this.config;
+    this.config = normalizeEffects(config);
+    const { filter, delay, reverb, compressor } = this.config;
+    const now = this.context.currentTime;
+    const glide = (param, value) => param.setTargetAtTime(value, now, 0.05);
+
+    this.units.filter.filter.type = filter.type;
+    glide(this.units.filter.filter.frequency, filter.frequency);
+    glide(this.units.filter.filter.Q, filter.q);
+
+    glide(this.units.delay.dry.gain, 1 - delay.mix);
+    glide(this.units.delay.wet.gain, delay.mix);
+    for (const line of this.units.delay.lines) {
+      glide(line.feedback.gain, delay.feedback);
+    }
+    this.updateDelayTimes(0.05);
+
+    glide(this.units.reverb.dry.gain, 1 - reverb.mix);
+    glide(this.units.reverb.wet.gain, reverb.mix);
+    if (reverb.decay !== this.impulseDecay) {
+      this.updateImpulse();
+    }
+
+    const unit = this.units.compressor.compressor;
+    for (const key of ['threshold', 'knee', 'ratio', 'attack', 'release']) {
+      glide(unit[key], compressor[key]);
+    }
+
+    const wiring = effects => effects.order.filter(type => effects[type].enabled).join(' ');
+    if (!this.wired || wiring(previous) !== wiring(this.config)) {
+      this.connect();
+    }
+  }
+
+  /**
+   * Wire the switched-on effects in order
+   */
+  connect() {
+    this.input.disconnect();
+    for (const unit of Object.values(this.units)) {
+      unit.output.disconnect();
+    }
+
+    let previous = this.input;
+    for (const type of this.config.order) {
+      if (!this.config[type].enabled) continue;
+      previous.connect(this.units[type].input);
+      previous = this.units[type].output;
+    }
+    previous.connect(this.output);
+    this.wired = true;
+  }
+
+  /**
+   * Follow the fundamental - the delay is timed from its period
+   * @param {number} fundamental - In Hz
+   * @param {number} time - Glide time in seconds
+   */
+  setFundamental(fundamental, time = 0.5) {
+    this.fundamental = fundamental;
+    this.updateDelayTimes(time / 4);
+  }
+
+  updateDelayTimes(timeConstant) {
+    const times = delayTimes(this.fundamental, this.config.delay);
+    const now = this.context.currentTime;
+    this.units.delay.lines[0].delay.delayTime.setTargetAtTime(times.left, now, timeConstant);
+    this.units.delay.lines[1].delay.delayTime.setTargetAtTime(times.right, now, timeConstant);
+  }
+
+  /**
+   * Regrow the generated reverb tail from a seed
+   * @param {number} seed - 32-bit integer seed
+   */
+  reseed(seed) {
+    this.seed = seed;
+    if (!this.recording) this.updateImpulse();
+  }
+
+  /**
+   * Use a recorded impulse response for the reverb. Throws if the file can't be decoded
+   * or has a channel count the convolver can't take - the reverb keeps its old impulse then.
+   * @param {ArrayBuffer|null} data - An audio file (WAV), or null to go back to the generated tail
+   */
+  async loadImpulse(data) {
+    // Decoding takes the buffer over - keep the caller's copy intact
+    const recording = data ? await this.context.decodeAudioData(data.slice(0)) : null;
+    if (recording && !IMPULSE_CHANNELS.includes(recording.numberOfChannels)) {
+      throw new Error(`Impulse responses need 1, 2 or 4 channels, not ${recording.numberOfChannels}`);
+    }
+    this.updateImpulse(recording);
+  }
+
+  /**
+   * Rebuild the reverb's impulse for the current decay
+   * @param {AudioBuffer|null} recording - Recording to cut it from, or null for the generated tail
+   */
+  updateImpulse(recording = this.recording) {
+    const { decay } = this.config.reverb;
+    this.units.reverb.convolver.buffer = recording
+      ? trimImpulse(this.context, recording, decay)
+      : generateImpulse(this.context, decay, this.seed);
+
+    // Only once the convolver has taken it
+    this.recording = recording;
+    this.impulseDecay = decay;
+  }
+}
+
+export {
+  EFFECT_TYPES,
+  FILTER_TYPES,
+  DELAY_PRIMES,
+  DEFAULT_EFFECTS,
+  EFFECT_PARAMS,
+  normalizeEffects,
+  delayTimes
+};
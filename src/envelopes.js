@@ -0,0 +1,82 @@
+/**
+ * Envelopes
+ *
+ * How a voice begins and ends. Each prime family can have its own attack, decay,
+ * sustain and release, and the gesture that reaches a node shapes them further:
+ * a fast swipe plucks it - a sharp attack, an accent, a lower sustain and a longer
+ * ring - while slow hovering swells it in.
+ */
+
+const DEFAULT_ENVELOPE = {
+  attack: 0.15, // Seconds to rise to the peak
+  decay: 0.3, // Seconds to settle from the peak to the sustain level
+  sustain: 1, // Level held while the node is reached, as a fraction of its amplitude
+  release: 0.5 // Seconds to fade once it's let go
+};
+
+// For building controls: [key, label, min, max, step]
+const ENVELOPE_PARAMS = [
+  ['attack', 'Attack (s)', 0.005, 5, 0.005],
+  ['decay', 'Decay (s)', 0.01, 5, 0.01],
+  ['sustain', 'Sustain', 0, 1, 0.05],
+  ['release', 'Release (s)', 0.02, 10, 0.02]
+];
+
+// What a full pluck does to an envelope: the attack is scaled by this, the peak rises
+// this far over the amplitude, the sustain drops by this fraction and the release is
+// scaled by this. A full swell only scales the attack.
+const PLUCK = { attack: 0.1, accent: 0.6, sustain: 0.4, release: 2 };
+const SWELL = { attack: 3 };
+
+// Gesture speeds in field radii per second: at or below slow a gesture swells, at or above fast it plucks
+const GESTURE_SPEEDS = { slow: 1, fast: 12 };
+
+/**
+ * Fill in and clamp an envelope - saved settings may be partial or from an older version
+ * @param {Object} envelope - {attack, decay, sustain, release}, any missing
+ * @returns {Object} - A complete envelope
+ */
+function normalizeEnvelope(envelope = {}) {
+  const result = {};
+  for (const [key, , min, max] of ENVELOPE_PARAMS) {
+    const value = Number(envelope[key]);
+    result[key] = Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : DEFAULT_ENVELOPE[key];
+  }
+  return result;
+}
+
+/**
+ * How hard a gesture struck, from its speed. Speeds span a wide range, so the scale is logarithmic.
+ * @param {number} speed - In pixels per second
+ * @param {number} radius - Reach of the field, in pixels
+ * @returns {number} - 0 (a slow swell) to 1 (a pluck)
+ */
+function gestureVelocity(speed, radius) {
+  const { slow, fast } = GESTURE_SPEEDS;
+  const velocity = Math.log(speed / radius / slow) / Math.log(fast / slow);
+  return Math.max(0, Math.min(1, velocity || 0));
+}
+
+/**
+ * The envelope a voice actually plays, once the gesture's velocity has shaped it
+ * @param {Object} envelope - The family's envelope
+ * @param {number|null} velocity - 0 (swell) to 1 (pluck), or null for the envelope as set
+ * @returns {Object} - {attack, peak, decay, sustain, release}; peak and sustain relative to the amplitude
+ */
+function shapeEnvelope(envelope, velocity = null) {
+  if (velocity === null) {
+    return { ...envelope, peak: 1 };
+  }
+
+  // From swell to pluck, the attack scales geometrically - halfway is about half the set attack
+  const v = Math.max(0, Math.min(1, velocity));
+  return {
+    attack: envelope.attack * SWELL.attack * Math.pow(PLUCK.attack / SWELL.attack, v),
+    peak: 1 + PLUCK.accent * v,
+    decay: envelope.decay,
+    sustain: envelope.sustain * (1 - PLUCK.sustain * v),
+    release: envelope.release * (1 + (PLUCK.release - 1) * v)
+  };
+}
+
+export { DEFAULT_ENVELOPE, ENVELOPE_PARAMS, normalizeEnvelope, gestureVelocity, shapeEnvelope };
@@ -0,0 +1,176 @@
+/**
+ * Gamepad Input
+ *
+ * Plays the space from the couch. Each analog stick steers an influence field,
+ * the triggers press the fields and dive through the depths, and the shoulder
+ * buttons step the fundamental.
+ *
+ * As with MIDI input, the controller never touches the Gamepad API itself: each
+ * frame it's handed a plain state, {axes: [-1..1], buttons: [{pressed, value}]}.
+ * readWebGamepad provides the real one; a test can make states up.
+ */
+
+// Things a button can do. Analog buttons (triggers) pass their travel through.
+const GAMEPAD_ACTIONS = ['intensity', 'descend', 'ascend', 'fundamentalUp', 'fundamentalDown'];
+
+// Indices follow the browser's "standard" gamepad layout
+const DEFAULT_MAPPING = {
+  // Each stick steers one field: which axes are its x and y
+  sticks: [{ x: 0, y: 1 }, { x: 2, y: 3 }],
+  // Button index -> action: triggers press and dive, the d-pad rises and dives, shoulders step the fundamental
+  buttons: { 6: 'intensity', 7: 'descend', 12: 'ascend', 13: 'descend', 4: 'fundamentalDown', 5: 'fundamentalUp' },
+  // Stick travel ignored around the center, so a resting stick doesn't drift
+  deadzone: 0.15
+};
+
+// How far a fully deflected stick moves its field, in normalized units per second
+const STICK_SPEED = 0.6;
+
+// How fast a fully pressed depth control dives or rises, in depth per second
+const DEPTH_RATE = 0.25;
+
+// Travel at which an analog button counts as pressed
+const PRESS_THRESHOLD = 0.5;
+
+/**
+ * The first connected gamepad, as a plain state
+ * @returns {Object|null} - {axes, buttons}, or null if no gamepad is connected
+ */
+function readWebGamepad() {
+  if (!navigator.getGamepads) return null;
+
+  const pad = [...navigator.getGamepads()].find(p => p && p.connected);
+  if (!pad) return null;
+
+  return {
+    axes: [...pad.axes],
+    buttons: pad.buttons.map(button => ({ pressed: button.pressed, value: button.value }))
+  };
+}
+
+/**
+ * Stick position with the deadzone taken out, rescaled so travel still reaches 1
+ */
+function applyDeadzone(x, y, deadzone) {
+  const magnitude = Math.hypot(x, y);
+  if (magnitude <= deadzone) return { x: 0, y: 0 };
+
+  const scale = Math.min(1, (magnitude - deadzone) / (1 - deadzone)) / magnitude;
+  return { x: x * scale, y: y * scale };
+}
+
+/**
+ * Turns gamepad states into field moves, pressure, depth and fundamental steps
+ */
+export class GamepadController {
+  /**
+   * @param {Object} actions - Callbacks into the application
+   * @param {Function} actions.onMove - (stick index, dx, dy) in normalized units
+   * @param {Function} actions.onIntensity - (value 0-1) whenever the intensity control changes
+   * @param {Function} actions.onDepth - (change in depth)
+   * @param {Function} actions.onFundamentalStep - (direction: 1 up, -1 down)
+   * @param {Function} actions.onDisconnect - () when the gamepad goes away
+   * @param {Function} actions.onLearn - (binding) after learning binds a button
+   * @param {Object} mapping - Saved mapping to start from (see DEFAULT_MAPPING)
+   */
+  constructor(actions, mapping = {}) {
+    this.actions = actions;
+    this.mapping = {
+      sticks: mapping.sticks || DEFAULT_MAPPING.sticks.map(stick => ({ ...stick })),
+      buttons: { ...(mapping.buttons || DEFAULT_MAPPING.buttons) },
+      deadzone: mapping.deadzone ?? DEFAULT_MAPPING.deadzone
+    };
+    this.connected = false;
+    this.pressed = []; // Whether each button was pressed last frame
+    this.intensity = 0;
+    this.learning = null; // Action the next button press binds to
+  }
+
+  /**
+   * Act on one frame's gamepad state
+   * @param {Object|null} state - {axes, buttons}, or null with no gamepad
+   * @param {number} dt - Seconds since the last frame
+   */
+  update(state, dt) {
+    if (!state) {
+      if (this.connected) {
+        this.connected = false;
+        this.pressed = [];
+        this.intensity = 0;
+        this.actions.onDisconnect();
+      }
+      return;
+    }
+    this.connected = true;
+
+    const pressed = state.buttons.map(button => button.pressed || button.value >= PRESS_THRESHOLD);
+    const previous = this.pressed;
+    const newlyPressed = index => pressed[index] && !previous[index];
+    this.pressed = pressed;
+
+    if (this.learning) {
+      const index = pressed.findIndex((_, i) => newlyPressed(i));
+      if (index >= 0) {
+        // One button per action - drop the old bindings
+        for (const [bound, action] of Object.entries(this.mapping.buttons)) {
+          if (action === this.learning) delete this.mapping.buttons[bound];
+        }
+        this.mapping.buttons[index] = this.learning;
+        this.finishLearning({ button: index, action: this.mapping.buttons[index] });
+      }
+      return; // Nothing plays while learning
+    }
+
+    this.mapping.sticks.forEach((axes, i) => {
+      const { x, y } = applyDeadzone(state.axes[axes.x] || 0, state.axes[axes.y] || 0, this.mapping.deadzone);
+      if (x !== 0 || y !== 0) {
+        this.actions.onMove(i, x * STICK_SPEED * dt, y * STICK_SPEED * dt);
+      }
+    });
+
+    // Each action takes the furthest travel of any button bound to it
+    const values = {};
+    const steps = [];
+    state.buttons.forEach((button, index) => {
+      const action = this.mapping.buttons[index];
+      if (!action) return;
+      values[action] = Math.max(values[action] || 0, button.value || (button.pressed ? 1 : 0));
+      if (newlyPressed(index)) steps.push(action);
+    });
+
+    const intensity = values.intensity || 0;
+    if (Math.abs(intensity - this.intensity) > 0.01 || (intensity === 0 && this.intensity !== 0)) {
+      this.intensity = intensity;
+      this.actions.onIntensity(intensity);
+    }
+
+    const dive = (values.descend || 0) - (values.ascend || 0);
+    if (dive !== 0) {
+      this.actions.onDepth(dive * DEPTH_RATE * dt);
+    }
+
+    for (const action of steps) {
+      if (action === 'fundamentalUp') this.actions.onFundamentalStep(1);
+      if (action === 'fundamentalDown') this.actions.onFundamentalStep(-1);
+    }
+  }
+
+  /**
+   * Bind the next button pressed to an action
+   * @param {string} action - One of GAMEPAD_ACTIONS
+   */
+  learn(action) {
+    this.learning = action;
+  }
+
+  cancelLearning() {
+    this.learning = null;
+  }
+
+  finishLearning(binding) {
+    this.learning = null;
+    this.actions.onLearn(binding);
+  }
+}
+
+export { GAMEPAD_ACTIONS, DEFAULT_MAPPING, readWebGamepad };
@@ -11,6 +11,10 @@
  * For example: 7th harmonic (7f) → 7f/4 = 1.75f (between octave and double octave)
  */
 
+import { TIMBRES, createTimbreWave } from './timbres.js';
+import { EffectsChain, normalizeEffects } from './effects.js';
+import { DEFAULT_ENVELOPE, normalizeEnvelope, shapeEnvelope } from './envelopes.js';
+
 // Prime numbers for harmonic generation
 // Each represents a genuinely new pitch relationship
 const PRIMES = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41, 43, 47, 53, 59, 61, 67, 71, 73, 79, 83, 89, 97];
@@ -35,100 +39,152 @@ const PRIME_COLORS = {
   default: { h: 200, s: 30, l: 50 }
 };
 
+// Folding strategies - how a prime's raw ratio is brought into range.
+// A ratio is divided by the `equivalence` interval until it lies in [1, equivalence^periods).
+// Without an equivalence the raw harmonic series is used, limited only by AUDIBLE_RANGE.
+const FOLDINGS = {
+  double: { name: 'Two octaves', equivalence: 2, periods: 2 }, // [1, 4) - the original window
+  octave: { name: 'One octave', equivalence: 2, periods: 1 }, // [1, 2)
+  span: { name: 'Octave span', equivalence: 2, periods: 3 }, // [1, 2^n) - n is user-defined
+  tritave: { name: 'Tritave', equivalence: 3, periods: 1 }, // [1, 3) - Bohlen-Pierce style
+  none: { name: 'Unfolded', equivalence: null, periods: 0 } // p/1 - the raw series
+};
+
+const DEFAULT_FOLDING = FOLDINGS.double;
+
+// How many octaves the user-defined span may cover
+const SPAN_OCTAVES = { min: 1, max: 5 };
+
+// Frequencies outside this range (Hz) are not sounded - mostly matters when unfolded
+const AUDIBLE_RANGE = { min: 20, max: 8000 };
+
+// How voices are placed: across a stereo pan, or around the listener's head for headphones (HRTF)
+const SPATIAL_MODES = ['stereo', 'binaural'];
+
 /**
  * Calculate the frequency ratio for a prime harmonic, folded into a usable range
  * @param {number} prime - The prime number
- * @returns {number} - The ratio relative to fundamental (between 1 and 4)
+ * @param {Object} folding - Folding strategy (see FOLDINGS)
+ * @returns {number} - The ratio relative to fundamental (between 1 and 4 by default)
  */
-function getPrimeRatio(prime) {
-  // Fold into range [1, 4] by dividing by appropriate power of 2
-  let ratio = prime;
-  while (ratio >= 4) {
-    ratio /= 2;
-  }
-  return ratio;
+function getPrimeRatio(prime, folding = DEFAULT_FOLDING) {
+  const { numerator, denominator } = getPrimeFraction(prime, folding);
+  return numerator / denominator;
 }
 
 /**
- * Get all harmonics of a given prime, within the audible range
- * @param {number} prime - The base prime
- * @param {number} fundamental - The fundamental frequency
- * @param {number} maxFreq - Maximum frequency to include
- * @returns {Array} - Array of {ratio, frequency, octave} objects
+ * The same folded ratio as an exact fraction, prime / equivalence^n
+ * @param {number} prime - The prime number
+ * @param {Object} folding - Folding strategy (see FOLDINGS)
+ * @returns {Object} - {numerator, denominator}
  */
-function getPrimeHarmonics(prime, fundamental, maxFreq = 8000) {
-  const harmonics = [];
-  let multiplier = 1;
-
-  while (true) {
-    const harmonic = prime * multiplier;
-    const frequency = fundamental * harmonic;
-
-    if (frequency > maxFreq) break;
+function getPrimeFraction(prime, folding = DEFAULT_FOLDING) {
+  if (!folding.equivalence) {
+    return { numerator: prime, denominator: 1 };
+  }
 
-    harmonics.push({
-      ratio: harmonic,
-      frequency: frequency,
-      foldedRatio: getPrimeRatio(harmonic),
-      multiplier: multiplier
-    });
+  // Fold by dividing by the equivalence interval until inside the window
+  const limit = Math.pow(folding.equivalence, folding.periods);
+  let denominator = 1;
+  while (prime / denominator >= limit) {
+    denominator *= folding.equivalence;
+  }
 
-    multiplier *= 2; // Go up octaves
+  // Only the equivalence prime itself can cancel (e.g. 3/3 = 1/1 under the tritave)
+  if (denominator % prime === 0) {
+    return { numerator: 1, denominator: denominator / prime };
   }
+  return { numerator: prime, denominator };
+}
 
-  return harmonics;
+/**
+ * Check a saved folding choice, falling back to the defaults for anything unknown
+ * @param {Object} saved - {strategy, spanOctaves}, e.g. from settings or a preset
+ * @returns {Object} - {strategy: a key into FOLDINGS, spanOctaves: whole octaves within SPAN_OCTAVES}
+ */
+function normalizeFolding(saved = {}) {
+  const strategy = Object.keys(FOLDINGS).includes(saved.strategy) ? saved.strategy : 'double';
+  const octaves = Math.round(Number(saved.spanOctaves));
+  const spanOctaves = Number.isFinite(octaves)
+    ? Math.max(SPAN_OCTAVES.min, Math.min(SPAN_OCTAVES.max, octaves))
+    : FOLDINGS.span.periods;
+  return { strategy, spanOctaves };
+}
+
+/**
+ * Check saved spatial settings, falling back to the defaults for anything unknown
+ * @param {Object} saved - {mode, width}
+ * @returns {Object} - {mode: one of SPATIAL_MODES, width: 0-1}
+ */
+function normalizeSpatial(saved = {}) {
+  const width = Number(saved.width);
+  return {
+    mode: SPATIAL_MODES.includes(saved.mode) ? saved.mode : 'stereo',
+    width: Number.isFinite(width) ? Math.max(0, Math.min(1, width)) : 0.8
+  };
 }
 
 export class HarmonicEngine {
   constructor() {
     this.audioContext = null;
     this.masterGain = null;
-    this.reverbNode = null;
+    this.effects = null; // Filter, delay, reverb and compressor, between the voices and the output
+    this.effectsConfig = normalizeEffects(); // Kept here too, so it can be set before init
+    this.impulseData = null; // A loaded impulse response file for the reverb, undecoded
+    this.seed = 0; // Grows the generated reverb tail - journeys replay with their own
     this.voices = new Map(); // Active oscillators by harmonic ID
     this.fundamental = 110; // A2 - a rich, warm fundamental
+    this.folding = DEFAULT_FOLDING; // How prime ratios are folded into range
     this.masterVolume = 0.4;
     this.isInitialized = false;
+    this.listener = null; // Optional (type, data, time) callback - hears every voice change
+    this.timbre = 'sine'; // Global timbre, see timbres.js
+    this.familyTimbres = {}; // prime -> timbre name, overriding the global one for that family
+    this.timbreWaves = new Map(); // Cached PeriodicWaves by timbre name
+    this.envelope = { ...DEFAULT_ENVELOPE }; // Global envelope, see envelopes.js
+    this.familyEnvelopes = {}; // prime -> envelope, overriding the global one for that family
+    this.analyser = null; // FFT tap on the final mix
+    this.spectrumBins = null;
+    this.spatialMode = 'stereo'; // One of SPATIAL_MODES
+    this.spatialWidth = 0.8; // 0 collapses every voice to the center, 1 spreads the space all the way round
   }
 
   /**
    * Initialize the audio context (must be called after user interaction)
+   * @param {BaseAudioContext} context - Optional context to build the graph in (e.g. an OfflineAudioContext)
    */
-  async init() {
+  async init(context = null) {
     if (this.isInitialized) return;
 
-    this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    this.audioContext = context || new (window.AudioContext || window.webkitAudioContext)();
 
     // Master gain
     this.masterGain = this.audioContext.createGain();
     this.masterGain.gain.value = this.masterVolume;
 
-    // Create a subtle reverb for spatial depth
-    this.reverbNode = await this.createReverb();
-
-    // Create a gentle compressor to prevent clipping when many harmonics sound together
-    this.compressor = this.audioContext.createDynamicsCompressor();
-    this.compressor.threshold.value = -24;
-    this.compressor.knee.value = 30;
-    this.compressor.ratio.value = 4;
-    this.compressor.attack.value = 0.003;
-    this.compressor.release.value = 0.25;
-
-    // Dry path
-    const dryGain = this.audioContext.createGain();
-    dryGain.gain.value = 0.7;
-
-    // Wet path (reverb)
-    const wetGain = this.audioContext.createGain();
-    wetGain.gain.value = 0.3;
+    // Effects - by default a subtle reverb for spatial depth, and a gentle compressor
+    // to prevent clipping when many harmonics sound together
+    this.effects = new EffectsChain(this.audioContext, this.effectsConfig, this.seed);
+    this.effects.setFundamental(this.fundamental, 0);
+    if (this.impulseData) {
+      try {
+        await this.effects.loadImpulse(this.impulseData);
+      } catch (err) {
+        console.warn('Could not decode the impulse response, using the generated one:', err);
+        this.impulseData = null;
+      }
+    }
 
-    // Connect: source → masterGain → dry/wet → compressor → output
-    this.masterGain.connect(dryGain);
-    this.masterGain.connect(this.reverbNode);
-    this.reverbNode.connect(wetGain);
+    // Connect: source → masterGain → effects → output
+    this.masterGain.connect(this.effects.input);
+    this.effects.output.connect(this.audioContext.destination);
 
-    dryGain.connect(this.compressor);
-    wetGain.connect(this.compressor);
-    this.compressor.connect(this.audioContext.destination);
+    // Analyser tap after the effects - what the spectrum view sees is exactly what we hear.
+    // A long FFT (about 3 Hz bins at 48 kHz) keeps the low voices apart.
+    this.analyser = this.audioContext.createAnalyser();
+    this.analyser.fftSize = 16384;
+    this.analyser.smoothingTimeConstant = 0.5;
+    this.effects.output.connect(this.analyser);
 
     // Start the fundamental drone
     this.startFundamentalDrone();
@@ -137,27 +193,54 @@ export class HarmonicEngine {
   }
 
   /**
-   * Create a simple convolution reverb
+   * Read the current spectrum of the mix
+   * @returns {Object|null} - {bins: level in dB per bin, binWidth: Hz per bin}
    */
-  async createReverb() {
-    const convolver = this.audioContext.createConvolver();
-
-    // Generate impulse response for a gentle, spacious reverb
-    const sampleRate = this.audioContext.sampleRate;
-    const length = sampleRate * 3; // 3 second reverb
-    const impulse = this.audioContext.createBuffer(2, length, sampleRate);
-
-    for (let channel = 0; channel < 2; channel++) {
-      const channelData = impulse.getChannelData(channel);
-      for (let i = 0; i < length; i++) {
-        // Exponential decay with some randomness for natural feel
-        const decay = Math.exp(-3 * i / length);
-        channelData[i] = (Math.random() * 2 - 1) * decay;
-      }
+  getSpectrum() {
+    if (!this.analyser) return null;
+
+    if (!this.spectrumBins) {
+      this.spectrumBins = new Float32Array(this.analyser.frequencyBinCount);
+    }
+    this.analyser.getFloatFrequencyData(this.spectrumBins);
+
+    return {
+      bins: this.spectrumBins,
+      binWidth: this.audioContext.sampleRate / this.analyser.fftSize
+    };
+  }
+
+  /**
+   * Reconfigure the effects chain, live if it's running
+   * @param {Object} config - See DEFAULT_EFFECTS in effects.js
+   */
+  setEffects(config) {
+    this.effectsConfig = normalizeEffects(config);
+    if (this.effects) {
+      this.effects.configure(this.effectsConfig);
     }
+  }
 
-    convolver.buffer = impulse;
-    return convolver;
+  /**
+   * Regrow everything random in the sound from a seed - the generated reverb tail
+   * @param {number} seed - 32-bit integer seed
+   */
+  reseed(seed) {
+    this.seed = seed;
+    if (this.effects) {
+      this.effects.reseed(seed);
+    }
+  }
+
+  /**
+   * Give the reverb a recorded impulse response
+   * @param {ArrayBuffer|null} data - An audio file (WAV), or null for the generated tail
+   */
+  async setImpulse(data) {
+    if (this.effects) {
+      await this.effects.loadImpulse(data); // Throws if the file can't be decoded - keep the old one then
+    }
+    this.impulseData = data;
   }
 
   /**
@@ -165,54 +248,87 @@ export class HarmonicEngine {
    */
   startFundamentalDrone() {
     const osc = this.audioContext.createOscillator();
+    const trim = this.audioContext.createGain();
     const gain = this.audioContext.createGain();
 
-    osc.type = 'sine';
     osc.frequency.value = this.fundamental;
 
     gain.gain.value = 0.08; // Very quiet - felt more than heard
 
-    osc.connect(gain);
+    osc.connect(trim);
+    trim.connect(gain);
     gain.connect(this.masterGain);
     osc.start();
 
     this.fundamentalOsc = osc;
     this.fundamentalGain = gain;
+
+    // The drone takes the global timbre, like a voice at ratio 1
+    this.fundamentalVoice = { oscillator: osc, trim: trim, ratio: 1 };
+    this.applyTimbre(this.fundamentalVoice, this.timbre);
   }
 
   /**
    * Create a voice for a specific harmonic
    * @param {string} id - Unique identifier for this voice
    * @param {number} ratio - Frequency ratio relative to fundamental
+   * @param {number} family - Prime family the voice belongs to (selects its timbre)
    * @returns {Object} - Voice control object
    */
-  createVoice(id, ratio) {
-    if (this.voices.has(id)) {
-      return this.voices.get(id);
+  createVoice(id, ratio, family = null) {
+    const existing = this.voices.get(id);
+    if (existing && existing.releaseTimer) {
+      // Created again while fading out - keep it, and bring its envelope back to where it
+      // sustained (triggerVoice gives it a fresh attack instead)
+      const now = this.audioContext.currentTime;
+      clearTimeout(existing.releaseTimer);
+      existing.releaseTimer = null;
+      existing.envelope.gain.cancelAndHoldAtTime(now);
+      existing.envelope.gain.setTargetAtTime(existing.sustain, now, 0.02);
+    }
+    if (existing) {
+      return existing;
     }
 
     const osc = this.audioContext.createOscillator();
+    const trim = this.audioContext.createGain();
+    const envelope = this.audioContext.createGain(); // Attack, decay, sustain and release - see triggerVoice
     const gain = this.audioContext.createGain();
 
-    // Use sine waves for pure harmonics - lets the ratios speak clearly
-    osc.type = 'sine';
     osc.frequency.value = this.fundamental * ratio;
 
     // Start silent
     gain.gain.value = 0;
 
-    osc.connect(gain);
-    gain.connect(this.masterGain);
+    const panner = this.createPanner();
+
+    osc.connect(trim);
+    trim.connect(envelope);
+    envelope.connect(gain);
+    gain.connect(panner);
+    panner.connect(this.masterGain);
     osc.start();
 
     const voice = {
       oscillator: osc,
+      trim: trim, // Per-timbre loudness correction
+      envelope: envelope,
       gain: gain,
+      panner: panner,
+      position: { x: 0, y: 0, depth: 0 }, // Where its node is, see setVoicePosition
       targetGain: 0,
-      ratio: ratio
+      release: null, // Release time its last trigger shaped, if any
+      sustain: 1, // Envelope level it holds at - untriggered voices play at their amplitude
+      ratio: ratio,
+      family: family
     };
+    this.applyPosition(voice, 0);
+
+    // Sine by default - lets the ratios speak clearly
+    this.applyTimbre(voice, this.getTimbre(family));
 
     this.voices.set(id, voice);
+    this.emit('create', { id, ratio });
     return voice;
   }
 
@@ -221,13 +337,23 @@ export class HarmonicEngine {
    * @param {string} id - Voice identifier
    * @param {number} amplitude - Target amplitude (0-1)
    * @param {number} time - Transition time in seconds
+   * @param {number} at - Audio time to start the transition, for changes scheduled ahead (default: now)
    */
-  setVoiceAmplitude(id, amplitude, time = 0.1) {
+  setVoiceAmplitude(id, amplitude, time = 0.1, at = null) {
     const voice = this.voices.get(id);
     if (!voice) return;
 
     const now = this.audioContext.currentTime;
     voice.targetGain = amplitude;
+    this.emit('amplitude', { id, amplitude, time }, at);
+
+    if (at !== null) {
+      // Scheduled ahead, the value at that moment isn't known yet - approach the target from wherever it is.
+      // About four time constants to get there.
+      voice.gain.gain.cancelScheduledValues(at);
+      voice.gain.gain.setTargetAtTime(amplitude, at, time / 4);
+      return;
+    }
 
     // Smooth exponential ramp for organic feel
     voice.gain.gain.cancelScheduledValues(now);
@@ -239,27 +365,218 @@ export class HarmonicEngine {
   }
 
   /**
-   * Smoothly fade out and remove a voice
+   * Strike a voice: the amplitude is set at once, and its family's envelope shapes the
+   * onset - up to a peak over the attack, then down to the sustain level over the decay.
+   * Later amplitude changes move within the envelope; releaseVoice plays its release.
    * @param {string} id - Voice identifier
-   * @param {number} fadeTime - Fade duration
+   * @param {number} amplitude - Amplitude the envelope is relative to (0-1)
+   * @param {number|null} velocity - How hard the gesture struck, 0 (swell) to 1 (pluck); null plays the envelope as set
+   * @param {number} at - Audio time to strike, for notes scheduled ahead (default: now)
    */
-  releaseVoice(id, fadeTime = 0.5) {
+  triggerVoice(id, amplitude, velocity = null, at = null) {
     const voice = this.voices.get(id);
     if (!voice) return;
 
-    const now = this.audioContext.currentTime;
+    const shape = shapeEnvelope(this.getEnvelope(voice.family), velocity);
+    const start = at ?? this.audioContext.currentTime;
+    const silent = voice.gain.gain.value < 0.0001; // Fresh, rather than revived from its release
+    voice.targetGain = amplitude;
+    voice.release = shape.release;
+    voice.sustain = shape.sustain;
+    this.emit('amplitude', { id, amplitude, time: shape.attack }, at);
+
+    voice.gain.gain.cancelScheduledValues(start);
+    voice.gain.gain.setValueAtTime(amplitude, start);
+
+    // From silence, or from wherever the envelope is - a retrigger during the release picks up from there
+    const envelope = voice.envelope.gain;
+    if (silent) {
+      envelope.cancelScheduledValues(start);
+      envelope.setValueAtTime(0, start);
+    } else {
+      envelope.cancelAndHoldAtTime(start);
+    }
+    envelope.linearRampToValueAtTime(shape.peak, start + shape.attack);
+    envelope.setTargetAtTime(shape.sustain, start + shape.attack, shape.decay / 4);
+  }
 
-    voice.gain.gain.cancelScheduledValues(now);
-    voice.gain.gain.setValueAtTime(voice.gain.gain.value, now);
-    voice.gain.gain.exponentialRampToValueAtTime(0.0001, now + fadeTime);
+  /**
+   * Glide a voice into its pitch from another ratio, at a scheduled time
+   * @param {string} id - Voice identifier
+   * @param {number} fromRatio - Ratio the glide starts from
+   * @param {number} time - Glide duration in seconds
+   * @param {number} at - Audio time the glide starts
+   */
+  glideVoice(id, fromRatio, time, at) {
+    const voice = this.voices.get(id);
+    if (!voice) return;
+
+    const from = this.fundamental * fromRatio;
+    const to = this.fundamental * voice.ratio;
+    voice.oscillator.frequency.setValueAtTime(from, at);
+    voice.oscillator.frequency.exponentialRampToValueAtTime(to, at + time);
 
-    // Clean up after fade
-    setTimeout(() => {
+    if (voice.modulator) {
+      voice.modulator.frequency.setValueAtTime(from * voice.fm.ratio, at);
+      voice.modulatorGain.gain.setValueAtTime(from * voice.fm.ratio * voice.fm.index, at);
+      this.rampModulator(voice, to, at + time);
+    }
+  }
+
+  /**
+   * Smoothly fade out and remove a voice
+   * @param {string} id - Voice identifier
+   * @param {number} fadeTime - Fade duration (default: the release of the voice's envelope)
+   * @param {number} at - Audio time the release starts, for notes scheduled ahead (default: now)
+   */
+  releaseVoice(id, fadeTime = null, at = null) {
+    const voice = this.voices.get(id);
+    if (!voice) return;
+
+    const now = this.audioContext.currentTime;
+    const start = Math.max(now, at ?? now);
+    fadeTime = fadeTime ?? this.releaseTime(voice);
+    voice.targetGain = 0;
+    this.emit('release', { id, fadeTime }, at);
+
+    // From wherever the envelope has got to by then
+    const envelope = voice.envelope.gain;
+    envelope.cancelAndHoldAtTime(start);
+    envelope.exponentialRampToValueAtTime(0.0001, start + fadeTime);
+
+    // Clean up after fade - unless it's created again meanwhile (see createVoice)
+    clearTimeout(voice.releaseTimer);
+    voice.releaseTimer = setTimeout(() => {
+      this.removeModulator(voice);
       voice.oscillator.stop();
       voice.oscillator.disconnect();
+      voice.envelope.disconnect();
       voice.gain.disconnect();
+      voice.panner.disconnect();
       this.voices.delete(id);
-    }, fadeTime * 1000 + 100);
+    }, (start - now + fadeTime) * 1000 + 100);
+  }
+
+  /**
+   * How long a voice's release lasts: as its last trigger shaped it, or its family's envelope
+   */
+  releaseTime(voice) {
+    return voice.release ?? this.getEnvelope(voice.family).release;
+  }
+
+  /**
+   * The envelope a prime family plays with
+   * @param {number} family - Prime family, or null for the global envelope
+   * @returns {Object} - {attack, decay, sustain, release}
+   */
+  getEnvelope(family = null) {
+    return (family !== null && this.familyEnvelopes[family]) || this.envelope;
+  }
+
+  /**
+   * Change an envelope - globally, or for one prime family. Voices take it at their next trigger.
+   * @param {Object|null} envelope - {attack, decay, sustain, release}; null clears a family's override
+   * @param {number} family - Prime family, or null to set the global envelope
+   */
+  setEnvelope(envelope, family = null) {
+    if (family === null) {
+      this.envelope = normalizeEnvelope(envelope || {});
+    } else if (envelope === null) {
+      delete this.familyEnvelopes[family];
+    } else {
+      this.familyEnvelopes[family] = normalizeEnvelope(envelope);
+    }
+  }
+
+  /**
+   * A panner for the current spatial mode
+   */
+  createPanner() {
+    if (this.spatialMode !== 'binaural') {
+      return this.audioContext.createStereoPanner();
+    }
+
+    const panner = this.audioContext.createPanner();
+    panner.panningModel = 'HRTF';
+    // Direction only - closeness to the cursor already sets each voice's level
+    panner.distanceModel = 'linear';
+    panner.rolloffFactor = 0;
+    return panner;
+  }
+
+  /**
+   * Place a voice where its node is in the space
+   * @param {string} id - Voice identifier
+   * @param {Object} position - {x, y} relative to the center, in units of the smaller window side
+   *   (see HarmonicSpace.normalizePoint), and depth, 0 (surface) to 1
+   * @param {number} time - Time constant of the move, in seconds
+   */
+  setVoicePosition(id, position, time = 0.05) {
+    const voice = this.voices.get(id);
+    if (!voice) return;
+
+    voice.position = position;
+    this.applyPosition(voice, time);
+  }
+
+  applyPosition(voice, time) {
+    const { x, y, depth } = voice.position;
+    const width = this.spatialWidth;
+    const now = this.audioContext.currentTime;
+    const move = (param, value) => {
+      if (time > 0) {
+        param.setTargetAtTime(value, now, time);
+      } else {
+        param.value = value;
+      }
+    };
+
+    if (voice.panner.pan) {
+      // The window's edges, about half a unit out, land near the ends of the pan
+      move(voice.panner.pan, Math.max(-1, Math.min(1, x * 2 * width)));
+      return;
+    }
+
+    // Around the head: right of center is right, above is ahead, below is behind,
+    // and deeper nodes sit lower. Narrowing pulls every direction towards straight ahead.
+    move(voice.panner.positionX, x * width);
+    move(voice.panner.positionY, -depth * 0.5 * width);
+    move(voice.panner.positionZ, y * width - (1 - width));
+  }
+
+  /**
+   * Switch between stereo panning and binaural placement - sounding voices move across
+   * @param {string} mode - One of SPATIAL_MODES
+   */
+  setSpatialMode(mode) {
+    if (!SPATIAL_MODES.includes(mode)) {
+      throw new Error(`Unknown spatial mode: ${mode}`);
+    }
+    this.spatialMode = mode;
+    if (!this.audioContext) return;
+
+    for (const voice of this.voices.values()) {
+      const panner = this.createPanner();
+      voice.gain.disconnect();
+      voice.gain.connect(panner);
+      panner.connect(this.masterGain);
+      voice.panner.disconnect();
+      voice.panner = panner;
+      this.applyPosition(voice, 0);
+    }
+  }
+
+  /**
+   * Set how widely voices are spread
+   * @param {number} width - 0 (all in the center) to 1
+   */
+  setSpatialWidth(width) {
+    this.spatialWidth = Math.max(0, Math.min(1, width));
+    if (!this.audioContext) return;
+
+    for (const voice of this.voices.values()) {
+      this.applyPosition(voice, 0.05);
+    }
   }
 
   /**
@@ -270,71 +587,182 @@ export class HarmonicEngine {
   setFundamental(freq, time = 0.5) {
     this.fundamental = freq;
     const now = this.audioContext.currentTime;
+    this.emit('fundamental', { freq, time });
+
+    // The delay is timed from the fundamental's period
+    if (this.effects) {
+      this.effects.setFundamental(freq, time);
+    }
 
     // Update fundamental drone
     if (this.fundamentalOsc) {
       this.fundamentalOsc.frequency.exponentialRampToValueAtTime(freq, now + time);
+      this.rampModulator(this.fundamentalVoice, freq, now + time);
     }
 
     // Update all active voices
-    for (const [id, voice] of this.voices) {
+    this.retuneVoices(freq, time);
+  }
+
+  /**
+   * Glide every voice to follow a new fundamental
+   * @param {number} freq - New fundamental frequency
+   * @param {number} time - Transition time
+   */
+  retuneVoices(freq, time) {
+    const now = this.audioContext.currentTime;
+    for (const voice of this.voices.values()) {
       voice.oscillator.frequency.exponentialRampToValueAtTime(
         freq * voice.ratio,
         now + time
       );
+      this.rampModulator(voice, freq * voice.ratio, now + time);
     }
   }
 
   /**
-   * Set master volume
-   * @param {number} volume - Volume level (0-1)
+   * The timbre a prime family sounds with
+   * @param {number} family - Prime family, or null for the global timbre
+   * @returns {string} - Timbre name
    */
-  setMasterVolume(volume) {
-    this.masterVolume = volume;
-    if (this.masterGain) {
-      this.masterGain.gain.value = volume;
+  getTimbre(family = null) {
+    return (family !== null && this.familyTimbres[family]) || this.timbre;
+  }
+
+  /**
+   * Change a timbre - globally, or for one prime family - and apply it to sounding voices
+   * @param {string|null} name - Timbre name from TIMBRES; null clears a family's override
+   * @param {number} family - Prime family, or null to set the global timbre
+   */
+  setTimbre(name, family = null) {
+    if (name !== null && !TIMBRES[name]) {
+      throw new Error(`Unknown timbre: ${name}`);
+    }
+
+    if (family === null) {
+      this.timbre = name || 'sine';
+    } else if (name === null) {
+      delete this.familyTimbres[family];
+    } else {
+      this.familyTimbres[family] = name;
+    }
+
+    if (!this.audioContext) return;
+
+    for (const voice of this.voices.values()) {
+      this.applyTimbre(voice, this.getTimbre(voice.family));
+    }
+    if (this.fundamentalVoice) {
+      this.applyTimbre(this.fundamentalVoice, this.timbre);
     }
   }
 
   /**
-   * Get all prime harmonics as objects with position, color, and ratio info
-   * @param {number} depth - How deep into the prime series to go (affects which primes are visible)
-   * @returns {Array} - Array of harmonic descriptor objects
+   * Switch a sounding voice (or the drone) to a timbre
+   * @param {Object} voice - Voice with oscillator, trim and ratio
+   * @param {string} name - Timbre name
    */
-  getHarmonicsForDepth(depth = 1) {
-    const harmonics = [];
-    const maxPrimeIndex = Math.min(
-      Math.floor(5 + depth * 15), // Start with 5 primes, expand with depth
-      PRIMES.length
-    );
+  applyTimbre(voice, name) {
+    const timbre = TIMBRES[name] || TIMBRES.sine;
+    const now = this.audioContext.currentTime;
 
-    for (let i = 0; i < maxPrimeIndex; i++) {
-      const prime = PRIMES[i];
-      const ratio = getPrimeRatio(prime);
-      const color = PRIME_COLORS[prime] || PRIME_COLORS.default;
-
-      // Also include compound harmonics (prime * 2, prime * 3, etc.) at deeper levels
-      const compounds = depth > 0.5 ? [1, 2] : [1];
-
-      for (const mult of compounds) {
-        const compoundRatio = ratio * mult;
-        if (compoundRatio > 8) continue; // Don't go too high
-
-        harmonics.push({
-          id: `${prime}_${mult}`,
-          prime: prime,
-          ratio: compoundRatio,
-          pureRatio: prime, // The original prime
-          color: color,
-          // Intensity decreases for higher primes (they're more exotic)
-          baseIntensity: 1 / Math.sqrt(i + 1),
-          // Primes 7 and above are the "alien" ones
-          isExotic: prime >= 7
-        });
+    if (timbre.partials) {
+      if (!this.timbreWaves.has(name)) {
+        this.timbreWaves.set(name, createTimbreWave(this.audioContext, timbre.partials));
       }
+      voice.oscillator.setPeriodicWave(this.timbreWaves.get(name));
+    } else {
+      voice.oscillator.type = timbre.type || 'sine';
     }
 
-    return harmonics;
+    // Short glide so a live switch doesn't click
+    voice.trim.gain.setTargetAtTime(timbre.level, now, 0.02);
+
+    if (timbre.fm) {
+      if (!voice.modulator) {
+        voice.modulator = this.audioContext.createOscillator();
+        voice.modulatorGain = this.audioContext.createGain();
+        voice.modulator.connect(voice.modulatorGain);
+        voice.modulatorGain.connect(voice.oscillator.frequency);
+        voice.modulator.start();
+      }
+      voice.fm = timbre.fm;
+
+      const carrier = this.fundamental * voice.ratio;
+      voice.modulator.frequency.setValueAtTime(carrier * voice.fm.ratio, now);
+      voice.modulatorGain.gain.setTargetAtTime(carrier * voice.fm.ratio * voice.fm.index, now, 0.02);
+    } else {
+      this.removeModulator(voice);
+    }
+
+    voice.timbre = name;
+  }
+
+  /**
+   * Keep an FM modulator in proportion while its carrier glides
+   * @param {Object} voice - Voice that may have a modulator
+   * @param {number} carrier - New carrier frequency
+   * @param {number} endTime - When the glide ends
+   */
+  rampModulator(voice, carrier, endTime) {
+    if (!voice || !voice.modulator) return;
+
+    const modulatorFreq = carrier * voice.fm.ratio;
+    voice.modulator.frequency.exponentialRampToValueAtTime(modulatorFreq, endTime);
+    voice.modulatorGain.gain.linearRampToValueAtTime(modulatorFreq * voice.fm.index, endTime);
+  }
+
+  /**
+   * Stop and detach a voice's FM modulator, if it has one
+   */
+  removeModulator(voice) {
+    if (!voice.modulator) return;
+
+    voice.modulator.stop();
+    voice.modulator.disconnect();
+    voice.modulatorGain.disconnect();
+    voice.modulator = null;
+    voice.modulatorGain = null;
+    voice.fm = null;
+  }
+
+  /**
+   * Tell the listener (if any) about a voice change, stamped with audio time
+   * @param {string} type - 'create', 'amplitude', 'release' or 'fundamental'
+   * @param {Object} data - Details of the change
+   * @param {number} at - Audio time the change takes effect, if scheduled ahead (default: now)
+   */
+  emit(type, data, at = null) {
+    if (this.listener) {
+      this.listener(type, data, at ?? this.audioContext.currentTime);
+    }
+  }
+
+  /**
+   * Resolves once every change so far has reached the audio thread. Changes here go
+   * straight onto audio params, so at once - see AdditiveEngine for where it matters.
+   */
+  sync() {
+    return Promise.resolve();
+  }
+
+  /**
+   * Set master volume
+   * @param {number} volume - Volume level (0-1)
+   * @param {number} time - Fade time in seconds (0 for immediate)
+   */
+  setMasterVolume(volume, time = 0) {
+    this.masterVolume = volume;
+    if (!this.masterGain) return;
+
+    if (time > 0) {
+      const now = this.audioContext.currentTime;
+      this.masterGain.gain.cancelScheduledValues(now);
+      this.masterGain.gain.setValueAtTime(this.masterGain.gain.value, now);
+      this.masterGain.gain.linearRampToValueAtTime(volume, now + time);
+    } else {
+      this.masterGain.gain.value = volume;
+    }
   }
 
   /**
@@ -359,4 +787,16 @@ export class HarmonicEngine {
 }
 
 // Export prime utilities for visual layer
-export { PRIMES, PRIME_COLORS, getPrimeRatio };
+export {
+  PRIMES,
+  PRIME_COLORS,
+  FOLDINGS,
+  DEFAULT_FOLDING,
+  SPAN_OCTAVES,
+  AUDIBLE_RANGE,
+  SPATIAL_MODES,
+  getPrimeRatio,
+  getPrimeFraction,
+  normalizeFolding,
+  normalizeSpatial
+};
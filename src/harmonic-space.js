@@ -5,7 +5,9 @@
  * Positions harmonics in a way that feels organic but reflects their relationships.
  */
 
-import { PRIMES, PRIME_COLORS, getPrimeRatio } from './harmonic-engine.js';
+import { PRIMES, PRIME_COLORS, DEFAULT_FOLDING, getPrimeRatio, getPrimeFraction } from './harmonic-engine.js';
+import { createRandom, randomSeed } from './random.js';
+import { primeLimit } from './scala.js';
 
 /**
  * Attempt at generating "organic" positions that still have harmonic meaning.
@@ -16,30 +18,170 @@ import { PRIMES, PRIME_COLORS, getPrimeRatio } from './harmonic-engine.js';
 
 const PHI = (1 + Math.sqrt(5)) / 2; // Golden ratio
 
+// Which side of the fundamental the nodes sound on:
+// - otonal: the overtone series, fundamental * p (folded down)
+// - utonal: the undertone series, fundamental / p (folded up) - the mirror image
+// - both: the two together, mirrored through the center
+const SERIES_MODES = ['otonal', 'utonal', 'both'];
+
 export class HarmonicSpace {
-  constructor(width, height) {
+  /**
+   * @param {number} width - Width of the space in pixels
+   * @param {number} height - Height of the space in pixels
+   * @param {number} seed - Seed for the organic variation (random if omitted)
+   */
+  constructor(width, height, seed = randomSeed()) {
     this.width = width;
     this.height = height;
     this.center = { x: width / 2, y: height / 2 };
     this.depth = 0; // 0 = surface, 1 = deep
     this.time = 0;
+    this.seed = seed;
+    this.scale = null; // Imported Scala scale, or null for the prime series
+    this.series = 'otonal'; // One of SERIES_MODES
+    this.folding = DEFAULT_FOLDING; // How prime ratios are folded (see FOLDINGS)
+    this.audibleRange = { min: 0, max: Infinity }; // Ratios outside this are hidden
+    this.pitchMatch = null; // {id, cents} - the node a tracked microphone pitch is nearest
+    this.pinned = new Map(); // id -> level of latched nodes; kept by id, so it survives regrowing
     this.harmonics = [];
     this.generateHarmonics();
   }
 
+  /**
+   * Populate the space from an imported scale instead of the prime series
+   * @param {Object|null} scale - Parsed .scl (see parseScl), or null to return to the primes
+   */
+  setScale(scale) {
+    this.scale = scale;
+    this.generateHarmonics();
+  }
+
+  /**
+   * Choose overtones, undertones or both
+   * @param {string} series - One of SERIES_MODES
+   */
+  setSeries(series) {
+    this.series = series;
+    this.generateHarmonics();
+  }
+
+  /**
+   * Change how prime ratios are folded into range
+   * @param {Object} folding - Folding strategy (see FOLDINGS)
+   */
+  setFolding(folding) {
+    this.folding = folding;
+    this.generateHarmonics();
+  }
+
+  /**
+   * Limit which ratios can be seen (and so sounded) - the audible band at the current fundamental
+   * @param {number} min - Lowest ratio
+   * @param {number} max - Highest ratio
+   */
+  setAudibleRange(min, max) {
+    this.audibleRange = { min, max };
+  }
+
+  /**
+   * The pitches the space is built from, simplest first.
+   * Earlier pitches sit nearer the center and are visible from the surface.
+   * @returns {Array} - {id, prime, ratio, numerator, denominator, label, exact}
+   */
+  getNodeSources() {
+    if (!this.scale) {
+      return PRIMES.map(prime => {
+        const fraction = getPrimeFraction(prime, this.folding);
+        return {
+          id: `prime_${prime}`,
+          prime: prime,
+          ratio: getPrimeRatio(prime, this.folding),
+          ...fraction,
+          label: `${fraction.numerator}/${fraction.denominator}`,
+          exact: true
+        };
+      });
+    }
+
+    // Scale degrees are ordered by prime limit, then by the size of the fraction,
+    // so the familiar ones come first just as the low primes do
+    return this.scale.degrees
+      .map((degree, index) => ({
+        degree,
+        index,
+        limit: Math.max(2, primeLimit(degree.numerator, degree.denominator))
+      }))
+      .sort((a, b) =>
+        a.limit - b.limit ||
+        a.degree.numerator * a.degree.denominator - b.degree.numerator * b.degree.denominator
+      )
+      .map(({ degree, index, limit }) => ({
+        id: `degree_${index}`,
+        prime: limit, // The prime family this degree belongs to
+        ratio: degree.ratio,
+        numerator: degree.numerator,
+        denominator: degree.denominator,
+        label: degree.text,
+        exact: degree.exact
+      }));
+  }
+
+  /**
+   * The undertone mirror of a pitch: the reciprocal ratio.
+   * A 7/4 above the fundamental becomes a 4/7 below it - fundamental / 7,
+   * folded up by the same octaves the overtone was folded down.
+   * @param {Object} source - A pitch from getNodeSources
+   * @returns {Object} - The mirrored pitch
+   */
+  getUndertoneSource(source) {
+    return {
+      ...source,
+      id: `${source.id}_under`,
+      ratio: 1 / source.ratio,
+      numerator: source.denominator,
+      denominator: source.numerator,
+      label: source.exact ? `${source.denominator}/${source.numerator}` : `-${source.label}`
+    };
+  }
+
+  /**
+   * Regrow the space from a seed - the same seed always gives the same motion
+   * @param {number} seed - 32-bit integer seed
+   */
+  reseed(seed) {
+    this.seed = seed;
+    this.time = 0;
+    this.generateHarmonics();
+  }
+
   /**
    * Generate the harmonic nodes with positions
    */
   generateHarmonics() {
     const minDim = Math.min(this.width, this.height);
     const baseRadius = minDim * 0.35;
+    const random = createRandom(this.seed);
+    const pitches = this.getNodeSources();
+    const count = pitches.length;
+
+    // Each undertone shares its overtone's place in the spiral, reflected through the center
+    const sources = [];
+    if (this.series !== 'utonal') {
+      pitches.forEach((pitch, index) => sources.push({ ...pitch, index, isUndertone: false }));
+    }
+    if (this.series !== 'otonal') {
+      pitches.forEach((pitch, index) => sources.push({ ...this.getUndertoneSource(pitch), index, isUndertone: true }));
+    }
+
+    // Primes reveal over a fixed span; larger imported scales stretch it to fit depth 0-1
+    const revealSpan = this.scale ? Math.max(15, (count - 4) / 1.3) : 15;
 
     this.harmonics = [];
 
-    // Generate positions for first N primes
-    for (let i = 0; i < PRIMES.length; i++) {
-      const prime = PRIMES[i];
-      const ratio = getPrimeRatio(prime);
+    // Generate positions for each pitch
+    for (const source of sources) {
+      const { id, prime, ratio, numerator, denominator, label, exact, isUndertone } = source;
+      const i = source.index;
       const color = PRIME_COLORS[prime] || PRIME_COLORS.default;
 
       // Spiral positioning
@@ -49,23 +191,29 @@ export class HarmonicSpace {
 
       // Distance: further for higher primes, with some variation
       // First primes (2, 3, 5) are closer, exotic primes are further
-      const normalizedIndex = i / (PRIMES.length - 1);
+      const normalizedIndex = count > 1 ? i / (count - 1) : 0;
       const distanceBase = 0.25 + normalizedIndex * 0.5; // 0.25 to 0.75 of radius
       const distanceVariation = Math.sin(prime * 0.7) * 0.1;
       const distance = baseRadius * (distanceBase + distanceVariation);
 
-      // Position
-      const x = this.center.x + Math.cos(angle) * distance;
-      const y = this.center.y + Math.sin(angle) * distance;
+      // Position - undertones on the opposite side of the fundamental
+      const side = isUndertone ? -1 : 1;
+      const x = this.center.x + side * Math.cos(angle) * distance;
+      const y = this.center.y + side * Math.sin(angle) * distance;
 
       // Size based on "importance" - lower primes are larger
       const baseSize = 30 - i * 0.8;
       const size = Math.max(12, baseSize);
 
       this.harmonics.push({
-        id: `prime_${prime}`,
+        id: id,
         prime: prime,
         ratio: ratio,
+        numerator: numerator,
+        denominator: denominator,
+        label: label,
+        exact: exact, // False for a pitch known only in cents
+        isUndertone: isUndertone,
         x: x,
         y: y,
         baseX: x,
@@ -75,14 +223,14 @@ export class HarmonicSpace {
         color: color,
         amplitude: 0, // Current sounding amplitude
         glow: 0, // Visual glow amount
-        phase: Math.random() * Math.PI * 2, // For breathing animation
+        phase: random() * Math.PI * 2, // For breathing animation
         breathRate: 0.5 + prime * 0.02, // Slightly different breath rates
         isExotic: prime >= 7,
         // Depth at which this harmonic becomes visible
-        visibilityDepth: Math.max(0, (i - 4) / 15),
+        visibilityDepth: Math.max(0, (i - 4) / revealSpan),
         // For organic movement
-        wanderAngle: Math.random() * Math.PI * 2,
-        wanderSpeed: 0.1 + Math.random() * 0.2
+        wanderAngle: random() * Math.PI * 2,
+        wanderSpeed: 0.1 + random() * 0.2
       });
     }
   }
@@ -111,6 +259,35 @@ export class HarmonicSpace {
     this.generateHarmonics();
   }
 
+  /**
+   * Convert a screen point to size-independent coordinates
+   * (relative to the center, in units of the smaller window dimension)
+   * @param {number} x - X coordinate in pixels
+   * @param {number} y - Y coordinate in pixels
+   * @returns {Object} - {x, y} normalized point
+   */
+  normalizePoint(x, y) {
+    const minDim = Math.min(this.width, this.height);
+    return {
+      x: (x - this.center.x) / minDim,
+      y: (y - this.center.y) / minDim
+    };
+  }
+
+  /**
+   * Convert a normalized point back to screen pixels at the current size
+   * @param {number} x - Normalized X
+   * @param {number} y - Normalized Y
+   * @returns {Object} - {x, y} in pixels
+   */
+  denormalizePoint(x, y) {
+    const minDim = Math.min(this.width, this.height);
+    return {
+      x: this.center.x + x * minDim,
+      y: this.center.y + y * minDim
+    };
+  }
+
   /**
    * Set the depth level (affects which harmonics are visible)
    * @param {number} depth - 0 (surface) to 1 (deep)
@@ -146,7 +323,10 @@ export class HarmonicSpace {
    * Get visible harmonics at current depth
    */
   getVisibleHarmonics() {
-    return this.harmonics.filter(h => h.visibilityDepth <= this.depth + 0.3);
+    const { min, max } = this.audibleRange;
+    return this.harmonics.filter(h =>
+      h.visibilityDepth <= this.depth + 0.3 && h.ratio >= min && h.ratio <= max
+    );
   }
 
   /**
@@ -192,6 +372,22 @@ export class HarmonicSpace {
     }
   }
 
+  /**
+   * Mark which nodes are latched on, and at what level
+   * @param {Map} pinned - Harmonic id -> level
+   */
+  setPinned(pinned) {
+    this.pinned = pinned;
+  }
+
+  /**
+   * Mark the node a tracked pitch is nearest to
+   * @param {Object|null} match - {id, cents}, or null to clear it
+   */
+  setPitchMatch(match) {
+    this.pitchMatch = match;
+  }
+
   /**
    * Get harmonic by ID
    */
@@ -199,3 +395,5 @@ export class HarmonicSpace {
     return this.harmonics.find(h => h.id === id);
   }
 }
+
+export { SERIES_MODES };
@@ -0,0 +1,112 @@
+/**
+ * Influence Fields
+ *
+ * Every mouse, finger and pen on the space is a field: a point, and how hard it presses.
+ * Nodes within reach sound by their closeness and the pressure. Where fields overlap,
+ * their contributions add as power, the way two unrelated sources do - two light
+ * touches on a node are louder than one, but not twice as loud.
+ *
+ * Fields also keep their speed, so a node can tell a swipe from a hover (see envelopes.js).
+ */
+
+// Intensity of a field resting on the space (hovering), and how much full pressure adds.
+// A mouse button reports a pressure of 0.5, which gives 0.6.
+const REST_INTENSITY = 0.25;
+const PRESSURE_GAIN = 0.7;
+
+// No node sounds louder than this, however many fields reach it
+const MAX_AMPLITUDE = 0.8;
+
+// Time constant of a field's speed, in seconds - smooths jittery pointer events, and lets a stopped field come to rest
+const SPEED_SMOOTHING = 0.05;
+
+/**
+ * Intensity of a field from its pointer pressure
+ * @param {number} pressure - 0 (hovering) to 1 (pressed hard), as PointerEvent.pressure
+ * @returns {number}
+ */
+function fieldIntensity(pressure) {
+  return REST_INTENSITY + PRESSURE_GAIN * Math.max(0, Math.min(1, pressure));
+}
+
+/**
+ * Amplitudes of every node within reach of any field
+ * @param {HarmonicSpace} space - The space the fields are on
+ * @param {Array} fields - [{x, y, pressure}], positions in pixels
+ * @param {number} radius - Reach of each field, in pixels
+ * @returns {Map} - Harmonic id -> amplitude
+ */
+function fieldAmplitudes(space, fields, radius) {
+  const power = new Map();
+
+  for (const field of fields) {
+    const intensity = fieldIntensity(field.pressure);
+    for (const { harmonic, influence } of space.getHarmonicsNear(field.x, field.y, radius)) {
+      // Higher primes are quieter - they're harsher, and there are more of them
+      const amplitude = influence * intensity / Math.sqrt(harmonic.prime / 2);
+      power.set(harmonic.id, (power.get(harmonic.id) || 0) + amplitude * amplitude);
+    }
+  }
+
+  const amplitudes = new Map();
+  for (const [id, sum] of power) {
+    amplitudes.set(id, Math.min(MAX_AMPLITUDE, Math.sqrt(sum)));
+  }
+  return amplitudes;
+}
+
+/**
+ * A field moved to a new point, with its speed brought up to date
+ * @param {Object|undefined} field - The field before the move: {x, y, pressure, speed, movedAt}, or nothing for a new one
+ * @param {number} x - New position, in pixels
+ * @param {number} y
+ * @param {number} time - When, in milliseconds (performance.now())
+ * @returns {Object} - The moved field
+ */
+function moveField(field, x, y, time) {
+  if (!field || field.movedAt === undefined) {
+    return { pressure: 0, ...field, x, y, speed: 0, movedAt: time };
+  }
+
+  const dt = (time - field.movedAt) / 1000;
+  if (dt <= 0) {
+    return { ...field, x, y };
+  }
+
+  const instant = Math.hypot(x - field.x, y - field.y) / dt;
+  const blend = 1 - Math.exp(-dt / SPEED_SMOOTHING);
+  const speed = field.speed + (instant - field.speed) * blend;
+  return { ...field, x, y, speed, movedAt: time };
+}
+
+/**
+ * How fast a field is going now - its speed dies away once it stops moving
+ * @param {Object} field - {speed, movedAt}
+ * @param {number} time - Now, in milliseconds
+ * @returns {number} - Pixels per second
+ */
+function fieldSpeed(field, time) {
+  if (!field.speed) return 0;
+  return field.speed * Math.exp(-Math.max(0, time - field.movedAt) / 1000 / SPEED_SMOOTHING);
+}
+
+/**
+ * The fastest field reaching each node
+ * @param {HarmonicSpace} space - The space the fields are on
+ * @param {Array} fields - Fields as moveField makes them
+ * @param {number} radius - Reach of each field, in pixels
+ * @param {number} time - Now, in milliseconds
+ * @returns {Map} - Harmonic id -> speed in pixels per second
+ */
+function fieldSpeeds(space, fields, radius, time) {
+  const speeds = new Map();
+  for (const field of fields) {
+    const speed = fieldSpeed(field, time);
+    for (const { harmonic } of space.getHarmonicsNear(field.x, field.y, radius)) {
+      speeds.set(harmonic.id, Math.max(speeds.get(harmonic.id) || 0, speed));
+    }
+  }
+  return speeds;
+}
+
+export { REST_INTENSITY, fieldIntensity, fieldAmplitudes, moveField, fieldSpeed, fieldSpeeds };
@@ -0,0 +1,60 @@
+/**
+ * Harmonic Inspector
+ *
+ * "What am I hearing right now?" - the numbers behind each node.
+ * For every node under the cursor or sounding: its prime, the exact ratio,
+ * the frequency at the current fundamental, the interval size in cents,
+ * and where it lands against the piano - the nearest 12-TET note (A4 = 440 Hz)
+ * and how many cents it sits off that note.
+ */
+
+const NOTE_NAMES = ['C', 'C♯', 'D', 'E♭', 'E', 'F', 'F♯', 'G', 'A♭', 'A', 'B♭', 'B'];
+
+/**
+ * The nearest equal-tempered note to a frequency
+ * @param {number} frequency - Frequency in Hz
+ * @returns {Object} - {name, midi, deviation}: e.g. {name: 'G4', midi: 67, deviation: -31.2}
+ */
+function nearestNote(frequency) {
+  const exact = 69 + 12 * Math.log2(frequency / 440);
+  const midi = Math.round(exact);
+  const octave = Math.floor(midi / 12) - 1;
+
+  return {
+    name: `${NOTE_NAMES[((midi % 12) + 12) % 12]}${octave}`,
+    midi,
+    deviation: (exact - midi) * 100
+  };
+}
+
+/**
+ * Everything the inspector shows about one node
+ * @param {Object} harmonic - A node from HarmonicSpace
+ * @param {number} fundamental - Current fundamental in Hz
+ * @returns {Object} - {id, prime, fraction, frequency, cents, note, deviation, isUndertone}
+ */
+function describeHarmonic(harmonic, fundamental) {
+  const frequency = fundamental * harmonic.ratio;
+  const note = nearestNote(frequency);
+
+  return {
+    id: harmonic.id,
+    prime: harmonic.prime,
+    fraction: harmonic.label, // Exact fraction, or the cents text of an inexact scale degree
+    frequency,
+    cents: 1200 * Math.log2(harmonic.ratio),
+    note: note.name,
+    deviation: note.deviation,
+    isUndertone: harmonic.isUndertone
+  };
+}
+
+/**
+ * Format a signed cents value, e.g. "+3.9¢", "−31.2¢"
+ */
+function formatCents(cents) {
+  const sign = cents < -0.05 ? '−' : '+';
+  return `${sign}${Math.abs(cents).toFixed(1)}¢`;
+}
+
+export { NOTE_NAMES, nearestNote, describeHarmonic, formatCents };
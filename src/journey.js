@@ -0,0 +1,187 @@
+/**
+ * Journeys
+ *
+ * A journey is a timestamped log of everything a listener did in the space:
+ * where the cursor went, when it was held, how deep they scrolled, where the
+ * fundamental moved. Together with the seed the space was grown from and the
+ * state it started in (folding, series, scale, timbres), that's enough to
+ * replay the same sights and sounds on any machine.
+ *
+ * Cursor positions are stored normalized (see HarmonicSpace.normalizePoint),
+ * so a journey recorded in one window size replays correctly in another.
+ */
+
+import { normalizeFolding } from './harmonic-engine.js';
+import { SERIES_MODES } from './harmonic-space.js';
+import { normalizeTimbres } from './timbres.js';
+
+const JOURNEY_VERSION = 1;
+
+// Every kind of event a journey can contain
+const EVENT_TYPES = ['move', 'hold', 'release', 'depth', 'fundamental', 'reset', 'pin', 'unpin-all', 'lift'];
+
+/**
+ * Records interaction events against a clock
+ */
+export class JourneyRecorder {
+  constructor() {
+    this.isRecording = false;
+    this.journey = null;
+    this.startTime = 0;
+  }
+
+  /**
+   * Begin a new recording
+   * @param {number} seed - Seed the space was regrown from at the start
+   * @param {Object} initial - Starting state: {fundamental, depth, folding, series, scale, timbres}
+   * @param {number} now - Current time in milliseconds
+   */
+  start(seed, initial, now) {
+    this.journey = {
+      version: JOURNEY_VERSION,
+      seed: seed,
+      initial: { ...initial },
+      duration: 0,
+      events: []
+    };
+    this.startTime = now;
+    this.isRecording = true;
+  }
+
+  /**
+   * Add an event to the log (ignored unless recording)
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} data - Event payload
+   * @param {number} now - Current time in milliseconds
+   */
+  record(type, data, now) {
+    if (!this.isRecording) return;
+
+    this.journey.events.push({
+      t: (now - this.startTime) / 1000,
+      type: type,
+      ...data
+    });
+  }
+
+  /**
+   * Finish recording
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - The completed journey
+   */
+  stop(now) {
+    if (!this.isRecording) return this.journey;
+
+    this.journey.duration = (now - this.startTime) / 1000;
+    this.isRecording = false;
+    return this.journey;
+  }
+}
+
+/**
+ * Plays a journey back by dispatching its events on schedule
+ */
+export class JourneyPlayer {
+  /**
+   * @param {Function} dispatch - Called with each event as it comes due
+   */
+  constructor(dispatch) {
+    this.dispatch = dispatch;
+    this.journey = null;
+    this.isPlaying = false;
+    this.startTime = 0;
+    this.nextIndex = 0;
+  }
+
+  /**
+   * Start playing a journey from the beginning
+   * @param {Object} journey - A journey produced by JourneyRecorder or parseJourney
+   * @param {number} now - Current time in milliseconds
+   */
+  play(journey, now) {
+    this.journey = journey;
+    this.startTime = now;
+    this.nextIndex = 0;
+    this.isPlaying = true;
+  }
+
+  /**
+   * Dispatch all events that have come due
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} - Whether playback is still running
+   */
+  update(now) {
+    if (!this.isPlaying) return false;
+
+    const elapsed = (now - this.startTime) / 1000;
+    const events = this.journey.events;
+
+    while (this.nextIndex < events.length && events[this.nextIndex].t <= elapsed) {
+      this.dispatch(events[this.nextIndex]);
+      this.nextIndex++;
+    }
+
+    if (this.nextIndex >= events.length && elapsed >= this.journey.duration) {
+      this.isPlaying = false;
+    }
+
+    return this.isPlaying;
+  }
+
+  /**
+   * Stop playback where it is
+   */
+  stop() {
+    this.isPlaying = false;
+  }
+}
+
+/**
+ * Serialize a journey for saving
+ * @param {Object} journey - The journey to save
+ * @returns {string} - JSON text
+ */
+function serializeJourney(journey) {
+  return JSON.stringify(journey, null, 2);
+}
+
+/**
+ * Parse and validate a saved journey
+ * @param {string} text - JSON text
+ * @returns {Object} - The journey, with events sorted by time
+ */
+function parseJourney(text) {
+  const journey = JSON.parse(text);
+
+  if (!journey || journey.version !== JOURNEY_VERSION) {
+    throw new Error('Unsupported journey file');
+  }
+  if (!Number.isInteger(journey.seed) || !Array.isArray(journey.events)) {
+    throw new Error('Journey is missing its seed or events');
+  }
+
+  // Starting state beyond fundamental and depth came later, so each part is optional
+  const initial = journey.initial || {};
+  if (initial.folding) initial.folding = normalizeFolding(initial.folding);
+  if (initial.series !== undefined && !SERIES_MODES.includes(initial.series)) initial.series = 'otonal';
+  if (initial.timbres) initial.timbres = normalizeTimbres(initial.timbres);
+  if (initial.scale && !Array.isArray(initial.scale.degrees)) {
+    throw new Error('Journey scale has no degrees');
+  }
+
+  for (const event of journey.events) {
+    if (typeof event.t !== 'number' || !EVENT_TYPES.includes(event.type)) {
+      throw new Error(`Invalid journey event: ${JSON.stringify(event)}`);
+    }
+  }
+
+  journey.events.sort((a, b) => a.t - b.t);
+  journey.duration = Math.max(
+    journey.duration || 0,
+    journey.events.length ? journey.events[journey.events.length - 1].t : 0
+  );
+
+  return journey;
+}
+
+export { EVENT_TYPES, serializeJourney, parseJourney };
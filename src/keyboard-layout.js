@@ -0,0 +1,73 @@
+/**
+ * Keyboard Layout
+ *
+ * Puts nodes under the fingers. Letter keys are dealt out to the visible nodes -
+ * lowest ratio first, or family by family - so at a given depth the same key
+ * always finds the same node. Keys can also be bound to a node by hand; a bound
+ * key keeps its node wherever that node is visible, and the rest are dealt around it.
+ *
+ * Keys are matched by KeyboardEvent.code, the physical key, so the layout keeps
+ * its shape on AZERTY or Dvorak. F and R are left out: they show frequencies and reset.
+ */
+
+const LAYOUT_ORDERS = ['ratio', 'prime'];
+
+// Three rows of letters, in dealing order
+const LAYOUT_KEYS = [
+  'KeyQ', 'KeyW', 'KeyE', 'KeyT', 'KeyY', 'KeyU', 'KeyI', 'KeyO', 'KeyP',
+  'KeyA', 'KeyS', 'KeyD', 'KeyG', 'KeyH', 'KeyJ', 'KeyK', 'KeyL',
+  'KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyB', 'KeyN', 'KeyM'
+];
+
+/**
+ * What to print on a node for a key
+ * @param {string} code - KeyboardEvent.code, e.g. 'KeyQ'
+ */
+function keyLabel(code) {
+  return code.replace(/^Key/, '');
+}
+
+/**
+ * Deal keys out to nodes
+ * @param {Array} harmonics - Visible nodes, each with id, prime and ratio
+ * @param {string} order - One of LAYOUT_ORDERS
+ * @param {Object} bindings - Keys bound by hand: {code: harmonic id}. A bound key whose
+ *   node is out of sight stays silent rather than being dealt to another node.
+ * @returns {Map} - code -> harmonic id
+ */
+function buildKeyLayout(harmonics, order = 'ratio', bindings = {}) {
+  const layout = new Map();
+  const visible = new Set(harmonics.map(h => h.id));
+
+  for (const [code, id] of Object.entries(bindings)) {
+    if (visible.has(id)) layout.set(code, id);
+  }
+
+  const bound = new Set(layout.values());
+  const compare = order === 'prime'
+    ? (a, b) => a.prime - b.prime || a.ratio - b.ratio
+    : (a, b) => a.ratio - b.ratio;
+  const nodes = harmonics.filter(h => !bound.has(h.id)).sort(compare);
+  const keys = LAYOUT_KEYS.filter(code => !(code in bindings));
+
+  nodes.slice(0, keys.length).forEach((h, i) => layout.set(keys[i], h.id));
+  return layout;
+}
+
+/**
+ * Bind a key to a node by hand, or unbind it
+ * @param {Object} bindings - Current bindings: {code: harmonic id}
+ * @param {string} code - Key to bind
+ * @param {string|null} id - Node to bind it to, or null to give the key back to dealing
+ * @returns {Object} - New bindings; a node has at most one bound key
+ */
+function bindKey(bindings, code, id) {
+  const next = {};
+  for (const [bound, boundId] of Object.entries(bindings)) {
+    if (bound !== code && boundId !== id) next[bound] = boundId;
+  }
+  if (id) next[code] = id;
+  return next;
+}
+
+export { LAYOUT_ORDERS, LAYOUT_KEYS, keyLabel, buildKeyLayout, bindKey };
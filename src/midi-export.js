@@ -0,0 +1,258 @@
+/**
+ * MIDI Export
+ *
+ * Turns a logged session into a Standard MIDI File that reproduces the exact frequencies.
+ * MIDI notes only know 12-TET, so each harmonic gets the nearest note plus a pitch bend
+ * for the remainder - and since bends apply to a whole channel, every sounding voice
+ * gets a channel of its own, the way MPE (MIDI Polyphonic Expression) works.
+ *
+ * Layout: channel 1 is the MPE master channel, channels 2-16 carry one voice each.
+ * Amplitude is written as note velocity, then followed with CC11 (expression).
+ */
+
+const TICKS_PER_QUARTER = 480;
+const MICROSECONDS_PER_QUARTER = 500000; // 120 bpm - 960 ticks per second
+const TICKS_PER_SECOND = TICKS_PER_QUARTER * 1000000 / MICROSECONDS_PER_QUARTER;
+
+const MEMBER_CHANNELS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15]; // Zero-based
+const SILENCE = 0.001; // Amplitudes at or below this count as note off
+
+/**
+ * Captures an engine's voice changes so they can be exported afterwards
+ */
+export class VoiceRecorder {
+  constructor() {
+    this.engine = null;
+    this.log = null;
+    this.startTime = 0;
+  }
+
+  /**
+   * Start listening to an engine, beginning with whatever is already sounding
+   * @param {HarmonicEngine} engine - An initialized engine
+   */
+  start(engine) {
+    this.engine = engine;
+    const startTime = engine.audioContext.currentTime;
+    const log = {
+      fundamental: engine.fundamental,
+      duration: 0,
+      events: []
+    };
+
+    for (const [id, voice] of engine.voices) {
+      if (voice.targetGain <= SILENCE) continue;
+      log.events.push({ time: 0, type: 'create', id, ratio: voice.ratio });
+      log.events.push({ time: 0, type: 'amplitude', id, amplitude: voice.targetGain, ramp: 0 });
+    }
+
+    // Engine events carry their ramp length as 'time' - keep it as 'ramp' next to the timestamp
+    engine.listener = (type, data, time) => {
+      log.events.push({ ...data, type, time: time - startTime, ramp: data.time });
+    };
+
+    this.startTime = startTime;
+    this.log = log;
+  }
+
+  /**
+   * Stop listening
+   * @returns {Object|null} - The captured log: {fundamental, duration, events}
+   */
+  stop() {
+    if (!this.engine) return this.log;
+
+    this.log.duration = this.engine.audioContext.currentTime - this.startTime;
+    this.engine.listener = null;
+    this.engine = null;
+    return this.log;
+  }
+
+  get isRecording() {
+    return this.engine !== null;
+  }
+}
+
+/**
+ * Write a variable-length quantity (MIDI's 7-bits-per-byte integer encoding)
+ */
+function writeVarLength(bytes, value) {
+  const stack = [value & 0x7f];
+  value >>= 7;
+  while (value > 0) {
+    stack.push((value & 0x7f) | 0x80);
+    value >>= 7;
+  }
+  while (stack.length) {
+    bytes.push(stack.pop());
+  }
+}
+
+/**
+ * Split a frequency into the nearest MIDI note and a 14-bit pitch bend
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} bendRange - Pitch bend range in semitones
+ * @returns {Object} - {note, bend}, or null if the pitch can't be reached
+ */
+function frequencyToNoteAndBend(frequency, bendRange) {
+  const exact = 69 + 12 * Math.log2(frequency / 440);
+  const note = Math.round(exact);
+  if (note < 0 || note > 127) return null;
+
+  const bend = 8192 + Math.round((exact - note) / bendRange * 8192);
+  return { note, bend: Math.max(0, Math.min(16383, bend)) };
+}
+
+/**
+ * Convert an amplitude (0-1) to a MIDI data value
+ */
+function amplitudeToValue(amplitude) {
+  return Math.max(1, Math.min(127, Math.round(amplitude * 127)));
+}
+
+/**
+ * Encode a voice log as a Standard MIDI File (format 0)
+ * @param {Object} log - Log from VoiceRecorder: {fundamental, duration, events}
+ * @param {Object} options
+ * @param {number} options.bendRange - Pitch bend range in semitones for member channels
+ * @param {string} options.name - Track name
+ * @returns {Uint8Array} - The complete .mid file
+ */
+function encodeMidiFile(log, { bendRange = 2, name = 'Harmonic Depths' } = {}) {
+  const messages = []; // {tick, data: [bytes]}
+  const at = (seconds, ...data) => {
+    messages.push({ tick: Math.max(0, Math.round(seconds * TICKS_PER_SECOND)), data });
+  };
+
+  // MPE configuration: lower zone with 15 member channels, then each member's bend range
+  at(0, 0xb0, 101, 0, 0xb0, 100, 6, 0xb0, 6, MEMBER_CHANNELS.length);
+  for (const channel of MEMBER_CHANNELS) {
+    const status = 0xb0 | channel;
+    at(0, status, 101, 0, status, 100, 0, status, 6, bendRange, status, 38, 0, status, 101, 127, status, 100, 127);
+  }
+
+  let fundamental = log.fundamental;
+  const ratios = new Map(); // voice id -> ratio
+  const notes = new Map(); // voice id -> {channel, note, bend, amplitude}
+  // Channels in the order they came free - a channel whose note-off still lies ahead stays taken until then
+  const freeChannels = MEMBER_CHANNELS.map(channel => ({ channel, freeAt: 0 }));
+
+  const noteOff = (id, seconds) => {
+    const sounding = notes.get(id);
+    if (!sounding) return;
+    at(seconds, 0x80 | sounding.channel, sounding.note, 0);
+    notes.delete(id);
+    freeChannels.push({ channel: sounding.channel, freeAt: seconds });
+  };
+
+  const noteOn = (id, seconds, amplitude) => {
+    const pitch = frequencyToNoteAndBend(fundamental * ratios.get(id), bendRange);
+    const free = freeChannels.findIndex(entry => entry.freeAt <= seconds);
+    // Voices beyond the 15 member channels, or outside MIDI's range, are dropped
+    if (!pitch || free < 0) return;
+
+    const [{ channel }] = freeChannels.splice(free, 1);
+    at(seconds, 0xe0 | channel, pitch.bend & 0x7f, pitch.bend >> 7);
+    at(seconds, 0xb0 | channel, 11, 127);
+    at(seconds, 0x90 | channel, pitch.note, amplitudeToValue(amplitude));
+    notes.set(id, { channel, ...pitch, amplitude });
+  };
+
+  for (const event of log.events) {
+    const t = event.time;
+
+    switch (event.type) {
+      case 'create':
+        ratios.set(event.id, event.ratio);
+        break;
+
+      case 'amplitude':
+        if (!ratios.has(event.id)) break;
+        if (event.amplitude <= SILENCE) {
+          // Let the fade finish before the note ends
+          noteOff(event.id, t + (event.ramp || 0));
+        } else if (notes.has(event.id)) {
+          const sounding = notes.get(event.id);
+          sounding.amplitude = event.amplitude;
+          at(t, 0xb0 | sounding.channel, 11, amplitudeToValue(event.amplitude));
+        } else {
+          noteOn(event.id, t, event.amplitude);
+        }
+        break;
+
+      case 'release':
+        // The ratio stays: a voice brought back while it fades keeps its id without a new 'create'
+        noteOff(event.id, t + (event.fadeTime || 0));
+        break;
+
+      case 'fundamental': {
+        fundamental = event.freq;
+        // Re-bend every sounding note; retrigger any that moved beyond the bend range
+        for (const [id, sounding] of [...notes]) {
+          const pitch = frequencyToNoteAndBend(fundamental * ratios.get(id), bendRange);
+          if (pitch && pitch.note === sounding.note) {
+            at(t, 0xe0 | sounding.channel, pitch.bend & 0x7f, pitch.bend >> 7);
+            sounding.bend = pitch.bend;
+          } else {
+            noteOff(id, t);
+            noteOn(id, t, sounding.amplitude);
+          }
+        }
+        break;
+      }
+    }
+  }
+
+  // Anything still sounding ends with the session
+  for (const id of [...notes.keys()]) {
+    noteOff(id, log.duration);
+  }
+
+  // Stable sort keeps same-tick messages in the order they were written
+  messages.sort((a, b) => a.tick - b.tick);
+
+  // Track data
+  const track = [];
+  const nameBytes = Array.from(new TextEncoder().encode(name));
+
+  writeVarLength(track, 0);
+  track.push(0xff, 0x03);
+  writeVarLength(track, nameBytes.length);
+  track.push(...nameBytes);
+
+  writeVarLength(track, 0);
+  track.push(0xff, 0x51, 0x03,
+    (MICROSECONDS_PER_QUARTER >> 16) & 0xff,
+    (MICROSECONDS_PER_QUARTER >> 8) & 0xff,
+    MICROSECONDS_PER_QUARTER & 0xff);
+
+  let lastTick = 0;
+  for (const { tick, data } of messages) {
+    // Each message holds one or more 3-byte channel messages at the same tick
+    for (let i = 0; i < data.length; i += 3) {
+      writeVarLength(track, i === 0 ? tick - lastTick : 0);
+      track.push(data[i], data[i + 1], data[i + 2]);
+    }
+    lastTick = tick;
+  }
+
+  const endTick = Math.max(lastTick, Math.round(log.duration * TICKS_PER_SECOND));
+  writeVarLength(track, endTick - lastTick);
+  track.push(0xff, 0x2f, 0x00);
+
+  // Header + one track chunk
+  const file = new Uint8Array(14 + 8 + track.length);
+  const view = new DataView(file.buffer);
+  file.set([0x4d, 0x54, 0x68, 0x64], 0); // MThd
+  view.setUint32(4, 6);
+  view.setUint16(8, 0); // Format 0
+  view.setUint16(10, 1); // One track
+  view.setUint16(12, TICKS_PER_QUARTER);
+  file.set([0x4d, 0x54, 0x72, 0x6b], 14); // MTrk
+  view.setUint32(18, track.length);
+  file.set(track, 22);
+
+  return file;
+}
+
+export { frequencyToNoteAndBend, encodeMidiFile };
@@ -0,0 +1,176 @@
+/**
+ * MIDI Input
+ *
+ * Lets a keyboard or fader box play the space.
+ * - Notes sound specific harmonic nodes, velocity sets their amplitude
+ * - Control changes (CC) steer depth, master volume and the fundamental
+ *
+ * The controller never touches Web MIDI directly: it listens to a "source",
+ * anything with a listen(handler) method that delivers raw MIDI bytes.
+ * Web MIDI provides the real one; a test can provide a fake and send bytes itself.
+ */
+
+// Things a CC can control - each receives a value from 0 to 1
+const CONTROL_TARGETS = ['depth', 'volume', 'fundamental'];
+
+const DEFAULT_MAPPING = {
+  // Notes from here upward sound the nodes in order (prime 2, 3, 5, 7...)
+  baseNote: 48,
+  // Explicit note -> harmonic id bindings, from MIDI learn; these win over baseNote
+  notes: {},
+  // CC number -> control target
+  controls: { 1: 'depth', 7: 'volume', 74: 'fundamental' }
+};
+
+/**
+ * Connect to every Web MIDI input, including devices plugged in later
+ * @returns {Promise<Object|null>} - A MIDI source, or null if Web MIDI is unavailable
+ */
+async function requestWebMidiSource() {
+  if (!navigator.requestMIDIAccess) return null;
+
+  const access = await navigator.requestMIDIAccess();
+
+  return {
+    listen(handler) {
+      const attach = () => {
+        for (const input of access.inputs.values()) {
+          input.onmidimessage = e => handler(e.data);
+        }
+      };
+      attach();
+      access.onstatechange = attach;
+    }
+  };
+}
+
+/**
+ * Turns raw MIDI messages into harmonic notes and control moves
+ */
+export class MidiController {
+  /**
+   * @param {Object} actions - Callbacks into the application
+   * @param {Function} actions.getHarmonicIds - Returns node ids in note order
+   * @param {Function} actions.onNoteOn - (id, velocity 0-1)
+   * @param {Function} actions.onNoteOff - (id)
+   * @param {Function} actions.onControl - (target, value 0-1)
+   * @param {Function} actions.onLearn - (binding) after MIDI learn binds something
+   * @param {Object} mapping - Saved mapping to start from (see DEFAULT_MAPPING)
+   */
+  constructor(actions, mapping = {}) {
+    this.actions = actions;
+    this.mapping = {
+      baseNote: mapping.baseNote ?? DEFAULT_MAPPING.baseNote,
+      notes: { ...DEFAULT_MAPPING.notes, ...mapping.notes },
+      controls: { ...DEFAULT_MAPPING.controls, ...mapping.controls }
+    };
+    this.heldNotes = new Map(); // MIDI note -> harmonic id it started
+    this.learning = null; // {type: 'note', id} or {type: 'control', target}
+  }
+
+  /**
+   * Start listening to a MIDI source
+   * @param {Object} source - Anything with listen(handler), handler receiving byte arrays
+   */
+  connect(source) {
+    source.listen(data => this.handleMessage(data));
+  }
+
+  /**
+   * Handle one raw MIDI message
+   * @param {Uint8Array|Array} data - Status byte and data bytes
+   */
+  handleMessage(data) {
+    const type = data[0] & 0xf0;
+    const [, data1, data2] = data;
+
+    if (type === 0x90 && data2 > 0) {
+      this.handleNoteOn(data1, data2);
+    } else if (type === 0x80 || type === 0x90) {
+      // Note on with velocity 0 is a note off, by convention
+      this.handleNoteOff(data1);
+    } else if (type === 0xb0) {
+      this.handleControl(data1, data2);
+    }
+  }
+
+  handleNoteOn(note, velocity) {
+    if (this.learning && this.learning.type === 'note') {
+      // Forget any other note bound to this harmonic
+      for (const [bound, id] of Object.entries(this.mapping.notes)) {
+        if (id === this.learning.id) delete this.mapping.notes[bound];
+      }
+      this.mapping.notes[note] = this.learning.id;
+      this.finishLearning({ type: 'note', note, id: this.learning.id });
+    }
+
+    const id = this.resolveNote(note);
+    if (!id) return;
+
+    this.heldNotes.set(note, id);
+    this.actions.onNoteOn(id, velocity / 127);
+  }
+
+  handleNoteOff(note) {
+    const id = this.heldNotes.get(note);
+    if (!id) return;
+
+    this.heldNotes.delete(note);
+    this.actions.onNoteOff(id);
+  }
+
+  handleControl(controller, value) {
+    if (this.learning && this.learning.type === 'control') {
+      // One CC per target - drop the old binding
+      for (const [bound, target] of Object.entries(this.mapping.controls)) {
+        if (target === this.learning.target) delete this.mapping.controls[bound];
+      }
+      this.mapping.controls[controller] = this.learning.target;
+      this.finishLearning({ type: 'control', controller, target: this.learning.target });
+    }
+
+    const target = this.mapping.controls[controller];
+    if (target) {
+      this.actions.onControl(target, value / 127);
+    }
+  }
+
+  /**
+   * Which harmonic a note plays - a learned binding, or its place above the base note
+   * @returns {string|null} - Harmonic id
+   */
+  resolveNote(note) {
+    if (this.mapping.notes[note]) return this.mapping.notes[note];
+
+    const ids = this.actions.getHarmonicIds();
+    return ids[note - this.mapping.baseNote] || null;
+  }
+
+  /**
+   * Bind the next incoming note or CC to a target ("MIDI learn")
+   * @param {Object} learning - {type: 'note', id} or {type: 'control', target}
+   */
+  learn(learning) {
+    this.learning = learning;
+  }
+
+  cancelLearning() {
+    this.learning = null;
+  }
+
+  finishLearning(binding) {
+    this.learning = null;
+    this.actions.onLearn(binding);
+  }
+
+  /**
+   * Release every held note (e.g. when the nodes they refer to change)
+   */
+  releaseAll() {
+    for (const note of [...this.heldNotes.keys()]) {
+      this.handleNoteOff(note);
+    }
+  }
+}
+
+export { CONTROL_TARGETS, DEFAULT_MAPPING, requestWebMidiSource };
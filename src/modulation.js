@@ -0,0 +1,181 @@
+/**
+ * Just Modulation
+ *
+ * Moving the fundamental by pure intervals instead of equal-tempered semitones.
+ * Every step is an exact fraction, so the path keeps an exact running ratio -
+ * and shows the commas that open up when pure intervals don't close the circle.
+ * Four fifths up and a major third down looks like "home", but lands 81/80 sharp:
+ * the syntonic comma, about 21.5 cents.
+ */
+
+// Intervals the fundamental can move by, keyed by the digit that plays them
+const MODULATION_INTERVALS = {
+  Digit2: { numerator: 2, denominator: 1, name: 'octave' },
+  Digit3: { numerator: 3, denominator: 2, name: 'fifth' },
+  Digit5: { numerator: 5, denominator: 4, name: 'major third' },
+  Digit7: { numerator: 7, denominator: 4, name: 'septimal seventh' },
+  Digit1: { numerator: 11, denominator: 8, name: 'undecimal tritone' }
+};
+
+// The arrow keys step by a just diatonic semitone
+const SEMITONE = { numerator: 16, denominator: 15, name: 'semitone' };
+
+// How many past fundamentals the trail remembers
+const TRAIL_LENGTH = 24;
+
+function gcd(a, b) {
+  while (b) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+/**
+ * The chain of modulations from a starting fundamental
+ */
+export class ModulationPath {
+  /**
+   * @param {number} origin - Starting fundamental in Hz
+   */
+  constructor(origin = 110) {
+    this.origin = origin;
+    this.reset();
+  }
+
+  /**
+   * Back to the origin, with an empty path
+   */
+  reset() {
+    this.frequency = this.origin;
+    this.steps = [];
+    // Running ratio to the origin, exact - BigInt so long comma pumps can't overflow
+    this.numerator = 1n;
+    this.denominator = 1n;
+    this.exact = true;
+    this.trail = [this.origin];
+  }
+
+  /**
+   * Work out where an interval step would land, without taking it.
+   * Steps that leave the range are folded back by octaves.
+   * @param {Object} interval - {numerator, denominator}
+   * @param {number} direction - 1 for up, -1 for down
+   * @param {Object} range - {min, max} allowed fundamental in Hz
+   * @returns {Object} - Step: {numerator, denominator, direction, octaves, frequency}
+   */
+  planStep(interval, direction, range) {
+    const ratio = direction > 0
+      ? interval.numerator / interval.denominator
+      : interval.denominator / interval.numerator;
+
+    let frequency = this.frequency * ratio;
+    let octaves = 0;
+    while (frequency > range.max) {
+      frequency /= 2;
+      octaves--;
+    }
+    while (frequency < range.min) {
+      frequency *= 2;
+      octaves++;
+    }
+
+    return {
+      numerator: interval.numerator,
+      denominator: interval.denominator,
+      direction,
+      octaves,
+      frequency
+    };
+  }
+
+  /**
+   * Take a planned step
+   * @param {Object} step - From planStep
+   */
+  apply(step) {
+    let [num, den] = step.direction > 0
+      ? [BigInt(step.numerator), BigInt(step.denominator)]
+      : [BigInt(step.denominator), BigInt(step.numerator)];
+
+    if (step.octaves > 0) num *= 2n ** BigInt(step.octaves);
+    if (step.octaves < 0) den *= 2n ** BigInt(-step.octaves);
+
+    num *= this.numerator;
+    den *= this.denominator;
+    const divisor = gcd(num, den);
+    this.numerator = num / divisor;
+    this.denominator = den / divisor;
+
+    this.frequency = step.frequency;
+    this.steps.push(step);
+    this.addToTrail(step.frequency);
+  }
+
+  /**
+   * Record a move to an arbitrary frequency (a MIDI sweep, say) - the ratio is no longer exact
+   * @param {number} frequency - New fundamental in Hz
+   */
+  jump(frequency) {
+    if (frequency === this.frequency) return;
+
+    this.frequency = frequency;
+    this.exact = false;
+    this.steps.push({ jump: true, frequency });
+    this.addToTrail(frequency);
+  }
+
+  addToTrail(frequency) {
+    this.trail.push(frequency);
+    if (this.trail.length > TRAIL_LENGTH) {
+      this.trail.shift();
+    }
+  }
+
+  /**
+   * Distance from the origin in cents
+   */
+  get cents() {
+    return 1200 * Math.log2(this.frequency / this.origin);
+  }
+
+  /**
+   * How far the fundamental sits from any octave of the origin, in cents (-600 to +600).
+   * After a comma pump, this is the comma.
+   */
+  get drift() {
+    return driftCents(this.frequency, this.origin);
+  }
+
+  /**
+   * The running ratio as text, e.g. "81/80"
+   */
+  get ratioText() {
+    return this.exact ? `${this.numerator}/${this.denominator}` : null;
+  }
+
+  /**
+   * The most recent steps as text, e.g. "↑3/2 ↑3/2 ↓5/4 8vb"
+   * @param {number} count - How many steps to show
+   */
+  describe(count = 6) {
+    const recent = this.steps.slice(-count).map(step => {
+      if (step.jump) return '→';
+
+      const arrow = step.direction > 0 ? '↑' : '↓';
+      const octaves = step.octaves > 0 ? ' 8va' : step.octaves < 0 ? ' 8vb' : '';
+      return `${arrow}${step.numerator}/${step.denominator}${octaves}`;
+    });
+
+    return (this.steps.length > count ? '… ' : '') + recent.join(' ');
+  }
+}
+
+/**
+ * Cents between a frequency and the nearest octave of a reference
+ */
+function driftCents(frequency, reference) {
+  const cents = 1200 * Math.log2(frequency / reference);
+  return cents - 1200 * Math.round(cents / 1200);
+}
+
+export { MODULATION_INTERVALS, SEMITONE, driftCents };
@@ -0,0 +1,94 @@
+/**
+ * Pitch Tracking
+ *
+ * Hearing where a singer or string player lands against the prime grid.
+ * Pitch is found with YIN (de Cheveigné & Kawahara): compare the signal with
+ * delayed copies of itself, and the first delay at which it nearly repeats is the period.
+ * Everything here works on plain sample arrays, so it can be checked against
+ * generated or recorded buffers - the microphone is only one source of samples.
+ */
+
+const DEFAULT_OPTIONS = {
+  minFrequency: 60, // Lowest pitch looked for, in Hz - sets the longest period searched
+  maxFrequency: 1200, // Highest pitch looked for
+  threshold: 0.12, // YIN dip threshold - lower is stricter about what counts as pitched
+  minLevel: 0.01 // RMS below this is treated as silence
+};
+
+/**
+ * Detect the pitch of a block of samples
+ * @param {Float32Array} samples - Mono audio; at least twice the longest period long
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Object|null} - {frequency, clarity (0-1)}, or null for silence and unpitched sound
+ */
+function detectPitch(samples, sampleRate, options = {}) {
+  const { minFrequency, maxFrequency, threshold, minLevel } = { ...DEFAULT_OPTIONS, ...options };
+  const maxLag = Math.floor(sampleRate / minFrequency);
+  const minLag = Math.max(2, Math.floor(sampleRate / maxFrequency));
+  // Lags run one past the longest period, for the interpolation around a dip right at it
+  const window = samples.length - maxLag - 1;
+  if (window < maxLag) return null;
+
+  let energy = 0;
+  for (let i = 0; i < samples.length; i++) energy += samples[i] * samples[i];
+  if (Math.sqrt(energy / samples.length) < minLevel) return null;
+
+  // Cumulative mean normalized difference: d'(tau) = d(tau) · tau / Σ d(1..tau)
+  const normalized = new Float32Array(maxLag + 2);
+  normalized[0] = 1;
+  let runningSum = 0;
+  for (let tau = 1; tau <= maxLag + 1; tau++) {
+    let difference = 0;
+    for (let i = 0; i < window; i++) {
+      const delta = samples[i] - samples[i + tau];
+      difference += delta * delta;
+    }
+    runningSum += difference;
+    normalized[tau] = runningSum === 0 ? 1 : difference * tau / runningSum;
+  }
+
+  // First dip under the threshold, followed down to its minimum
+  let tau = minLag;
+  while (tau <= maxLag && normalized[tau] >= threshold) tau++;
+  if (tau > maxLag) return null;
+  while (tau < maxLag && normalized[tau + 1] < normalized[tau]) tau++;
+
+  // Parabolic interpolation for a period between samples
+  const left = normalized[tau - 1];
+  const center = normalized[tau];
+  const right = normalized[tau + 1];
+  const curvature = left - 2 * center + right;
+  const period = tau + (curvature === 0 ? 0 : 0.5 * (left - right) / curvature);
+
+  return {
+    frequency: sampleRate / period,
+    clarity: Math.max(0, 1 - center)
+  };
+}
+
+/**
+ * Find the node a pitch is closest to. Comparison is octave-blind - the nodes
+ * are folded into a window of octaves, and a voice can sing any of them an octave away.
+ * @param {number} frequency - Detected pitch in Hz
+ * @param {Array} harmonics - Nodes to compare against, each with a ratio
+ * @param {number} fundamental - Current fundamental in Hz
+ * @returns {Object|null} - {harmonic, cents (-600 to 600), octaves from the node}
+ */
+function nearestHarmonic(frequency, harmonics, fundamental) {
+  let nearest = null;
+
+  for (const harmonic of harmonics) {
+    const exact = 1200 * Math.log2(frequency / (fundamental * harmonic.ratio));
+    const octaves = Math.round(exact / 1200);
+    const cents = exact - octaves * 1200;
+
+    if (!nearest || Math.abs(cents) < Math.abs(nearest.cents)) {
+      nearest = { harmonic, cents, octaves };
+    }
+  }
+
+  return nearest;
+}
+
+export { detectPitch, nearestHarmonic };
@@ -0,0 +1,67 @@
+/**
+ * Presets
+ *
+ * A chord worth keeping: the fundamental, the depth, every sounding harmonic at its level,
+ * master volume, timbres, and the folding and series the harmonics' ids belong to.
+ * Presets are plain JSON, stored one file each by the main process (see main.js).
+ */
+
+import { normalizeFolding } from './harmonic-engine.js';
+import { SERIES_MODES } from './harmonic-space.js';
+import { normalizeTimbres } from './timbres.js';
+
+const PRESET_VERSION = 1;
+
+/**
+ * Build a preset from the current state
+ * @param {string} name - Display name
+ * @param {Object} state - {fundamental, depth, volume, timbres, folding, series, harmonics}
+ *   harmonics: [{id, prime, ratio, amplitude}]
+ * @returns {Object}
+ */
+function createPreset(name, state) {
+  return {
+    version: PRESET_VERSION,
+    name: name.trim() || 'Untitled',
+    created: new Date().toISOString(),
+    fundamental: state.fundamental,
+    depth: state.depth,
+    volume: state.volume,
+    timbres: state.timbres,
+    folding: state.folding,
+    series: state.series,
+    harmonics: state.harmonics
+  };
+}
+
+/**
+ * Check a loaded preset and fill in anything an older file lacks
+ * @param {Object} data - Parsed preset JSON
+ * @returns {Object} - A usable preset
+ */
+function normalizePreset(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Not a preset');
+  }
+  if (data.version > PRESET_VERSION) {
+    throw new Error(`Preset version ${data.version} is newer than this app understands`);
+  }
+  if (typeof data.fundamental !== 'number' || !Array.isArray(data.harmonics)) {
+    throw new Error('Preset is missing its fundamental or harmonics');
+  }
+
+  return {
+    version: PRESET_VERSION,
+    name: data.name || 'Untitled',
+    created: data.created || null,
+    fundamental: data.fundamental,
+    depth: Math.max(0, Math.min(1, data.depth || 0)),
+    volume: typeof data.volume === 'number' ? data.volume : null,
+    timbres: data.timbres ? normalizeTimbres(data.timbres) : null,
+    folding: data.folding ? normalizeFolding(data.folding) : null,
+    series: SERIES_MODES.includes(data.series) ? data.series : 'otonal',
+    harmonics: data.harmonics.filter(h => typeof h.id === 'string' && h.amplitude > 0)
+  };
+}
+
+export { PRESET_VERSION, createPreset, normalizePreset };
@@ -0,0 +1,34 @@
+/**
+ * Seeded Randomness
+ *
+ * The space is meant to feel organic, but organic shouldn't mean unrepeatable.
+ * Everything that varies randomly draws from a seeded generator, so the same
+ * seed always grows the same space - which is what makes journeys replayable.
+ */
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} - Returns floats in [0, 1), like Math.random
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh seed - the one place true randomness enters
+ * @returns {number} - 32-bit unsigned integer
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+export { createRandom, randomSeed };
@@ -5,9 +5,83 @@
  * Sounds that Western tuning systems cannot express.
  */
 
-import { HarmonicEngine } from './harmonic-engine.js';
-import { HarmonicSpace } from './harmonic-space.js';
+import { AdditiveEngine } from './additive-engine.js';
+import { HarmonicEngine, PRIMES, PRIME_COLORS, FOLDINGS, SPAN_OCTAVES, AUDIBLE_RANGE, SPATIAL_MODES, getPrimeFraction, normalizeFolding, normalizeSpatial } from './harmonic-engine.js';
+import { HarmonicSpace, SERIES_MODES } from './harmonic-space.js';
 import { VisualRenderer } from './visual-renderer.js';
+import { renderOffline, encodeWav } from './audio-export.js';
+import { JourneyRecorder, JourneyPlayer, serializeJourney, parseJourney } from './journey.js';
+import { randomSeed } from './random.js';
+import { buildScale, foldingPeriod, serializeScl, serializeKbm, parseScl } from './scala.js';
+import { VoiceRecorder, encodeMidiFile } from './midi-export.js';
+import { MidiController, CONTROL_TARGETS, requestWebMidiSource } from './midi-input.js';
+import { TIMBRES, TIMBRE_NAMES, getTimbreSpectrum, normalizeTimbres } from './timbres.js';
+import { ModulationPath, MODULATION_INTERVALS, SEMITONE, driftCents } from './modulation.js';
+import { describeHarmonic, formatCents } from './inspector.js';
+import { roughness, dissonanceCurve } from './dissonance.js';
+import { findPeaks, matchPeaks } from './spectrum.js';
+import { detectPitch, nearestHarmonic } from './pitch-tracker.js';
+import { EarTrainer, QUESTION_TYPES, unlockedPrimes } from './ear-training.js';
+import { createPreset, normalizePreset } from './presets.js';
+import { Sequencer, arpeggiate } from './sequencer.js';
+import { Autopilot, AUTOPILOT_DEFAULTS } from './autopilot.js';
+import { fieldAmplitudes, moveField, fieldSpeeds } from './influence.js';
+import { ENVELOPE_PARAMS, gestureVelocity } from './envelopes.js';
+import { GamepadController, GAMEPAD_ACTIONS, readWebGamepad } from './gamepad-input.js';
+import { LAYOUT_ORDERS, LAYOUT_KEYS, keyLabel, buildKeyLayout, bindKey } from './keyboard-layout.js';
+import { EFFECT_TYPES, FILTER_TYPES, DELAY_PRIMES, EFFECT_PARAMS } from './effects.js';
+
+// How long recalling a preset takes to fade from the old sound to the new, in seconds
+const PRESET_CROSSFADE = 2;
+
+// Latch mode: the level a clicked node starts at, and the most scrolling can raise it to
+const LATCH_LEVEL = 0.35;
+const LATCH_MAX = 0.8;
+
+// The analyser view cycles through these (Shift+S)
+const SPECTRUM_MODES = [null, 'spectrum', 'waterfall'];
+
+// Level of computer-keyboard notes - their family's envelope shapes them (Shift+W)
+const KEY_LEVEL = 0.6;
+
+// How far the cursor reaches, in pixels - the autopilot's density scales it
+const INFLUENCE_RADIUS = 120;
+
+// The autopilot hands the cursor to anyone who moves it, and takes it back after this long without input, in ms
+const AUTOPILOT_RESUME = 5000;
+
+// The fundamental starts here, and stays within this range (modulations fold back by octaves)
+const ORIGIN_FUNDAMENTAL = 110;
+const FUNDAMENTAL_RANGE = { min: 55, max: 440 };
+
+/**
+ * Which influence field a pointer plays. The mouse is the main cursor; each pen and finger gets its own.
+ */
+function fieldKey(e) {
+  return e.pointerType === 'mouse' ? 'cursor' : `${e.pointerType}-${e.pointerId}`;
+}
+
+/**
+ * Journey event data naming a field - the main cursor's events name none, as before there were others
+ */
+function pointerData(key) {
+  return key === 'cursor' ? {} : { pointer: key };
+}
+
+/**
+ * A number from a panel field, or a fallback if it's empty or not a number
+ */
+function readNumber(id, fallback) {
+  const value = parseFloat(document.getElementById(id).value);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * The bytes of a file from the main process as an ArrayBuffer of their own, for decodeAudioData
+ */
+function toArrayBuffer(bytes) {
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
 
 class HarmonicDepths {
   constructor() {
@@ -19,15 +93,85 @@ class HarmonicDepths {
 
     // State
     this.isInitialized = false;
-    this.isMouseDown = false;
-    this.cursor = { x: 0, y: 0 };
-    this.influenceRadius = 120;
+    this.cursor = { x: 0, y: 0 }; // The pointer that moved last
+    this.fields = new Map(); // Influence fields, one per pointer: key -> {x, y, pressure}
+    this.influenceRadius = INFLUENCE_RADIUS;
     this.activeHarmonics = new Map(); // id -> current amplitude
+    this.releaseTimers = new Map(); // id -> timer releasing a faded-out voice, cancelled if it sounds again
+    this.midiNotes = new Map(); // id -> amplitude, for harmonics held from a MIDI keyboard
+    this.keyNotes = new Map(); // id -> amplitude, for harmonics held from the computer keyboard
+    this.heldKeys = new Map(); // key code -> the harmonic id it started
+    this.keyboardOrder = null; // 'ratio' or 'prime' while letter keys play nodes (Shift+K)
+    this.keyBindings = {}; // Keys bound to nodes by hand: code -> harmonic id
+    this.keyLayout = new Map(); // code -> harmonic id, dealt over the visible nodes
+    this.keyLayoutVisible = null; // The visible ids the layout was dealt for
+    this.heldHarmonics = new Map(); // id -> amplitude, for harmonics latched on or held by a recalled preset
+    this.latchMode = false; // Clicking a node pins it on
+
+    // Sequencer - steps picked by clicking nodes, or an arpeggio of the visible ones
+    this.sequencePanel = document.getElementById('sequencePanel');
+    this.sequencer = null;
+    this.sequenceSteps = []; // Picked steps: {id, prime, ratio, label, duration, amplitude, glide}
+    this.pickingSteps = false; // Clicking a node adds it as a step
+    this.sequencedNode = null; // Node lit by the step sounding now
+
+    // Autopilot - wanders the space when nobody is playing
+    this.autopilotPanel = document.getElementById('autopilotPanel');
+    this.autopilot = null;
+    this.autopilotCursor = null; // Where the autopilot last put the cursor, to notice a person moving it
+    this.lastInputTime = performance.now(); // Last mouse, wheel or key input - for idle start and hand-back
+
+    // Effects chain - its controls are built from the effects' own parameter lists
+    this.effectsPanel = document.getElementById('effectsPanel');
+
+    // Envelopes - globally or per prime family, shaped further by each gesture
+    this.envelopePanel = document.getElementById('envelopePanel');
+    this.envelopeFamily = null; // Family the panel is editing, or null for all
+
+    this.settings = {}; // Persisted user settings, loaded at startup
+    this.foldingName = 'double'; // Key into FOLDINGS
+    this.spanOctaves = 3; // Window size for the user-defined 'span' folding
+    this.modulation = new ModulationPath(ORIGIN_FUNDAMENTAL); // Just-intonation moves of the fundamental
+    this.midi = null;
+    this.gamepad = null;
+
+    // Journeys - recorded interaction that can be replayed
+    this.recorder = new JourneyRecorder();
+    this.player = new JourneyPlayer(event => this.replayEvent(event));
+    this.replayTime = null; // Due time of the journey event being replayed, see inputTime
+    this.journey = null; // Most recently recorded or loaded journey
+    this.voiceRecorder = new VoiceRecorder(); // What the engine played, for MIDI export
+    this.voiceLog = null;
 
     // UI elements
     this.intro = document.getElementById('intro');
     this.frequencyHint = document.getElementById('frequencyHint');
     this.fundamentalDisplay = document.getElementById('fundamentalDisplay');
+    this.modulationDisplay = document.getElementById('modulationDisplay');
+    this.exportPanel = document.getElementById('exportPanel');
+    this.statusHint = document.getElementById('statusHint');
+    this.statusDisplay = document.getElementById('statusDisplay');
+    this.statusTimer = null;
+    this.inspector = document.getElementById('inspector');
+    this.inspectorRows = document.getElementById('inspectorRows');
+    this.inspectorTime = 0; // Last inspector refresh, in animation time
+    this.spatialTime = 0; // Last time voices were moved to follow their nodes
+    this.dissonanceMeter = document.getElementById('dissonanceMeter');
+    this.curvePanel = document.getElementById('curvePanel');
+    this.pitchHint = document.getElementById('pitchHint');
+    this.pitchDisplay = document.getElementById('pitchDisplay');
+
+    // Microphone pitch tracking - {stream, source, analyser, samples} while listening
+    this.microphone = null;
+    this.pitchHistory = []; // Recent detected pitches, for a steadier readout
+    this.pitchTime = 0;
+
+    // Ear training - {question, askedAt, answered, voices} while a quiz runs
+    this.quizPanel = document.getElementById('quizPanel');
+    this.presetPanel = document.getElementById('presetPanel');
+    this.trainer = null;
+    this.quiz = null;
+    this.quizCount = 0; // Keeps quiz voice ids unique, so a fading voice is never reused
 
     // Animation
     this.lastTime = 0;
@@ -35,26 +179,202 @@ class HarmonicDepths {
 
     // Bind methods
     this.animate = this.animate.bind(this);
-    this.handleMouseMove = this.handleMouseMove.bind(this);
-    this.handleMouseDown = this.handleMouseDown.bind(this);
-    this.handleMouseUp = this.handleMouseUp.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handlePointerOut = this.handlePointerOut.bind(this);
     this.handleWheel = this.handleWheel.bind(this);
     this.handleKeyDown = this.handleKeyDown.bind(this);
     this.handleKeyUp = this.handleKeyUp.bind(this);
     this.handleResize = this.handleResize.bind(this);
 
     this.setupEventListeners();
+    this.updateAudibleRange();
     this.startAnimation();
+    this.loadSettings();
+  }
+
+  /**
+   * Load saved settings, then bring up the parts that depend on them
+   */
+  async loadSettings() {
+    this.settings = await window.harmonicDepths.loadSettings();
+
+    // The synthesis engine is chosen before audio starts (Shift+N)
+    if (this.settings.engine === 'additive' && !this.engine.audioContext) {
+      this.engine = new AdditiveEngine();
+    }
+
+    if (this.settings.folding) {
+      const { strategy, spanOctaves } = normalizeFolding(this.settings.folding);
+      this.spanOctaves = spanOctaves;
+      this.setFolding(strategy);
+    }
+
+    if (this.settings.timbres) {
+      const timbres = normalizeTimbres(this.settings.timbres);
+      this.engine.setTimbre(timbres.global);
+      for (const [family, name] of Object.entries(timbres.families)) {
+        this.engine.setTimbre(name, Number(family));
+      }
+    }
+
+    if (this.settings.spatial) {
+      const { mode, width } = normalizeSpatial(this.settings.spatial);
+      this.engine.setSpatialMode(mode);
+      this.engine.setSpatialWidth(width);
+    }
+
+    if (this.settings.keyboard) {
+      this.keyboardOrder = this.settings.keyboard.order;
+      this.keyBindings = this.settings.keyboard.bindings;
+    }
+
+    if (this.settings.effects) {
+      this.engine.setEffects(this.settings.effects);
+      const impulse = this.engine.effectsConfig.reverb.impulse;
+      const data = impulse && await window.harmonicDepths.loadImpulse(impulse.id);
+      if (data) {
+        await this.engine.setImpulse(toArrayBuffer(data));
+      } else if (impulse) {
+        this.saveEffects({ reverb: { ...this.engine.effectsConfig.reverb, impulse: null } }); // The file has gone
+      }
+    }
+
+    if (this.settings.envelopes) {
+      this.engine.setEnvelope(this.settings.envelopes.global);
+      for (const [family, envelope] of Object.entries(this.settings.envelopes.families)) {
+        this.engine.setEnvelope(envelope, Number(family));
+      }
+    }
+
+    this.renderEffects();
+    this.renderEnvelopes();
+    this.showAutopilotSettings();
+    this.setupGamepad();
+    await this.setupMidi();
+  }
+
+  /**
+   * Persist the current settings
+   */
+  saveSettings() {
+    window.harmonicDepths.saveSettings(this.settings);
+  }
+
+  /**
+   * Connect MIDI input, with the saved mapping
+   */
+  async setupMidi() {
+    this.midi = new MidiController({
+      getHarmonicIds: () => this.space.harmonics.map(h => h.id),
+      onNoteOn: (id, velocity) => this.playNote(id, velocity),
+      onNoteOff: id => this.releaseNote(id),
+      onControl: (target, value) => this.applyControl(target, value),
+      onLearn: binding => {
+        this.settings.midi = this.midi.mapping;
+        this.saveSettings();
+
+        if (binding.type === 'note') {
+          const harmonic = this.space.getHarmonic(binding.id);
+          this.showStatus(`Note ${binding.note} → ${harmonic ? harmonic.label : binding.id}`);
+        } else {
+          this.showStatus(`CC ${binding.controller} → ${binding.target}`);
+        }
+      }
+    }, this.settings.midi);
+
+    try {
+      const source = await requestWebMidiSource();
+      if (source) this.midi.connect(source);
+    } catch (err) {
+      console.warn('MIDI input unavailable:', err);
+    }
+  }
+
+  /**
+   * Set up the gamepad, with the saved mapping. It's polled from the animation loop.
+   */
+  setupGamepad() {
+    const fieldKeys = ['gamepad-0', 'gamepad-1'];
+
+    // Any gamepad input counts as someone playing - and can start the audio from the couch
+    const wake = () => {
+      this.lastInputTime = performance.now();
+      this.initAudio();
+    };
+
+    this.gamepad = new GamepadController({
+      onMove: (stick, dx, dy) => {
+        wake();
+        const key = fieldKeys[stick];
+        if (!key) return;
+
+        // A stick's field first appears beside the center - the left stick's to the left
+        const field = this.fields.get(key);
+        const from = field
+          ? this.space.normalizePoint(field.x, field.y)
+          : { x: stick === 0 ? -0.15 : 0.15, y: 0 };
+        const minDim = Math.min(this.space.width, this.space.height);
+        const limit = { x: this.space.width / minDim / 2, y: this.space.height / minDim / 2 };
+        const point = this.space.denormalizePoint(
+          Math.max(-limit.x, Math.min(limit.x, from.x + dx)),
+          Math.max(-limit.y, Math.min(limit.y, from.y + dy))
+        );
+        this.moveCursor(point.x, point.y, key);
+      },
+      onIntensity: value => {
+        wake();
+        for (const key of fieldKeys) {
+          if (this.fields.has(key)) this.pressField(value, key);
+        }
+      },
+      onDepth: change => {
+        wake();
+        this.changeDepth(this.space.depth + change);
+      },
+      onFundamentalStep: direction => {
+        wake();
+        if (this.isInitialized) this.modulate(SEMITONE, direction);
+      },
+      onDisconnect: () => {
+        for (const key of fieldKeys) this.liftField(key);
+      },
+      onLearn: binding => {
+        this.settings.gamepad = this.gamepad.mapping;
+        this.saveSettings();
+        this.showStatus(`Gamepad button ${binding.button} → ${binding.action}`);
+      }
+    }, this.settings.gamepad);
+  }
+
+  /**
+   * Gamepad learn: each press picks the next action for the next button pressed,
+   * and a press after the last action cancels
+   */
+  startGamepadLearn() {
+    if (!this.gamepad) return;
+
+    const next = GAMEPAD_ACTIONS[GAMEPAD_ACTIONS.indexOf(this.gamepad.learning) + 1];
+    if (next) {
+      this.gamepad.learn(next);
+      this.showStatus(`Gamepad learn · press a button for ${next}`, true);
+    } else {
+      this.gamepad.cancelLearning();
+      this.showStatus('Gamepad learn cancelled');
+    }
   }
 
   /**
    * Set up all event listeners
    */
   setupEventListeners() {
-    // Mouse events
-    window.addEventListener('mousemove', this.handleMouseMove);
-    window.addEventListener('mousedown', this.handleMouseDown);
-    window.addEventListener('mouseup', this.handleMouseUp);
+    // Pointer events - mouse, pen and touch alike
+    window.addEventListener('pointermove', this.handlePointerMove);
+    window.addEventListener('pointerdown', this.handlePointerDown);
+    window.addEventListener('pointerup', this.handlePointerUp);
+    window.addEventListener('pointercancel', this.handlePointerUp);
+    window.addEventListener('pointerout', this.handlePointerOut);
     window.addEventListener('wheel', this.handleWheel, { passive: false });
 
     // Keyboard events
@@ -64,8 +384,37 @@ class HarmonicDepths {
     // Window resize
     window.addEventListener('resize', this.handleResize);
 
+    // Key-ups are lost while the window is in the background, so nothing stays stuck on
+    window.addEventListener('blur', () => this.releaseKeys());
+
     // Prevent context menu
     window.addEventListener('contextmenu', e => e.preventDefault());
+
+    // Scrolling over a panel shouldn't dive the space underneath (handlePointerDown skips their clicks)
+    for (const panel of document.querySelectorAll('.panel')) {
+      panel.addEventListener('wheel', e => e.stopPropagation());
+    }
+
+    document.getElementById('exportButton').addEventListener('click', () => this.exportAudio());
+    document.getElementById('quizReplay').addEventListener('click', () => this.playQuestion());
+    document.getElementById('quizNext').addEventListener('click', () => this.askQuestion());
+    document.getElementById('presetSave').addEventListener('click', () => this.savePreset());
+    document.getElementById('autopilotToggle').addEventListener('click', () => {
+      this.autopilot ? this.stopAutopilot() : this.startAutopilot();
+    });
+    for (const field of this.autopilotPanel.querySelectorAll('input')) {
+      field.addEventListener('change', () => this.saveAutopilotSettings());
+    }
+    document.getElementById('sequencePlay').addEventListener('click', () => this.toggleSequencer());
+    document.getElementById('sequencePick').addEventListener('click', () => this.togglePickingSteps());
+    document.getElementById('sequenceClear').addEventListener('click', () => {
+      this.sequenceSteps = [];
+      this.renderSequenceSteps();
+    });
+    document.getElementById('presetRelease').addEventListener('click', () => this.releaseHeld());
+    document.getElementById('presetName').addEventListener('keydown', e => {
+      if (e.key === 'Enter') this.savePreset();
+    });
   }
 
   /**
@@ -87,34 +436,86 @@ class HarmonicDepths {
   }
 
   /**
-   * Handle mouse movement
+   * Handle pointer movement - pens and fingers also change pressure as they go
    */
-  handleMouseMove(e) {
-    this.cursor = { x: e.clientX, y: e.clientY };
-    this.renderer.setCursor(e.clientX, e.clientY, true);
+  handlePointerMove(e) {
+    // A replaying journey owns the cursor
+    if (this.player.isPlaying) return;
+    this.lastInputTime = performance.now();
 
-    if (this.isInitialized) {
-      this.updateHarmonicsFromCursor();
+    // A finger only reaches the space while it's touching
+    const key = fieldKey(e);
+    if (e.pointerType === 'touch' && !this.fields.has(key)) return;
+
+    this.moveCursor(e.clientX, e.clientY, key);
+    if (e.pointerType !== 'mouse' && e.pressure > 0 && this.fields.get(key).pressure > 0) {
+      this.pressField(e.pressure, key);
     }
   }
 
   /**
-   * Handle mouse down - intensifies the effect
+   * Handle pointer down - presses the pointer's field, the harder the louder
    */
-  async handleMouseDown(e) {
+  async handlePointerDown(e) {
+    this.lastInputTime = performance.now();
     await this.initAudio();
-    this.isMouseDown = true;
-    this.updateHarmonicsFromCursor();
+    if (this.player.isPlaying) return;
+
+    // Panels take their own clicks
+    if (e.target.closest && e.target.closest('.panel')) return;
+
+    const key = fieldKey(e);
+    this.moveCursor(e.clientX, e.clientY, key);
+    const [under] = this.space.getHarmonicsNear(e.clientX, e.clientY, 0);
+
+    // In a node question, clicking a node is the answer
+    if (this.quiz) {
+      if (this.quiz.question.type === 'node' && under) {
+        this.answerQuiz(under.harmonic.isUndertone ? null : under.harmonic.prime);
+      }
+      return;
+    }
+
+    // While picking steps, clicking a node adds it to the sequence
+    if (this.pickingSteps && under) {
+      this.addSequenceStep(under.harmonic);
+      return;
+    }
+
+    // In latch mode, clicking a node pins it on or off
+    if (this.latchMode && under) {
+      this.togglePin(under.harmonic.id);
+      return;
+    }
+
+    // Some pens report no pressure at the moment of contact
+    this.pressField(e.pressure || 0.5, key);
   }
 
   /**
-   * Handle mouse up
+   * Handle pointer up (or cancel) - a lifted finger leaves the space;
+   * the mouse and pens stay, at resting intensity
    */
-  handleMouseUp(e) {
-    this.isMouseDown = false;
-    // Don't immediately silence - let the cursor position still matter
-    // but with reduced intensity
-    this.updateHarmonicsFromCursor();
+  handlePointerUp(e) {
+    if (this.player.isPlaying) return;
+
+    const key = fieldKey(e);
+    if (e.pointerType === 'touch') {
+      this.liftField(key);
+    } else if (this.fields.has(key)) {
+      this.pressField(0, key);
+    }
+  }
+
+  /**
+   * A pen lifted out of range leaves the space
+   */
+  handlePointerOut(e) {
+    if (this.player.isPlaying) return;
+
+    if (e.pointerType === 'pen' && !e.relatedTarget && this.fields.has(fieldKey(e))) {
+      this.liftField(fieldKey(e));
+    }
   }
 
   /**
@@ -122,49 +523,212 @@ class HarmonicDepths {
    */
   handleWheel(e) {
     e.preventDefault();
+    if (this.player.isPlaying) return;
+    this.lastInputTime = performance.now();
+
+    // In latch mode, scrolling over a pinned node sets its level - up is louder
+    if (this.latchMode) {
+      const [under] = this.space.getHarmonicsNear(this.cursor.x, this.cursor.y, 0);
+      const id = under && under.harmonic.id;
+      if (id && this.heldHarmonics.has(id)) {
+        const level = this.heldHarmonics.get(id) + (e.deltaY > 0 ? -0.05 : 0.05);
+        this.setPin(id, Math.max(0.05, Math.min(LATCH_MAX, level)));
+        return;
+      }
+    }
 
     // Adjust depth based on scroll
     const delta = e.deltaY > 0 ? 0.05 : -0.05;
-    const newDepth = Math.max(0, Math.min(1, this.space.depth + delta));
-    this.space.setDepth(newDepth);
-
-    // Create/remove voices for newly visible/hidden harmonics
-    if (this.isInitialized) {
-      this.syncVoicesWithDepth();
-    }
+    this.changeDepth(this.space.depth + delta);
   }
 
   /**
    * Handle key presses
    */
   handleKeyDown(e) {
-    // Arrow keys shift fundamental frequency
-    if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
-      if (!this.isInitialized) return;
+    this.lastInputTime = performance.now();
 
-      const direction = e.key === 'ArrowUp' ? 1 : -1;
-      // Shift by semitone ratio (not equal temperament, but close enough for this purpose)
-      const ratio = Math.pow(2, direction / 12);
-      const newFundamental = this.engine.fundamental * ratio;
+    // Typing into a panel field shouldn't play the space
+    if (e.target.closest && e.target.closest('.panel')) return;
 
-      // Keep in reasonable range
-      if (newFundamental >= 55 && newFundamental <= 440) {
-        this.engine.setFundamental(newFundamental, 0.3);
-        this.updateFundamentalDisplay();
-      }
-    }
+    // Ctrl/Cmd shortcuts are commands, not playing
+    if ((e.ctrlKey || e.metaKey) && this.handleCommandKey(e)) return;
 
     // F key toggles frequency display
     if (e.key === 'f' || e.key === 'F') {
       this.frequencyHint.classList.toggle('hidden');
     }
 
+    // Shift+I toggles the harmonic inspector
+    if (e.key === 'I' && e.shiftKey) {
+      this.inspector.classList.toggle('hidden');
+      this.updateInspector();
+    }
+
+    // Shift+D toggles the roughness meter, Shift+C the dissonance curve
+    if (e.key === 'D' && e.shiftKey) {
+      this.dissonanceMeter.classList.toggle('hidden');
+      this.updateDissonanceMeter();
+    }
+    if (e.key === 'C' && e.shiftKey) {
+      this.curvePanel.classList.toggle('hidden');
+      this.updateDissonanceCurve();
+    }
+
+    // Shift+S cycles the spectrum view: off → spectrum → waterfall
+    if (e.key === 'S' && e.shiftKey) {
+      const index = SPECTRUM_MODES.indexOf(this.renderer.spectrumMode);
+      const mode = SPECTRUM_MODES[(index + 1) % SPECTRUM_MODES.length];
+      this.renderer.setSpectrumMode(mode);
+      this.showStatus(mode ? `Analyser · ${mode}` : 'Analyser off');
+    }
+
+    // Shift+V listens to the microphone and tracks its pitch against the nodes
+    if (e.key === 'V' && e.shiftKey) {
+      this.toggleMicrophone();
+    }
+
+    // Shift+E starts or ends an ear-training quiz; Enter moves on to the next question
+    if (e.key === 'E' && e.shiftKey) {
+      this.quiz ? this.stopQuiz() : this.startQuiz();
+    }
+    if (e.key === 'Enter' && this.quiz && this.quiz.answered) {
+      this.askQuestion();
+    }
+
+    // Shift+L toggles latch mode
+    if (e.key === 'L' && e.shiftKey) {
+      this.latchMode = !this.latchMode;
+      this.showStatus(this.latchMode
+        ? 'Latch · click nodes to pin them, scroll over one to set its level, Escape releases all'
+        : 'Latch off');
+    }
+
+    // Shift+Q opens the sequencer
+    if (e.key === 'Q' && e.shiftKey) {
+      this.sequencePanel.classList.toggle('hidden');
+    }
+
+    // Shift+A opens the autopilot
+    if (e.key === 'A' && e.shiftKey) {
+      this.autopilotPanel.classList.toggle('hidden');
+    }
+
+    // Shift+X opens the effects
+    if (e.key === 'X' && e.shiftKey) {
+      this.effectsPanel.classList.toggle('hidden');
+    }
+
+    // Shift+W opens the envelopes
+    if (e.key === 'W' && e.shiftKey) {
+      this.envelopePanel.classList.toggle('hidden');
+    }
+
+    // Shift+P opens the presets panel
+    if (e.key === 'P' && e.shiftKey) {
+      this.togglePresetPanel();
+    }
+
+    // Shift+M starts MIDI learn
+    if (e.key === 'M' && e.shiftKey) {
+      this.startMidiLearn();
+    }
+
+    // Shift+G binds gamepad buttons, the way Shift+M does MIDI
+    if (e.key === 'G' && e.shiftKey) {
+      this.startGamepadLearn();
+    }
+
+    // Shift+H switches between stereo and binaural (headphones); [ and ] narrow and widen the spread
+    if (e.key === 'H' && e.shiftKey) {
+      const mode = SPATIAL_MODES[(SPATIAL_MODES.indexOf(this.engine.spatialMode) + 1) % SPATIAL_MODES.length];
+      this.engine.setSpatialMode(mode);
+      this.saveSpatial();
+      this.showStatus(mode === 'binaural' ? 'Binaural · for headphones' : 'Stereo');
+    }
+    if (e.key === '[' || e.key === ']') {
+      this.engine.setSpatialWidth(this.engine.spatialWidth + (e.key === ']' ? 0.1 : -0.1));
+      this.saveSpatial();
+      this.showStatus(`Width ${Math.round(this.engine.spatialWidth * 100)}%`);
+    }
+
+    // Shift+N switches the synthesis engine, from the next start: a node per voice, or one additive worklet
+    if (e.key === 'N' && e.shiftKey) {
+      this.settings.engine = this.settings.engine === 'additive' ? 'nodes' : 'additive';
+      this.saveSettings();
+      this.showStatus(this.settings.engine === 'additive'
+        ? 'Additive engine · from the next start'
+        : 'Oscillator engine · from the next start');
+    }
+
+    // Shift+K cycles the playable keyboard: off → keys by ratio → keys by prime
+    if (e.key === 'K' && e.shiftKey) {
+      this.cycleKeyboard();
+    }
+
+    // Shift+U cycles overtones → undertones → both
+    if (e.key === 'U' && e.shiftKey) {
+      this.cycleSeries();
+    }
+
+    // Shift+O cycles the folding strategy; < and > resize the custom octave span
+    if (e.key === 'O' && e.shiftKey) {
+      const names = Object.keys(FOLDINGS);
+      this.setFolding(names[(names.indexOf(this.foldingName) + 1) % names.length]);
+      this.showStatus(this.describeFolding());
+    }
+    if ((e.key === '<' || e.key === '>') && this.foldingName === 'span') {
+      this.spanOctaves = Math.max(SPAN_OCTAVES.min, Math.min(SPAN_OCTAVES.max, this.spanOctaves + (e.key === '>' ? 1 : -1)));
+      this.setFolding('span');
+      this.showStatus(this.describeFolding());
+    }
+
+    // Shift+T cycles the global timbre, Shift+Y the timbre of the family under the cursor
+    if (e.key === 'T' && e.shiftKey) {
+      this.cycleTimbre();
+    }
+    if (e.key === 'Y' && e.shiftKey) {
+      this.cycleFamilyTimbre();
+    }
+
+    // While a journey replays, Escape stops it and nothing else plays
+    if (this.player.isPlaying) {
+      if (e.key === 'Escape') this.stopJourney();
+      return;
+    }
+
+    // Otherwise Escape lets go of every latched harmonic
+    if (e.key === 'Escape') {
+      this.releaseHeld();
+    }
+
+    // Letter keys play their nodes; Alt+letter binds the key to the node under the cursor
+    if (this.keyboardOrder && LAYOUT_KEYS.includes(e.code) && !e.ctrlKey && !e.metaKey && !e.shiftKey) {
+      if (e.altKey) {
+        e.preventDefault();
+        this.bindKeyToCursor(e.code);
+      } else if (!e.repeat) {
+        this.playKey(e.code);
+      }
+    }
+
+    // Arrow keys shift fundamental frequency by a just semitone (16/15)
+    if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      if (!this.isInitialized) return;
+      this.modulate(SEMITONE, e.key === 'ArrowUp' ? 1 : -1);
+    }
+
+    // Digits modulate by pure intervals - 2: 2/1, 3: 3/2, 5: 5/4, 7: 7/4, 1: 11/8
+    // With Shift, the same interval downward
+    const interval = MODULATION_INTERVALS[e.code];
+    if (interval && !e.ctrlKey && !e.metaKey && this.isInitialized) {
+      this.modulate(interval, e.shiftKey ? -1 : 1);
+    }
+
     // R key resets to default
     if (e.key === 'r' || e.key === 'R') {
       if (this.isInitialized) {
-        this.engine.setFundamental(110, 0.5);
-        this.space.setDepth(0);
-        this.updateFundamentalDisplay();
+        this.resetSpace();
       }
     }
 
@@ -172,119 +736,1996 @@ class HarmonicDepths {
     if (e.key === ' ') {
       e.preventDefault();
       this.initAudio();
-      this.isMouseDown = true;
-      this.updateHarmonicsFromCursor();
+      this.pressField(0.5);
+    }
+  }
+
+  /**
+   * Handle Ctrl/Cmd shortcuts - file and session commands
+   * @returns {boolean} - Whether the key was a command
+   */
+  handleCommandKey(e) {
+    switch (e.key.toLowerCase()) {
+      case 'e': // Audio export panel
+        this.exportPanel.classList.toggle('hidden');
+        break;
+      case 'j': // Start/stop recording a journey
+        this.toggleRecording();
+        break;
+      case 's': // Save the last journey
+        this.saveJourney();
+        break;
+      case 'o': // Open a journey and replay it
+        this.openJourney();
+        break;
+      case 'p': // Replay the last journey
+        if (this.journey) this.playJourney(this.journey);
+        break;
+      case 'm': // Export the last recorded or replayed session as MIDI
+        if (e.shiftKey) {
+          this.exportMidi();
+          break;
+        }
+        return false;
+      case 'k': // Scala: export the visible harmonics; with Shift, import (or return to primes)
+        if (e.shiftKey) {
+          this.space.scale ? this.clearScale() : this.importScale();
+        } else {
+          this.exportScale();
+        }
+        break;
+      default:
+        return false;
     }
+
+    e.preventDefault();
+    return true;
   }
 
   /**
    * Handle key release
    */
   handleKeyUp(e) {
+    if (this.player.isPlaying) return;
+
     if (e.key === ' ') {
-      this.isMouseDown = false;
-      this.updateHarmonicsFromCursor();
+      this.pressField(0);
+    }
+
+    if (this.heldKeys.has(e.code)) {
+      this.releaseKey(e.code);
     }
   }
 
   /**
-   * Handle window resize
+   * Move the influence cursor to a point.
+   * Input handlers and journey replay both act through these methods,
+   * so everything they do is recorded the same way.
    */
-  handleResize() {
-    this.space.resize(window.innerWidth, window.innerHeight);
-    this.renderer.resize();
+  moveCursor(x, y, key = 'cursor') {
+    this.cursor = { x, y };
+    this.fields.set(key, moveField(this.fields.get(key), x, y, this.inputTime()));
+    this.recordEvent('move', { ...pointerData(key), ...this.space.normalizePoint(x, y) });
+
+    if (this.isInitialized) {
+      this.updateHarmonicsFromCursor();
+    }
   }
 
   /**
-   * Update harmonic amplitudes based on cursor position
+   * Press a field or let it rest (mouse button, pen or touch pressure, space bar)
+   * @param {number} pressure - 0 (resting) to 1 (pressed hard)
+   * @param {string} key - Which field
    */
-  updateHarmonicsFromCursor() {
-    if (!this.isInitialized) return;
-
-    // Find harmonics near cursor
-    const near = this.space.getHarmonicsNear(
-      this.cursor.x,
-      this.cursor.y,
-      this.influenceRadius
-    );
+  pressField(pressure, key = 'cursor') {
+    const field = this.fields.get(key) || { ...this.cursor, pressure: 0 };
 
-    // Base intensity - higher when mouse is down
-    const baseIntensity = this.isMouseDown ? 0.6 : 0.25;
+    // Pens report pressure continuously - changes too small to hear aren't worth an event
+    if (pressure > 0 && field.pressure > 0 && Math.abs(pressure - field.pressure) < 0.02) return;
 
-    // Calculate new amplitudes
-    const newAmplitudes = new Map();
-
-    for (const { harmonic, influence } of near) {
-      // Amplitude based on proximity and mouse state
-      const amplitude = influence * baseIntensity * (1 / Math.sqrt(harmonic.prime / 2));
-      newAmplitudes.set(harmonic.id, Math.min(0.8, amplitude));
+    if (pressure !== field.pressure) {
+      this.recordEvent(pressure > 0 ? 'hold' : 'release', {
+        ...pointerData(key),
+        ...(pressure > 0 ? { pressure } : {})
+      });
     }
+    this.fields.set(key, { ...field, pressure });
+    this.updateHarmonicsFromCursor();
+  }
 
-    // Update active harmonics
-    const allHarmonicIds = new Set([
-      ...this.activeHarmonics.keys(),
-      ...newAmplitudes.keys()
-    ]);
-
-    for (const id of allHarmonicIds) {
-      const currentAmp = this.activeHarmonics.get(id) || 0;
-      const targetAmp = newAmplitudes.get(id) || 0;
+  /**
+   * Take a field off the space - a finger lifted, a pen out of range
+   */
+  liftField(key) {
+    if (!this.fields.delete(key)) return;
+    this.recordEvent('lift', pointerData(key));
+    this.updateHarmonicsFromCursor();
+  }
 
-      if (targetAmp > 0.01) {
-        // Ensure voice exists and set amplitude
-        const harmonic = this.space.getHarmonic(id);
-        if (harmonic) {
-          this.engine.createVoice(id, harmonic.ratio);
-          this.engine.setVoiceAmplitude(id, targetAmp, 0.15);
-          this.activeHarmonics.set(id, targetAmp);
-          this.space.setHarmonicAmplitude(id, targetAmp);
-        }
-      } else if (currentAmp > 0.01) {
-        // Fade out
-        this.engine.setVoiceAmplitude(id, 0, 0.3);
-        this.activeHarmonics.set(id, 0);
-        this.space.setHarmonicAmplitude(id, 0);
+  /**
+   * Move to a new depth, clamped to [0, 1]
+   */
+  changeDepth(depth) {
+    const newDepth = Math.max(0, Math.min(1, depth));
+    this.space.setDepth(newDepth);
+    this.recordEvent('depth', { depth: newDepth });
 
-        // Schedule removal
-        setTimeout(() => {
-          if (this.activeHarmonics.get(id) === 0) {
-            this.engine.releaseVoice(id, 0.5);
-            this.activeHarmonics.delete(id);
-          }
-        }, 500);
-      }
+    // Create/remove voices for newly visible/hidden harmonics
+    if (this.isInitialized) {
+      this.syncVoicesWithDepth();
     }
   }
 
   /**
-   * Sync voices when depth changes
+   * Move the fundamental by a pure interval, extending the modulation path
+   * @param {Object} interval - {numerator, denominator}
+   * @param {number} direction - 1 for up, -1 for down
    */
-  syncVoicesWithDepth() {
-    // Release voices for harmonics that are no longer visible
-    const visible = new Set(this.space.getVisibleHarmonics().map(h => h.id));
+  modulate(interval, direction) {
+    const step = this.modulation.planStep(interval, direction, FUNDAMENTAL_RANGE);
+    this.changeFundamental(step.frequency, 0.3, step);
+  }
 
-    for (const [id, amp] of this.activeHarmonics) {
-      if (!visible.has(id) && amp > 0) {
-        this.engine.setVoiceAmplitude(id, 0, 0.5);
-        this.space.setHarmonicAmplitude(id, 0);
-        this.activeHarmonics.set(id, 0);
+  /**
+   * Glide the fundamental to a new frequency
+   * @param {number} freq - New fundamental in Hz
+   * @param {number} time - Glide time in seconds
+   * @param {Object} step - The modulation step this is, if it's an exact interval (see ModulationPath)
+   */
+  changeFundamental(freq, time, step = null) {
+    this.engine.setFundamental(freq, time);
 
-        setTimeout(() => {
-          this.engine.releaseVoice(id, 0.3);
-          this.activeHarmonics.delete(id);
-        }, 600);
-      }
+    if (step) {
+      this.modulation.apply(step);
+      this.recordEvent('fundamental', { freq, time, step });
+    } else {
+      this.modulation.jump(freq);
+      this.recordEvent('fundamental', { freq, time });
     }
+
+    this.updateFundamentalDisplay();
+    this.updateAudibleRange();
+    this.updateDissonanceCurve();
   }
 
   /**
-   * Update the fundamental frequency display
+   * Return to the default fundamental and the surface
+   */
+  resetSpace() {
+    this.engine.setFundamental(ORIGIN_FUNDAMENTAL, 0.5);
+    this.modulation.reset();
+    this.space.setDepth(0);
+    this.recordEvent('reset');
+    this.updateFundamentalDisplay();
+    this.updateAudibleRange();
+  }
+
+  /**
+   * Sound a harmonic from a MIDI note
+   * @param {string} id - Harmonic id
+   * @param {number} velocity - Note velocity, 0-1
+   */
+  async playNote(id, velocity) {
+    await this.initAudio();
+
+    const harmonic = this.space.getHarmonic(id);
+    if (!harmonic) return;
+
+    // Same weighting as a held cursor: higher primes a little softer
+    const amplitude = Math.min(0.8, velocity * 0.6 / Math.sqrt(harmonic.prime / 2));
+    this.midiNotes.set(id, amplitude);
+    this.updateHarmonicsFromCursor();
+  }
+
+  /**
+   * Release a harmonic held by a MIDI note
+   */
+  releaseNote(id) {
+    this.midiNotes.delete(id);
+    this.updateHarmonicsFromCursor();
+  }
+
+  saveSpatial() {
+    this.settings.spatial = { mode: this.engine.spatialMode, width: this.engine.spatialWidth };
+    this.saveSettings();
+  }
+
+  /**
+   * Keep each voice where its node is - the nodes wander, and the sound follows
+   */
+  updateVoicePositions() {
+    // Sequencer voices are named for their step, not their node
+    const steps = new Map((this.sequencer ? this.sequencer.timeline : []).map(entry => [entry.voiceId, entry.step.id]));
+
+    for (const id of this.engine.voices.keys()) {
+      const h = this.space.getHarmonic(steps.get(id) || id);
+      if (!h) continue;
+      this.engine.setVoicePosition(id, { ...this.space.normalizePoint(h.x, h.y), depth: h.visibilityDepth });
+    }
+  }
+
+  /**
+   * Switch the playable keyboard off, or to the next order of dealing keys
+   */
+  cycleKeyboard() {
+    const orders = [null, ...LAYOUT_ORDERS];
+    this.keyboardOrder = orders[(orders.indexOf(this.keyboardOrder) + 1) % orders.length];
+    this.keyLayoutVisible = null;
+    this.saveKeyboard();
+
+    if (!this.keyboardOrder) {
+      this.releaseKeys();
+      this.renderer.setKeyLabels(null);
+      this.showStatus('Keyboard off');
+    } else {
+      this.showStatus(`Keyboard · keys by ${this.keyboardOrder} · Alt+key over a node binds it`);
+    }
+  }
+
+  saveKeyboard() {
+    this.settings.keyboard = { order: this.keyboardOrder, bindings: this.keyBindings };
+    this.saveSettings();
+  }
+
+  /**
+   * Bind a key to the node under the cursor - or, away from any node, give it back to dealing
+   */
+  bindKeyToCursor(code) {
+    const [under] = this.space.getHarmonicsNear(this.cursor.x, this.cursor.y, 0);
+    this.keyBindings = bindKey(this.keyBindings, code, under ? under.harmonic.id : null);
+    this.keyLayoutVisible = null;
+    this.saveKeyboard();
+
+    this.showStatus(under
+      ? `${keyLabel(code)} → ${under.harmonic.label}`
+      : `${keyLabel(code)} unbound`);
+  }
+
+  /**
+   * Deal the keys again whenever the visible nodes change, and label them
+   */
+  updateKeyLayout() {
+    const visible = this.space.getVisibleHarmonics();
+    const ids = visible.map(h => h.id).join(' ');
+
+    if (ids !== this.keyLayoutVisible) {
+      this.keyLayoutVisible = ids;
+      this.keyLayout = buildKeyLayout(visible, this.keyboardOrder, this.keyBindings);
+    }
+
+    const labels = new Map();
+    for (const [code, id] of this.keyLayout) labels.set(id, keyLabel(code));
+    this.renderer.setKeyLabels({ labels, held: new Set(this.heldKeys.values()) });
+  }
+
+  /**
+   * Sound the node a key plays, for as long as the key is held
+   */
+  async playKey(code) {
+    const id = this.keyLayout.get(code);
+    const harmonic = id && this.space.getHarmonic(id);
+    if (!harmonic) return;
+
+    await this.initAudio();
+
+    // Same weighting as a held cursor: higher primes a little softer
+    this.keyNotes.set(id, Math.min(0.8, KEY_LEVEL / Math.sqrt(harmonic.prime / 2)));
+    this.heldKeys.set(code, id);
+    this.updateHarmonicsFromCursor();
+  }
+
+  releaseKey(code) {
+    const id = this.heldKeys.get(code);
+    this.heldKeys.delete(code);
+
+    // Another held key may play the same node (a binding changed mid-hold)
+    if (![...this.heldKeys.values()].includes(id)) {
+      this.keyNotes.delete(id);
+      this.updateHarmonicsFromCursor();
+    }
+  }
+
+  releaseKeys() {
+    for (const code of [...this.heldKeys.keys()]) {
+      this.releaseKey(code);
+    }
+  }
+
+  /**
+   * Apply a MIDI control move
+   * @param {string} target - 'depth', 'volume' or 'fundamental'
+   * @param {number} value - Control position, 0-1
+   */
+  applyControl(target, value) {
+    switch (target) {
+      case 'depth':
+        this.changeDepth(value);
+        break;
+      case 'volume':
+        this.engine.setMasterVolume(value);
+        break;
+      case 'fundamental':
+        // Exponential sweep over the same 55-440 Hz range the arrow keys allow
+        if (this.isInitialized) {
+          const { min, max } = FUNDAMENTAL_RANGE;
+          this.changeFundamental(min * Math.pow(max / min, value), 0.05);
+        }
+        break;
+    }
+  }
+
+  /**
+   * MIDI learn: over a node, the next note played binds to it.
+   * Elsewhere, each press picks the next control target for the next CC moved,
+   * and a press after the last target cancels.
+   */
+  startMidiLearn() {
+    if (!this.midi) return;
+
+    const [under] = this.space.getHarmonicsNear(this.cursor.x, this.cursor.y, 0);
+    if (under) {
+      this.midi.learn({ type: 'note', id: under.harmonic.id });
+      this.showStatus(`MIDI learn · play a note for ${under.harmonic.label}`, true);
+      return;
+    }
+
+    const learning = this.midi.learning;
+    const current = learning && learning.type === 'control'
+      ? CONTROL_TARGETS.indexOf(learning.target)
+      : -1;
+    const next = CONTROL_TARGETS[current + 1];
+
+    if (next) {
+      this.midi.learn({ type: 'control', target: next });
+      this.showStatus(`MIDI learn · move a control for ${next}`, true);
+    } else {
+      this.midi.cancelLearning();
+      this.showStatus('MIDI learn cancelled');
+    }
+  }
+
+  /**
+   * Switch folding strategy - audio and nodes change together
+   * @param {string} name - Key into FOLDINGS
+   */
+  setFolding(name) {
+    const folding = name === 'span'
+      ? { ...FOLDINGS.span, periods: this.spanOctaves }
+      : FOLDINGS[name];
+
+    this.foldingName = name;
+    this.engine.folding = folding;
+
+    // Every ratio may have moved, so the old voices go
+    this.silenceAll();
+    this.space.setFolding(folding);
+    this.updateAudibleRange();
+
+    this.settings.folding = { strategy: name, spanOctaves: this.spanOctaves };
+    this.saveSettings();
+  }
+
+  /**
+   * Describe the current folding window, e.g. "Two octaves · [1, 4)"
+   */
+  describeFolding() {
+    const { name, equivalence, periods } = this.engine.folding;
+    if (!equivalence) {
+      return `${name} · raw harmonic series up to ${AUDIBLE_RANGE.max} Hz`;
+    }
+    return `${name} · [1, ${Math.pow(equivalence, periods)})`;
+  }
+
+  /**
+   * Hide (and silence) nodes that would sound outside the audible range at this fundamental
+   */
+  updateAudibleRange() {
+    const f = this.engine.fundamental;
+    this.space.setAudibleRange(AUDIBLE_RANGE.min / f, AUDIBLE_RANGE.max / f);
+
+    if (this.isInitialized) {
+      this.syncVoicesWithDepth();
+    }
+  }
+
+  /**
+   * Move to the next series mode: overtones, undertones, or both mirrored
+   */
+  cycleSeries() {
+    const index = SERIES_MODES.indexOf(this.space.series);
+    const next = SERIES_MODES[(index + 1) % SERIES_MODES.length];
+
+    // Node ids and ratios change, so the old voices go
+    this.silenceAll();
+    this.space.setSeries(next);
+
+    const names = { otonal: 'Overtones', utonal: 'Undertones', both: 'Overtones and undertones' };
+    this.showStatus(names[next]);
+  }
+
+  /**
+   * Switch every voice (and the drone) to the next timbre
+   */
+  cycleTimbre() {
+    const index = TIMBRE_NAMES.indexOf(this.engine.timbre);
+    const next = TIMBRE_NAMES[(index + 1) % TIMBRE_NAMES.length];
+
+    this.engine.setTimbre(next);
+    this.saveTimbres();
+    this.updateDissonanceCurve();
+    this.showStatus(`Timbre · ${TIMBRES[next].name}`);
+  }
+
+  /**
+   * Give the prime family under the cursor its own timbre.
+   * Cycles through every timbre, then back to following the global one.
+   */
+  cycleFamilyTimbre() {
+    const [under] = this.space.getHarmonicsNear(this.cursor.x, this.cursor.y, 0);
+    if (!under) {
+      this.showStatus('Point at a node to set its family timbre');
+      return;
+    }
+
+    const family = under.harmonic.prime;
+    const current = this.engine.familyTimbres[family];
+    const next = current ? TIMBRE_NAMES[TIMBRE_NAMES.indexOf(current) + 1] || null : TIMBRE_NAMES[0];
+
+    this.engine.setTimbre(next, family);
+    this.saveTimbres();
+    this.showStatus(`${family}-family timbre · ${next ? TIMBRES[next].name : 'follows global'}`);
+  }
+
+  /**
+   * Persist the timbre choices
+   */
+  saveTimbres() {
+    this.settings.timbres = {
+      global: this.engine.timbre,
+      families: { ...this.engine.familyTimbres }
+    };
+    this.saveSettings();
+  }
+
+  /**
+   * Replace the global and every family timbre with a saved set
+   * @param {Object} timbres - {global, families: {prime: name}}
+   */
+  applyTimbres(timbres) {
+    for (const family of Object.keys(this.engine.familyTimbres)) {
+      this.engine.setTimbre(null, Number(family));
+    }
+    this.engine.setTimbre(timbres.global);
+    for (const [family, name] of Object.entries(timbres.families)) {
+      this.engine.setTimbre(name, Number(family));
+    }
+    this.saveTimbres();
+  }
+
+  /**
+   * Add an event to the journey being recorded, if any
+   */
+  recordEvent(type, data = {}) {
+    this.recorder.record(type, data, performance.now());
+  }
+
+  /**
+   * When the input being handled happened, in milliseconds. A replayed event counts
+   * from when it was due, not the frame that dispatched it, so gestures replay at
+   * the speed they were made.
+   */
+  inputTime() {
+    return this.replayTime ?? performance.now();
+  }
+
+  /**
+   * Apply one event from a replaying journey
+   */
+  replayEvent(event) {
+    this.replayTime = this.player.startTime + event.t * 1000;
+
+    switch (event.type) {
+      case 'move': {
+        const point = this.space.denormalizePoint(event.x, event.y);
+        this.moveCursor(point.x, point.y, event.pointer || 'cursor');
+        break;
+      }
+      case 'hold':
+        // Journeys from before pressure sensing hold at a mouse button's pressure
+        this.pressField(event.pressure ?? 0.5, event.pointer || 'cursor');
+        break;
+      case 'release':
+        this.pressField(0, event.pointer || 'cursor');
+        break;
+      case 'lift':
+        this.liftField(event.pointer || 'cursor');
+        break;
+      case 'depth':
+        this.changeDepth(event.depth);
+        break;
+      case 'fundamental':
+        this.changeFundamental(event.freq, event.time, event.step || null);
+        break;
+      case 'reset':
+        this.resetSpace();
+        break;
+      case 'pin':
+        this.setPin(event.id, event.level);
+        break;
+      case 'unpin-all':
+        this.releaseHeld();
+        break;
+    }
+
+    this.replayTime = null;
+  }
+
+  /**
+   * Start or stop recording a journey.
+   * Recording regrows the space from a fresh seed, so replays can regrow it identically.
+   */
+  async toggleRecording() {
+    const now = performance.now();
+
+    if (this.recorder.isRecording) {
+      this.journey = this.recorder.stop(now);
+      this.voiceLog = this.voiceRecorder.stop();
+      this.showStatus(`Journey recorded · ${this.journey.duration.toFixed(1)} s`);
+      return;
+    }
+
+    await this.initAudio();
+    this.stopJourney();
+
+    const seed = randomSeed();
+    this.space.reseed(seed);
+    this.renderer.reseed(seed);
+    this.engine.reseed(seed);
+
+    // Everything that decides which nodes exist and how they sound
+    this.recorder.start(seed, {
+      fundamental: this.engine.fundamental,
+      depth: this.space.depth,
+      folding: { strategy: this.foldingName, spanOctaves: this.spanOctaves },
+      series: this.space.series,
+      scale: this.space.scale,
+      timbres: { global: this.engine.timbre, families: { ...this.engine.familyTimbres } }
+    }, now);
+
+    // Capture where every field is and what is latched, so the replay starts from the same place
+    for (const [key, field] of this.fields) {
+      this.recordEvent('move', { ...pointerData(key), ...this.space.normalizePoint(field.x, field.y) });
+      if (field.pressure > 0) this.recordEvent('hold', { ...pointerData(key), pressure: field.pressure });
+    }
+    for (const [id, level] of this.heldHarmonics) {
+      this.recordEvent('pin', { id, level });
+    }
+    this.voiceRecorder.start(this.engine);
+
+    this.showStatus('● Recording journey', true);
+  }
+
+  /**
+   * Replay a journey from its starting state
+   */
+  async playJourney(journey) {
+    await this.initAudio();
+    if (this.recorder.isRecording) {
+      this.journey = this.recorder.stop(performance.now());
+    }
+    this.voiceRecorder.stop();
+
+    // Start from silence and the journey's initial state. Journeys from before
+    // folding, series, scale and timbres were recorded leave those as they are.
+    this.silenceAll();
+    this.fields.clear();
+    const { folding, series, scale, timbres } = journey.initial;
+    if (folding) {
+      this.spanOctaves = folding.spanOctaves;
+      this.setFolding(folding.strategy);
+    }
+    if (series) this.space.setSeries(series);
+    if (scale !== undefined) this.space.setScale(scale);
+    if (timbres) this.applyTimbres(timbres);
+    this.engine.setFundamental(journey.initial.fundamental, 0.05);
+    this.modulation.reset();
+    this.modulation.jump(journey.initial.fundamental);
+    this.space.setDepth(journey.initial.depth);
+    this.space.reseed(journey.seed);
+    this.renderer.reseed(journey.seed);
+    this.engine.reseed(journey.seed);
+    this.updateFundamentalDisplay();
+    this.updateAudibleRange();
+
+    // Log what the replay plays, so a loaded journey can be exported as MIDI
+    this.voiceRecorder.start(this.engine);
+
+    // Give released voices time to finish fading before the first event
+    this.player.play(journey, performance.now() + 600);
+    this.showStatus('▶ Replaying journey · Esc to stop', true);
+  }
+
+  /**
+   * Stop a replaying journey
+   */
+  stopJourney() {
+    if (!this.player.isPlaying) return;
+    this.player.stop();
+    this.voiceLog = this.voiceRecorder.stop();
+    this.showStatus('Replay stopped');
+  }
+
+  /**
+   * Export the voices of the last recorded or replayed session as a MIDI file
+   */
+  async exportMidi() {
+    if (!this.voiceLog || this.voiceLog.events.length === 0) {
+      this.showStatus('Record or replay a journey first');
+      return;
+    }
+
+    const path = await window.harmonicDepths.saveFile({
+      title: 'Export MIDI',
+      defaultPath: 'harmonic-depths.mid',
+      filters: [{ name: 'Standard MIDI File', extensions: ['mid'] }]
+    }, encodeMidiFile(this.voiceLog));
+
+    if (path) this.showStatus('MIDI exported');
+  }
+
+  /**
+   * Save the last journey to a JSON file
+   */
+  async saveJourney() {
+    if (!this.journey) {
+      this.showStatus('No journey recorded yet');
+      return;
+    }
+
+    const path = await window.harmonicDepths.saveFile({
+      title: 'Save Journey',
+      defaultPath: 'journey.json',
+      filters: [{ name: 'Harmonic Depths Journey', extensions: ['json'] }]
+    }, serializeJourney(this.journey));
+
+    if (path) this.showStatus('Journey saved');
+  }
+
+  /**
+   * Load a journey from a JSON file and replay it
+   */
+  async openJourney() {
+    const file = await window.harmonicDepths.openFile({
+      title: 'Open Journey',
+      filters: [{ name: 'Harmonic Depths Journey', extensions: ['json'] }],
+      encoding: 'utf8'
+    });
+    if (!file) return;
+
+    try {
+      this.journey = parseJourney(file.data);
+    } catch (err) {
+      console.error('Could not load journey:', err);
+      this.showStatus('Not a valid journey file');
+      return;
+    }
+
+    this.playJourney(this.journey);
+  }
+
+  /**
+   * Export the harmonics visible at the current depth as a Scala scale,
+   * optionally with a keyboard mapping anchored to the fundamental.
+   * The scale repeats where the space does: at an imported scale's own period,
+   * or at the top of the folding's window (4/1 for two octaves, 3/1 for the tritave).
+   */
+  async exportScale() {
+    const imported = this.space.scale && this.space.scale.degrees;
+    const period = imported && imported.length > 0 ? imported[imported.length - 1] : foldingPeriod(this.space.folding);
+    if (!period) {
+      this.showStatus('The unfolded series never repeats - choose a folding (Shift+O) to export a scale');
+      return;
+    }
+
+    const visible = this.space.getVisibleHarmonics();
+    const degrees = buildScale(visible, period);
+    const name = this.space.scale ? 'harmonic-depths-scale' : `harmonic-depths-${visible.length}-primes`;
+    const description = this.space.scale
+      ? `${this.space.scale.description} (Harmonic Depths selection)`
+      : `Prime harmonics ${visible.map(h => h.prime).join(' ')}, repeating at ${period.numerator}/${period.denominator}`;
+
+    const sclPath = await window.harmonicDepths.saveFile({
+      title: 'Export Scala Scale',
+      defaultPath: `${name}.scl`,
+      filters: [{ name: 'Scala Scale', extensions: ['scl'] }]
+    }, serializeScl(degrees, name, description));
+    if (!sclPath) return;
+
+    // The keyboard mapping is optional - cancel this dialog to skip it
+    const kbmPath = await window.harmonicDepths.saveFile({
+      title: 'Export Keyboard Mapping (optional)',
+      defaultPath: `${name}.kbm`,
+      filters: [{ name: 'Scala Keyboard Mapping', extensions: ['kbm'] }]
+    }, serializeKbm(degrees.length, this.engine.fundamental, name));
+
+    this.showStatus(kbmPath ? 'Scale and mapping exported' : 'Scale exported');
+  }
+
+  /**
+   * Load a .scl file and rebuild the space from its degrees
+   */
+  async importScale() {
+    const file = await window.harmonicDepths.openFile({
+      title: 'Import Scala Scale',
+      filters: [{ name: 'Scala Scale', extensions: ['scl'] }],
+      encoding: 'utf8'
+    });
+    if (!file) return;
+
+    let scale;
+    try {
+      scale = parseScl(file.data);
+    } catch (err) {
+      console.error('Could not load scale:', err);
+      this.showStatus('Not a valid Scala file');
+      return;
+    }
+
+    // Old voices belong to nodes that no longer exist
+    this.silenceAll();
+    this.space.setScale(scale);
+    this.showStatus(`${scale.description || 'Scale'} · ${scale.degrees.length} degrees`);
+  }
+
+  /**
+   * Return from an imported scale to the prime series
+   */
+  clearScale() {
+    this.silenceAll();
+    this.space.setScale(null);
+    this.showStatus('Prime series');
+  }
+
+  /**
+   * Fade out every sounding harmonic at once
+   */
+  silenceAll() {
+    // Let go of held MIDI notes as well - their note-offs would otherwise find nodes that have gone
+    if (this.midi) this.midi.releaseAll();
+
+    for (const id of this.activeHarmonics.keys()) {
+      this.cancelRelease(id);
+      this.engine.releaseVoice(id, 0.3);
+      this.space.setHarmonicAmplitude(id, 0);
+    }
+    this.activeHarmonics.clear();
+    this.midiNotes.clear();
+    this.keyNotes.clear();
+    this.heldKeys.clear();
+    this.heldHarmonics.clear();
+    this.space.setPinned(new Map());
+  }
+
+  /**
+   * Handle window resize
+   */
+  handleResize() {
+    this.space.resize(window.innerWidth, window.innerHeight);
+    this.renderer.resize();
+  }
+
+  /**
+   * Update harmonic amplitudes based on cursor position
+   * @param {number} time - Fade time in seconds, instead of the usual quick response (e.g. a preset crossfade)
+   */
+  updateHarmonicsFromCursor(time = null) {
+    // The quiz has the stage to itself
+    if (!this.isInitialized || this.quiz) return;
+
+    // Every field's reach, overlaps combined
+    const newAmplitudes = fieldAmplitudes(this.space, [...this.fields.values()], this.influenceRadius);
+    const reached = new Set(newAmplitudes.keys());
+
+    // Harmonics held from a MIDI or computer keyboard sound wherever the cursor is, as long as they're visible
+    const visible = new Set(this.space.getVisibleHarmonics().map(h => h.id));
+    for (const [id, amplitude] of [...this.midiNotes, ...this.keyNotes]) {
+      if (visible.has(id)) {
+        newAmplitudes.set(id, Math.max(newAmplitudes.get(id) || 0, amplitude));
+      }
+    }
+
+    // Harmonics held by a preset sound until released, visible or not
+    for (const [id, amplitude] of this.heldHarmonics) {
+      if (this.space.getHarmonic(id)) {
+        newAmplitudes.set(id, Math.max(newAmplitudes.get(id) || 0, amplitude));
+      }
+    }
+
+    const riseTime = time ?? 0.15;
+    const fallTime = time ?? 0.3;
+
+    // How hard the gesture that reaches a node strikes it - null for a note played from a key,
+    // or where no field does (MIDI), which then plays its envelope as set
+    let speeds = null;
+    const velocity = id => {
+      if (!reached.has(id) || this.keyNotes.has(id) || this.midiNotes.has(id)) return null;
+      speeds = speeds || fieldSpeeds(this.space, [...this.fields.values()], this.influenceRadius, this.inputTime());
+      return gestureVelocity(speeds.get(id) || 0, this.influenceRadius);
+    };
+
+    // Update active harmonics
+    const allHarmonicIds = new Set([
+      ...this.activeHarmonics.keys(),
+      ...newAmplitudes.keys()
+    ]);
+
+    for (const id of allHarmonicIds) {
+      const currentAmp = this.activeHarmonics.get(id) || 0;
+      const targetAmp = newAmplitudes.get(id) || 0;
+
+      if (targetAmp > 0.01) {
+        // Ensure voice exists and set amplitude
+        const harmonic = this.space.getHarmonic(id);
+        if (harmonic) {
+          this.cancelRelease(id);
+          this.engine.createVoice(id, harmonic.ratio, harmonic.prime);
+          if (time === null && !this.activeHarmonics.has(id)) {
+            // Newly reached - its envelope starts, shaped by the gesture
+            this.engine.triggerVoice(id, targetAmp, velocity(id));
+          } else {
+            this.engine.setVoiceAmplitude(id, targetAmp, riseTime);
+          }
+          this.activeHarmonics.set(id, targetAmp);
+          this.space.setHarmonicAmplitude(id, targetAmp);
+        }
+      } else if (currentAmp > 0.01 && time === null) {
+        // Let go - its envelope's release
+        this.cancelRelease(id);
+        this.engine.releaseVoice(id);
+        this.activeHarmonics.delete(id);
+        this.space.setHarmonicAmplitude(id, 0);
+      } else if (currentAmp > 0.01) {
+        // Fade out
+        this.engine.setVoiceAmplitude(id, 0, fallTime);
+        this.activeHarmonics.set(id, 0);
+        this.space.setHarmonicAmplitude(id, 0);
+
+        // Schedule removal
+        this.scheduleRelease(id, Math.max(500, fallTime * 1000 + 200), 0.5);
+      }
+    }
+  }
+
+  /**
+   * Sync voices when depth changes
+   */
+  syncVoicesWithDepth() {
+    // Release voices for harmonics that are no longer visible
+    const visible = new Set(this.space.getVisibleHarmonics().map(h => h.id));
+
+    for (const [id, amp] of this.activeHarmonics) {
+      if (!visible.has(id) && amp > 0) {
+        this.engine.setVoiceAmplitude(id, 0, 0.5);
+        this.space.setHarmonicAmplitude(id, 0);
+        this.activeHarmonics.set(id, 0);
+        this.scheduleRelease(id, 600, 0.3);
+      }
+    }
+  }
+
+  /**
+   * Release a faded-out voice after a delay - replacing any release already pending for it
+   * @param {string} id - Harmonic id
+   * @param {number} delay - Milliseconds to wait, for the fade to finish
+   * @param {number} fadeTime - Release time for what's left, in seconds
+   */
+  scheduleRelease(id, delay, fadeTime) {
+    this.cancelRelease(id);
+    this.releaseTimers.set(id, setTimeout(() => {
+      this.releaseTimers.delete(id);
+      this.engine.releaseVoice(id, fadeTime);
+      this.activeHarmonics.delete(id);
+    }, delay));
+  }
+
+  /**
+   * Keep a voice that sounds again before its pending release
+   */
+  cancelRelease(id) {
+    clearTimeout(this.releaseTimers.get(id));
+    this.releaseTimers.delete(id);
+  }
+
+  /**
+   * Render the current sound offline and save it as a WAV file
+   */
+  async exportAudio() {
+    const status = document.getElementById('exportStatus');
+    const button = document.getElementById('exportButton');
+
+    if (!this.isInitialized) {
+      status.textContent = 'Nothing is sounding yet.';
+      return;
+    }
+
+    const sampleRate = parseInt(document.getElementById('exportSampleRate').value, 10);
+    const bitDepth = parseInt(document.getElementById('exportBitDepth').value, 10);
+    const duration = Math.max(1, Math.min(600, parseFloat(document.getElementById('exportDuration').value) || 30));
+
+    button.disabled = true;
+    status.textContent = 'Rendering...';
+
+    try {
+      const buffer = await renderOffline(this.engine, { sampleRate, duration });
+      const wav = encodeWav(buffer, bitDepth);
+      const freq = this.engine.fundamental.toFixed(1);
+
+      const path = await window.harmonicDepths.saveFile({
+        title: 'Export Audio',
+        defaultPath: `harmonic-depths-${freq}hz.wav`,
+        filters: [{ name: 'WAV Audio', extensions: ['wav'] }]
+      }, wav);
+
+      status.textContent = path ? `Saved ${path}` : '';
+    } catch (err) {
+      console.error('Audio export failed:', err);
+      status.textContent = 'Export failed.';
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Show a short status message
+   * @param {string} text - Message to show
+   * @param {boolean} persistent - Keep it up until the next message
+   */
+  showStatus(text, persistent = false) {
+    clearTimeout(this.statusTimer);
+    this.statusDisplay.textContent = text;
+    this.statusHint.classList.remove('hidden');
+
+    if (!persistent) {
+      this.statusTimer = setTimeout(() => {
+        this.statusHint.classList.add('hidden');
+      }, 2500);
+    }
+  }
+
+  /**
+   * Update the fundamental frequency display
    */
   updateFundamentalDisplay() {
     if (this.fundamentalDisplay) {
       const freq = this.engine.fundamental.toFixed(1);
       this.fundamentalDisplay.textContent = `${freq} Hz`;
     }
+
+    // Modulation path: running ratio, comma drift from the origin, recent steps
+    if (this.modulationDisplay) {
+      const path = this.modulation;
+      if (path.steps.length === 0) {
+        this.modulationDisplay.textContent = '';
+      } else {
+        const ratio = path.ratioText ? `× ${path.ratioText}` : '≈';
+        const drift = `${path.drift >= 0 ? '+' : ''}${path.drift.toFixed(1)}¢`;
+        this.modulationDisplay.textContent = `${ratio} · ${drift} from ${ORIGIN_FUNDAMENTAL} Hz · ${path.describe()}`;
+      }
+    }
+
+    this.renderer.setFundamentalTrail(
+      this.modulation.trail.map(freq => driftCents(freq, ORIGIN_FUNDAMENTAL))
+    );
+  }
+
+  /**
+   * Refresh the inspector: every node under the cursor or currently sounding
+   */
+  updateInspector() {
+    if (this.inspector.classList.contains('hidden')) return;
+
+    const nodes = new Map();
+    for (const field of this.fields.values()) {
+      for (const { harmonic } of this.space.getHarmonicsNear(field.x, field.y, this.influenceRadius)) {
+        nodes.set(harmonic.id, harmonic);
+      }
+    }
+    for (const [id, amplitude] of this.activeHarmonics) {
+      const harmonic = this.space.getHarmonic(id);
+      if (harmonic && amplitude > 0.01) nodes.set(id, harmonic);
+    }
+
+    // Lowest pitch first, like reading a chord upward
+    const rows = [...nodes.values()]
+      .sort((a, b) => a.ratio - b.ratio)
+      .map(harmonic => {
+        const info = describeHarmonic(harmonic, this.engine.fundamental);
+        const { h, s, l } = harmonic.color;
+        const row = document.createElement('tr');
+        if ((this.activeHarmonics.get(info.id) || 0) > 0.01) row.classList.add('sounding');
+
+        const cells = [
+          info.isUndertone ? `1/${info.prime}` : `${info.prime}`,
+          info.fraction,
+          info.frequency.toFixed(2),
+          info.cents.toFixed(1),
+          info.note,
+          formatCents(info.deviation)
+        ];
+        cells.forEach((text, i) => {
+          const cell = document.createElement('td');
+          cell.textContent = text;
+          if (i === 0) cell.style.color = `hsl(${h}, ${s}%, ${l + 15}%)`;
+          row.appendChild(cell);
+        });
+        return row;
+      });
+
+    this.inspectorRows.replaceChildren(...rows);
+  }
+
+  /**
+   * Measure the roughness of everything sounding, with each voice's own timbre
+   */
+  updateDissonanceMeter() {
+    if (this.dissonanceMeter.classList.contains('hidden') || !this.isInitialized) return;
+
+    const fundamental = this.engine.fundamental;
+    const tones = [
+      // The drone is always there, quietly
+      { frequency: fundamental, amplitude: 0.08, spectrum: getTimbreSpectrum(this.engine.timbre) }
+    ];
+    for (const voice of this.engine.voices.values()) {
+      if (voice.targetGain <= 0.001) continue;
+      tones.push({
+        frequency: fundamental * voice.ratio,
+        amplitude: voice.targetGain,
+        spectrum: getTimbreSpectrum(this.engine.getTimbre(voice.family))
+      });
+    }
+
+    const value = roughness(tones);
+    // Roughness has no ceiling - ease it onto the meter so small differences still show
+    const level = 1 - Math.exp(-value / 0.15);
+    document.getElementById('dissonanceFill').style.width = `${(level * 100).toFixed(1)}%`;
+    document.getElementById('dissonanceValue').textContent = value.toFixed(3);
+  }
+
+  /**
+   * Plot roughness against a dyad swept over an octave, in the current timbre, with the primes marked
+   */
+  updateDissonanceCurve() {
+    if (this.curvePanel.classList.contains('hidden')) return;
+
+    const canvas = document.getElementById('curveCanvas');
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const pad = { top: 18, bottom: 8 };
+    const plotHeight = height - pad.top - pad.bottom;
+
+    const spectrum = getTimbreSpectrum(this.engine.timbre);
+    const curve = dissonanceCurve({ frequency: this.engine.fundamental, spectrum, from: 1, to: 2 });
+    const peak = Math.max(...curve.map(p => p.roughness)) || 1;
+
+    const xOf = ratio => Math.log2(ratio) * width;
+    const yOf = value => pad.top + plotHeight * (1 - value / peak);
+
+    ctx.clearRect(0, 0, width, height);
+
+    // Prime ratios, folded into the octave - simplest fractions from every prime family
+    ctx.font = '9px sans-serif';
+    ctx.textAlign = 'center';
+    const marks = PRIMES.slice(1, 9).map(prime => {
+      const { numerator, denominator } = getPrimeFraction(prime, FOLDINGS.octave);
+      return { prime, ratio: numerator / denominator, label: `${numerator}/${denominator}` };
+    });
+    marks.push({ prime: 2, ratio: 2, label: '2/1' });
+
+    for (const mark of marks) {
+      const { h, s, l } = PRIME_COLORS[mark.prime] || PRIME_COLORS.default;
+      const x = Math.min(width - 1, xOf(mark.ratio));
+      ctx.strokeStyle = `hsla(${h}, ${s}%, ${l}%, 0.4)`;
+      ctx.beginPath();
+      ctx.moveTo(x, pad.top);
+      ctx.lineTo(x, height - pad.bottom);
+      ctx.stroke();
+
+      ctx.fillStyle = `hsla(${h}, ${s}%, ${l + 15}%, 0.9)`;
+      ctx.fillText(mark.label, Math.max(10, Math.min(width - 10, x)), 10);
+    }
+
+    // The curve
+    ctx.strokeStyle = 'rgba(200, 210, 230, 0.8)';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    curve.forEach((p, i) => {
+      if (i === 0) ctx.moveTo(xOf(p.ratio), yOf(p.roughness));
+      else ctx.lineTo(xOf(p.ratio), yOf(p.roughness));
+    });
+    ctx.stroke();
+    ctx.lineWidth = 1;
+
+    document.getElementById('curveStatus').textContent =
+      `${TIMBRES[this.engine.timbre].name} · ${this.engine.fundamental.toFixed(1)} Hz · 1/1 to 2/1`;
+  }
+
+  /**
+   * Feed the analyser view: the measured spectrum, and each voice's expected and measured peak
+   */
+  updateSpectrum() {
+    const spectrum = this.engine.getSpectrum();
+    if (!spectrum) return;
+
+    const fundamental = this.engine.fundamental;
+    const expected = [{ id: 'fundamental', frequency: fundamental, label: '1/1', color: PRIME_COLORS.default }];
+    for (const [id, voice] of this.engine.voices) {
+      if (voice.targetGain <= 0.01) continue;
+      const harmonic = this.space.getHarmonic(id);
+      expected.push({
+        id,
+        frequency: fundamental * voice.ratio,
+        label: harmonic ? harmonic.label : id,
+        color: harmonic ? harmonic.color : PRIME_COLORS.default
+      });
+    }
+
+    const markers = matchPeaks(expected, findPeaks(spectrum.bins, spectrum.binWidth));
+    this.renderer.setSpectrum({ ...spectrum, markers });
+  }
+
+  /**
+   * Start or stop listening to the microphone
+   */
+  async toggleMicrophone() {
+    if (this.microphone) {
+      this.microphone.stream.getTracks().forEach(track => track.stop());
+      this.microphone.source.disconnect();
+      this.microphone = null;
+      this.space.setPitchMatch(null);
+      this.pitchHint.classList.add('hidden');
+      this.showStatus('Microphone off');
+      return;
+    }
+
+    await this.initAudio();
+
+    let stream;
+    try {
+      // Raw signal - voice processing would bend the very pitch we're measuring
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+      });
+    } catch (err) {
+      console.error('Microphone unavailable:', err);
+      this.showStatus('Microphone unavailable');
+      return;
+    }
+
+    // Analysed only, never connected to the speakers
+    const context = this.engine.audioContext;
+    const source = context.createMediaStreamSource(stream);
+    const analyser = context.createAnalyser();
+    // Room for two periods of the lowest pitch tracked (60 Hz)
+    analyser.fftSize = Math.pow(2, Math.ceil(Math.log2(2 * context.sampleRate / 60)));
+    source.connect(analyser);
+
+    this.microphone = { stream, source, analyser, samples: new Float32Array(analyser.fftSize) };
+    this.pitchHistory = [];
+    this.pitchDisplay.textContent = 'Listening…';
+    this.pitchHint.classList.remove('hidden');
+    this.showStatus('Microphone on - sing or play against the nodes');
+  }
+
+  /**
+   * Track the microphone's pitch and light up the nearest visible node
+   */
+  updatePitchTracking() {
+    const { analyser, samples } = this.microphone;
+    analyser.getFloatTimeDomainData(samples);
+    const pitch = detectPitch(samples, this.engine.audioContext.sampleRate);
+
+    if (!pitch) {
+      this.pitchHistory = [];
+      this.space.setPitchMatch(null);
+      this.pitchDisplay.textContent = 'Listening…';
+      return;
+    }
+
+    // Median of the last few readings rides over single-frame octave slips
+    this.pitchHistory.push(pitch.frequency);
+    if (this.pitchHistory.length > 5) this.pitchHistory.shift();
+    const sorted = [...this.pitchHistory].sort((a, b) => a - b);
+    const frequency = sorted[Math.floor(sorted.length / 2)];
+
+    const match = nearestHarmonic(frequency, this.space.getVisibleHarmonics(), this.engine.fundamental);
+    if (!match) {
+      this.space.setPitchMatch(null);
+      this.pitchDisplay.textContent = `${frequency.toFixed(1)} Hz`;
+      return;
+    }
+
+    this.space.setPitchMatch({ id: match.harmonic.id, cents: match.cents });
+    this.pitchDisplay.textContent =
+      `${frequency.toFixed(1)} Hz · ${match.harmonic.label} ${formatCents(match.cents)}`;
+  }
+
+  /**
+   * Start an ear-training quiz, continuing the saved history
+   */
+  async startQuiz() {
+    await this.initAudio();
+    if (this.player.isPlaying) return;
+
+    this.silenceAll();
+    this.trainer = new EarTrainer(this.settings.training);
+    this.quiz = { question: null, askedAt: 0, answered: false, voices: [] };
+    this.quizPanel.classList.remove('hidden');
+    this.updateQuizStats();
+    this.askQuestion();
+  }
+
+  /**
+   * End the quiz and give the space back to the cursor
+   */
+  stopQuiz() {
+    this.releaseQuizVoices();
+    this.quiz = null;
+    this.quizPanel.classList.add('hidden');
+    this.updateHarmonicsFromCursor();
+  }
+
+  /**
+   * Ask a new question and play it
+   */
+  askQuestion() {
+    // Node questions need every prime in play on screen, as itself
+    const visible = new Set(this.space.getVisibleHarmonics().map(h => h.id));
+    const primesShown = !this.space.scale && this.space.series !== 'utonal' &&
+      unlockedPrimes(this.space.depth).every(prime => visible.has(`prime_${prime}`));
+    const types = QUESTION_TYPES.filter(type => type !== 'node' || primesShown);
+
+    const question = this.trainer.nextQuestion({
+      depth: this.space.depth,
+      folding: this.engine.folding,
+      types
+    });
+    this.quiz.question = question;
+    this.quiz.answered = false;
+
+    const prompts = {
+      prime: question.voices.length > 1
+        ? 'Two harmonics - which prime is the new one?'
+        : 'Which prime is this?',
+      node: 'Click the node you hear.',
+      tempered: 'Just, or its 12-TET neighbour?'
+    };
+    document.getElementById('quizPrompt').textContent = prompts[question.type];
+    document.getElementById('quizFeedback').textContent = '';
+
+    const choices = question.type === 'node' ? [] : question.choices.map(choice => {
+      const button = document.createElement('button');
+      button.textContent = choice === 'just' ? 'Just' : choice === 'tempered' ? '12-TET' : choice;
+      button.addEventListener('click', () => this.answerQuiz(choice));
+      return button;
+    });
+    document.getElementById('quizChoices').replaceChildren(...choices);
+
+    this.playQuestion();
+  }
+
+  /**
+   * Sound the current question (again)
+   */
+  playQuestion() {
+    this.releaseQuizVoices();
+
+    this.quizCount++;
+    this.quiz.voices = this.quiz.question.voices.map((voice, i) => {
+      const id = `quiz_${this.quizCount}_${i}`;
+      this.engine.createVoice(id, voice.ratio, voice.prime);
+      this.engine.triggerVoice(id, voice.companion ? 0.2 : 0.3);
+      return id;
+    });
+    this.quiz.askedAt = performance.now();
+  }
+
+  releaseQuizVoices() {
+    if (!this.quiz) return;
+    for (const id of this.quiz.voices) {
+      this.engine.releaseVoice(id);
+    }
+    this.quiz.voices = [];
+  }
+
+  /**
+   * Score an answer, save the history and say what it was
+   * @param {number|string} response - A prime, or 'just'/'tempered'
+   */
+  answerQuiz(response) {
+    if (!this.quiz || this.quiz.answered) return;
+
+    const { question } = this.quiz;
+    const correct = this.trainer.answer(question, response, performance.now() - this.quiz.askedAt);
+    this.quiz.answered = true;
+
+    this.settings.training = this.trainer.history;
+    this.saveSettings();
+
+    const harmonic = this.space.getHarmonic(`prime_${question.prime}`);
+    const label = harmonic ? harmonic.label : `prime ${question.prime}`;
+    const truth = question.type === 'tempered'
+      ? `it was ${question.tempered ? 'the 12-TET neighbour' : 'just'} of ${label}`
+      : `it was ${question.prime} (${label})`;
+
+    document.getElementById('quizFeedback').textContent =
+      `${correct ? 'Right' : 'Not quite'} - ${truth}. Enter for the next.`;
+    this.updateQuizStats();
+  }
+
+  /**
+   * Show accuracy and response time per prime
+   */
+  updateQuizStats() {
+    const rows = this.trainer.stats().map(({ prime, attempts, accuracy, meanTime }) => {
+      const row = document.createElement('tr');
+      for (const text of [prime, attempts, `${Math.round(accuracy * 100)}%`, `${(meanTime / 1000).toFixed(1)}s`]) {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      }
+      return row;
+    });
+    document.getElementById('quizStats').replaceChildren(...rows);
+  }
+
+  /**
+   * Show or hide the presets panel, refreshing the list when it opens
+   */
+  togglePresetPanel() {
+    this.presetPanel.classList.toggle('hidden');
+    if (!this.presetPanel.classList.contains('hidden')) {
+      this.refreshPresetList();
+    }
+  }
+
+  /**
+   * List the saved presets, each with recall and delete buttons
+   */
+  async refreshPresetList() {
+    const presets = await window.harmonicDepths.listPresets();
+
+    const items = presets.map(({ id, name }) => {
+      const item = document.createElement('li');
+      const recall = document.createElement('button');
+      recall.textContent = name;
+      recall.addEventListener('click', () => this.recallPreset(id));
+      const remove = document.createElement('button');
+      remove.textContent = '×';
+      remove.title = 'Delete';
+      remove.addEventListener('click', async () => {
+        await window.harmonicDepths.deletePreset(id);
+        this.refreshPresetList();
+      });
+      item.append(recall, remove);
+      return item;
+    });
+
+    document.getElementById('presetList').replaceChildren(...items);
+  }
+
+  /**
+   * Save what is sounding now as a named preset
+   */
+  async savePreset() {
+    const status = document.getElementById('presetStatus');
+    const name = document.getElementById('presetName').value;
+
+    const harmonics = [];
+    for (const [id, amplitude] of this.activeHarmonics) {
+      const harmonic = this.space.getHarmonic(id);
+      if (harmonic && amplitude > 0.01) {
+        harmonics.push({ id, prime: harmonic.prime, ratio: harmonic.ratio, amplitude });
+      }
+    }
+
+    if (harmonics.length === 0) {
+      status.textContent = 'Nothing is sounding to save.';
+      return;
+    }
+
+    const preset = createPreset(name, {
+      fundamental: this.engine.fundamental,
+      depth: this.space.depth,
+      volume: this.engine.masterVolume,
+      timbres: { global: this.engine.timbre, families: { ...this.engine.familyTimbres } },
+      folding: { strategy: this.foldingName, spanOctaves: this.spanOctaves },
+      series: this.space.series,
+      harmonics
+    });
+
+    try {
+      await window.harmonicDepths.savePreset(preset);
+      status.textContent = `Saved ${preset.name}`;
+      this.refreshPresetList();
+    } catch (err) {
+      console.error('Could not save preset:', err);
+      status.textContent = 'Could not save the preset.';
+    }
+  }
+
+  /**
+   * Crossfade into a saved preset. Its harmonics stay held until released.
+   * @param {string} id - Preset id, from the list
+   */
+  async recallPreset(id) {
+    const status = document.getElementById('presetStatus');
+
+    let preset;
+    try {
+      preset = normalizePreset(await window.harmonicDepths.loadPreset(id));
+    } catch (err) {
+      console.error('Could not load preset:', err);
+      status.textContent = 'Could not load the preset.';
+      return;
+    }
+
+    await this.initAudio();
+    if (this.player.isPlaying || this.quiz) return;
+
+    // Harmonic ids only mean the same thing in the same folding and series -
+    // switching those can't crossfade, so it only happens when needed
+    if (preset.folding && (preset.folding.strategy !== this.foldingName ||
+        preset.folding.spanOctaves !== this.spanOctaves)) {
+      this.spanOctaves = preset.folding.spanOctaves;
+      this.setFolding(preset.folding.strategy);
+    }
+    if (preset.series !== this.space.series) {
+      this.silenceAll();
+      this.space.setSeries(preset.series);
+    }
+
+    if (preset.timbres) {
+      this.applyTimbres(preset.timbres);
+    }
+
+    if (preset.volume !== null) {
+      this.engine.setMasterVolume(preset.volume, PRESET_CROSSFADE);
+    }
+    this.changeFundamental(preset.fundamental, PRESET_CROSSFADE);
+    this.changeDepth(preset.depth);
+
+    const present = preset.harmonics.filter(h => this.space.getHarmonic(h.id));
+    this.heldHarmonics = new Map(present.map(h => [h.id, h.amplitude]));
+    this.space.setPinned(new Map(this.heldHarmonics));
+    this.updateHarmonicsFromCursor(PRESET_CROSSFADE);
+
+    const missing = preset.harmonics.length - present.length;
+    status.textContent = missing > 0 ? `${missing} harmonics aren't in this space.` : '';
+    this.showStatus(`Preset · ${preset.name} - Escape releases it`);
+  }
+
+  /**
+   * Latch a harmonic on, or off
+   * @param {string} id - Harmonic id
+   */
+  togglePin(id) {
+    this.setPin(id, this.heldHarmonics.has(id) ? 0 : LATCH_LEVEL);
+  }
+
+  /**
+   * Latch a harmonic at a level
+   * @param {string} id - Harmonic id
+   * @param {number} level - Amplitude it holds at; 0 lets it go
+   */
+  setPin(id, level) {
+    if (level > 0) {
+      this.heldHarmonics.set(id, level);
+    } else {
+      this.heldHarmonics.delete(id);
+    }
+    this.recordEvent('pin', { id, level });
+
+    this.space.setPinned(new Map(this.heldHarmonics));
+    this.updateHarmonicsFromCursor();
+  }
+
+  /**
+   * Let go of every latched harmonic, including those a preset is holding
+   */
+  releaseHeld() {
+    if (this.heldHarmonics.size === 0) return;
+    this.heldHarmonics.clear();
+    this.recordEvent('unpin-all');
+
+    this.space.setPinned(new Map());
+    this.updateHarmonicsFromCursor(PRESET_CROSSFADE);
+  }
+
+  /**
+   * Step settings from the panel: the defaults for new steps and arpeggios
+   * @returns {Object} - {pattern, duration, amplitude, glide}; times in seconds
+   */
+  readSequenceSettings() {
+    return {
+      pattern: document.getElementById('sequencePattern').value,
+      duration: Math.max(50, readNumber('sequenceDuration', 300)) / 1000,
+      amplitude: Math.max(0, Math.min(0.8, readNumber('sequenceAmplitude', 0.3))),
+      glide: Math.max(0, readNumber('sequenceGlide', 0)) / 1000
+    };
+  }
+
+  /**
+   * The steps for the sequencer's next pass
+   */
+  getSequenceSteps() {
+    const settings = this.readSequenceSettings();
+
+    if (settings.pattern === 'steps') {
+      // Picked nodes follow the space - a new folding or fundamental moves them along
+      return this.sequenceSteps.map(step => {
+        const harmonic = this.space.getHarmonic(step.id);
+        return harmonic ? { ...step, ratio: harmonic.ratio } : step;
+      });
+    }
+
+    return arpeggiate(this.space.getVisibleHarmonics(), settings.pattern).map(harmonic => ({
+      id: harmonic.id,
+      prime: harmonic.prime,
+      ratio: harmonic.ratio,
+      label: harmonic.label,
+      duration: settings.duration,
+      amplitude: settings.amplitude,
+      glide: settings.glide
+    }));
+  }
+
+  /**
+   * Start or stop playing the sequence
+   */
+  async toggleSequencer() {
+    const button = document.getElementById('sequencePlay');
+
+    if (this.sequencer && this.sequencer.isPlaying) {
+      this.sequencer.stop();
+      this.lightSequencedNode(null);
+      this.renderer.setSequence(null);
+      button.textContent = 'Play';
+      return;
+    }
+
+    await this.initAudio();
+    if (!this.sequencer) {
+      this.sequencer = new Sequencer(this.engine, () => this.getSequenceSteps());
+    }
+    this.sequencer.start();
+    button.textContent = 'Stop';
+  }
+
+  /**
+   * Clicking nodes adds steps while this is on
+   */
+  togglePickingSteps() {
+    this.pickingSteps = !this.pickingSteps;
+    document.getElementById('sequencePick').classList.toggle('active', this.pickingSteps);
+    if (this.pickingSteps) {
+      document.getElementById('sequencePattern').value = 'steps';
+    }
+  }
+
+  addSequenceStep(harmonic) {
+    const { duration, amplitude, glide } = this.readSequenceSettings();
+    this.sequenceSteps.push({
+      id: harmonic.id,
+      prime: harmonic.prime,
+      ratio: harmonic.ratio,
+      label: harmonic.label,
+      duration,
+      amplitude,
+      glide
+    });
+    this.renderSequenceSteps();
+  }
+
+  /**
+   * List the picked steps, each with its own duration, level and glide
+   */
+  renderSequenceSteps() {
+    const field = (step, key, scale, attributes) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      Object.assign(input, attributes);
+      input.value = Math.round(step[key] * scale * 100) / 100;
+      input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (Number.isFinite(value)) step[key] = Math.max(attributes.min, value) / scale;
+      });
+      return input;
+    };
+
+    const items = this.sequenceSteps.map((step, i) => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      label.textContent = step.label;
+      const remove = document.createElement('button');
+      remove.textContent = '×';
+      remove.title = 'Remove';
+      remove.addEventListener('click', () => {
+        this.sequenceSteps.splice(i, 1);
+        this.renderSequenceSteps();
+      });
+
+      item.append(
+        label,
+        field(step, 'duration', 1000, { min: 50, step: 10, title: 'Duration (ms)' }),
+        field(step, 'amplitude', 1, { min: 0, max: 0.8, step: 0.05, title: 'Level' }),
+        field(step, 'glide', 1000, { min: 0, step: 10, title: 'Glide (ms)' }),
+        remove
+      );
+      return item;
+    });
+
+    document.getElementById('sequenceSteps').replaceChildren(...items);
+  }
+
+  /**
+   * Advance the sequencer, light its node and move the playhead
+   */
+  updateSequencer() {
+    const current = this.sequencer.update();
+    this.lightSequencedNode(current);
+
+    this.renderer.setSequence({
+      ids: this.sequencer.steps.map(step => step.id),
+      index: current ? current.index : -1,
+      progress: current ? current.progress : 0
+    });
+  }
+
+  /**
+   * Glow the node of the step sounding now - unless the cursor already has it sounding
+   */
+  lightSequencedNode(current) {
+    const id = current ? current.step.id : null;
+    if (id === this.sequencedNode) return;
+
+    if (this.sequencedNode && !this.activeHarmonics.has(this.sequencedNode)) {
+      this.space.setHarmonicAmplitude(this.sequencedNode, 0);
+    }
+    if (id && !this.activeHarmonics.has(id)) {
+      this.space.setHarmonicAmplitude(id, current.step.amplitude);
+    }
+    this.sequencedNode = id;
+  }
+
+  /**
+   * Autopilot settings from the panel
+   * @returns {Object} - {seed (null for a fresh one each run), speed, density, depthRange, idle (minutes, 0 for never)}
+   */
+  readAutopilotSettings() {
+    const clamp = value => Math.max(0, Math.min(1, value));
+    const seedText = document.getElementById('autopilotSeed').value.trim();
+    const depthA = clamp(readNumber('autopilotDepthMin', AUTOPILOT_DEFAULTS.depthRange.min));
+    const depthB = clamp(readNumber('autopilotDepthMax', AUTOPILOT_DEFAULTS.depthRange.max));
+
+    return {
+      seed: /^\d+$/.test(seedText) ? Number(seedText) >>> 0 : null,
+      speed: clamp(readNumber('autopilotSpeed', AUTOPILOT_DEFAULTS.speed)),
+      density: clamp(readNumber('autopilotDensity', AUTOPILOT_DEFAULTS.density)),
+      depthRange: { min: Math.min(depthA, depthB), max: Math.max(depthA, depthB) },
+      idle: Math.max(0, readNumber('autopilotIdle', 0))
+    };
+  }
+
+  /**
+   * Fill the panel from the saved settings
+   */
+  showAutopilotSettings() {
+    const saved = this.settings.autopilot;
+    if (!saved) return;
+
+    document.getElementById('autopilotSpeed').value = saved.speed;
+    document.getElementById('autopilotDensity').value = saved.density;
+    document.getElementById('autopilotDepthMin').value = saved.depthRange.min;
+    document.getElementById('autopilotDepthMax').value = saved.depthRange.max;
+    document.getElementById('autopilotSeed').value = saved.seed ?? '';
+    document.getElementById('autopilotIdle').value = saved.idle;
+  }
+
+  /**
+   * Save the panel's settings - speed, density and depth apply to a running autopilot straight away
+   */
+  saveAutopilotSettings() {
+    const settings = this.readAutopilotSettings();
+    this.settings.autopilot = settings;
+    this.saveSettings();
+
+    if (this.autopilot) {
+      Object.assign(this.autopilot.options, {
+        speed: settings.speed,
+        density: settings.density,
+        depthRange: settings.depthRange
+      });
+      this.influenceRadius = INFLUENCE_RADIUS * (0.6 + 1.2 * settings.density);
+    }
+  }
+
+  /**
+   * Set the autopilot wandering from the center of the space
+   */
+  async startAutopilot() {
+    const settings = this.readAutopilotSettings();
+    const seed = settings.seed ?? randomSeed();
+    this.autopilot = new Autopilot({
+      seed,
+      speed: settings.speed,
+      density: settings.density,
+      depthRange: settings.depthRange,
+      startDepth: this.space.depth
+    });
+    this.autopilotCursor = null;
+    this.influenceRadius = INFLUENCE_RADIUS * (0.6 + 1.2 * settings.density);
+    this.lastInputTime = 0; // Starting it isn't taking the cursor back
+
+    const start = this.space.denormalizePoint(0, 0);
+    this.moveCursor(start.x, start.y);
+    this.autopilotCursor = { ...this.cursor };
+
+    document.getElementById('autopilotToggle').textContent = 'Stop';
+    document.getElementById('autopilotStatus').textContent = `Seed ${seed}`;
+    this.showStatus(`Autopilot · seed ${seed}`);
+
+    // Set up first, so an idle start can't begin twice while audio starts
+    await this.initAudio();
+  }
+
+  stopAutopilot() {
+    this.autopilot = null;
+    this.liftField('cursor'); // The mouse brings it back with its next move
+    this.influenceRadius = INFLUENCE_RADIUS;
+    document.getElementById('autopilotToggle').textContent = 'Start';
+    this.showStatus('Autopilot off');
+  }
+
+  /**
+   * Change part of the effects configuration, and keep it
+   * @param {Object} changes - Top-level parts to replace: {order} or {filter}, {delay}, ...
+   */
+  saveEffects(changes) {
+    this.engine.setEffects({ ...this.engine.effectsConfig, ...changes });
+    this.settings.effects = this.engine.effectsConfig;
+    this.saveSettings();
+  }
+
+  /**
+   * Build the effects panel: one section per effect in chain order, with its switch,
+   * up/down buttons to reorder it, and its settings
+   */
+  renderEffects() {
+    const config = this.engine.effectsConfig;
+    const names = { filter: 'Filter', delay: 'Delay', reverb: 'Reverb', compressor: 'Compressor' };
+
+    const labelled = (text, control) => {
+      const label = document.createElement('label');
+      label.append(text, control);
+      return label;
+    };
+    const select = (values, current, describe, onChange) => {
+      const control = document.createElement('select');
+      for (const value of values) {
+        control.add(new Option(describe(value), value, false, value === current));
+      }
+      control.addEventListener('change', () => onChange(control.value));
+      return control;
+    };
+    const button = (text, title, onClick) => {
+      const control = document.createElement('button');
+      control.textContent = text;
+      control.title = title;
+      control.addEventListener('click', onClick);
+      return control;
+    };
+    const update = (type, changes) => this.saveEffects({ [type]: { ...this.engine.effectsConfig[type], ...changes } });
+
+    const sections = config.order.map((type, i) => {
+      const section = document.createElement('section');
+      section.className = 'effect';
+
+      const enabled = document.createElement('input');
+      enabled.type = 'checkbox';
+      enabled.checked = config[type].enabled;
+      enabled.addEventListener('change', () => update(type, { enabled: enabled.checked }));
+
+      const move = offset => {
+        const order = [...config.order];
+        [order[i], order[i + offset]] = [order[i + offset], order[i]];
+        this.saveEffects({ order });
+        this.renderEffects();
+      };
+      const up = button('↑', 'Earlier in the chain', () => move(-1));
+      const down = button('↓', 'Later in the chain', () => move(1));
+      up.disabled = i === 0;
+      down.disabled = i === EFFECT_TYPES.length - 1;
+
+      const heading = document.createElement('div');
+      heading.className = 'effect-heading';
+      const title = document.createElement('label');
+      title.append(enabled, names[type]);
+      heading.append(title, up, down);
+      section.append(heading);
+
+      if (type === 'filter') {
+        section.append(labelled('Type', select(FILTER_TYPES, config.filter.type, value => value,
+          value => update('filter', { type: value }))));
+      }
+      if (type === 'delay') {
+        for (const side of ['left', 'right']) {
+          section.append(labelled(side === 'left' ? 'Left (periods)' : 'Right (periods)',
+            select(DELAY_PRIMES, config.delay[side], value => value,
+              value => update('delay', { [side]: Number(value) }))));
+        }
+      }
+
+      for (const [key, text, min, max, step] of EFFECT_PARAMS[type]) {
+        const input = document.createElement('input');
+        Object.assign(input, { type: 'number', min, max, step, value: config[type][key] });
+        input.addEventListener('change', () => {
+          const value = parseFloat(input.value);
+          if (Number.isFinite(value)) update(type, { [key]: value });
+          input.value = this.engine.effectsConfig[type][key]; // Show it as clamped
+        });
+        section.append(labelled(text, input));
+      }
+
+      if (type === 'reverb') {
+        const impulse = config.reverb.impulse;
+        const actions = document.createElement('div');
+        actions.className = 'panel-actions';
+        const generated = button('Generated', 'Go back to the generated tail', () => this.useImpulse(null));
+        generated.classList.toggle('active', !impulse);
+        actions.append(button('Load IR…', 'Use a recorded impulse response (WAV)', () => this.loadImpulse()), generated);
+        const status = document.createElement('p');
+        status.className = 'panel-status';
+        status.textContent = impulse ? impulse.name : 'Generated tail';
+        section.append(actions, status);
+      }
+
+      return section;
+    });
+
+    document.getElementById('effectsUnits').replaceChildren(...sections);
+  }
+
+  /**
+   * Persist the envelopes
+   */
+  saveEnvelopes() {
+    this.settings.envelopes = {
+      global: this.engine.envelope,
+      families: { ...this.engine.familyEnvelopes }
+    };
+    this.saveSettings();
+  }
+
+  /**
+   * Build the envelopes panel for the family being edited. A family without an
+   * envelope of its own shows the global one, and gets its own once changed.
+   */
+  renderEnvelopes() {
+    const family = this.envelopeFamily;
+    const own = family === null || family in this.engine.familyEnvelopes;
+    const envelope = this.engine.getEnvelope(family);
+
+    const select = document.createElement('select');
+    select.add(new Option('All primes', '', false, family === null));
+    for (const prime of PRIMES) {
+      select.add(new Option(`${prime}-family`, prime, false, prime === family));
+    }
+    select.addEventListener('change', () => {
+      this.envelopeFamily = select.value ? Number(select.value) : null;
+      this.renderEnvelopes();
+    });
+    const familyLabel = document.createElement('label');
+    familyLabel.append('Family', select);
+
+    const inputs = ENVELOPE_PARAMS.map(([key, text, min, max, step]) => {
+      const input = document.createElement('input');
+      Object.assign(input, { type: 'number', min, max, step, value: envelope[key] });
+      input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (Number.isFinite(value)) {
+          this.engine.setEnvelope({ ...this.engine.getEnvelope(family), [key]: value }, family);
+          this.saveEnvelopes();
+        }
+        this.renderEnvelopes(); // Show it as clamped, and the family as having its own
+      });
+      const label = document.createElement('label');
+      label.append(text, input);
+      return label;
+    });
+
+    const status = document.createElement('p');
+    status.className = 'panel-status';
+    status.textContent = own ? '' : 'Follows all primes';
+
+    const controls = [familyLabel, ...inputs];
+    if (family !== null && own) {
+      const reset = document.createElement('button');
+      reset.textContent = 'Follow all primes';
+      reset.addEventListener('click', () => {
+        this.engine.setEnvelope(null, family);
+        this.saveEnvelopes();
+        this.renderEnvelopes();
+      });
+      controls.push(reset);
+    }
+
+    document.getElementById('envelopeControls').replaceChildren(...controls, status);
+  }
+
+  /**
+   * Load a recorded impulse response into the reverb. A copy is kept with the
+   * app's data, so it comes back next time without the original file.
+   */
+  async loadImpulse() {
+    const file = await window.harmonicDepths.openFile({
+      title: 'Load Impulse Response',
+      filters: [{ name: 'WAV Audio', extensions: ['wav'] }]
+    });
+    if (!file) return;
+
+    const name = file.path.split(/[\\/]/).pop();
+    try {
+      await this.initAudio(); // Decoding in the running context checks the file is usable
+      await this.engine.setImpulse(toArrayBuffer(file.data));
+    } catch (err) {
+      console.error('Could not load impulse response:', err);
+      this.showStatus('Not a usable impulse response - a WAV file with 1, 2 or 4 channels');
+      return;
+    }
+
+    const id = await window.harmonicDepths.saveImpulse(name, file.data);
+    this.useImpulse({ id, name });
+  }
+
+  /**
+   * Record which impulse the reverb uses - null goes back to the generated tail
+   */
+  async useImpulse(impulse) {
+    if (!impulse) await this.engine.setImpulse(null);
+    this.saveEffects({ reverb: { ...this.engine.effectsConfig.reverb, impulse } });
+    this.renderEffects();
+    this.showStatus(impulse ? `Reverb · ${impulse.name}` : 'Reverb · generated');
+  }
+
+  /**
+   * Move the cursor and depth one frame along the autopilot's path
+   */
+  updateAutopilot(deltaTime) {
+    // Carry on from wherever a person left the cursor
+    if (!this.autopilotCursor || this.cursor.x !== this.autopilotCursor.x || this.cursor.y !== this.autopilotCursor.y) {
+      const point = this.space.normalizePoint(this.cursor.x, this.cursor.y);
+      this.autopilot.setPosition(point.x, point.y);
+    }
+
+    const minDim = Math.min(this.space.width, this.space.height);
+    const harmonics = this.space.getVisibleHarmonics().map(h => ({
+      id: h.id,
+      prime: h.prime,
+      ...this.space.normalizePoint(h.x, h.y)
+    }));
+
+    const { x, y, depth } = this.autopilot.step(deltaTime, {
+      harmonics,
+      bounds: { x: this.space.width / minDim / 2, y: this.space.height / minDim / 2 }
+    });
+
+    if (Math.abs(depth - this.space.depth) > 0.01) {
+      this.changeDepth(depth);
+    }
+
+    const point = this.space.denormalizePoint(x, y);
+    this.moveCursor(point.x, point.y);
+    this.autopilotCursor = { ...this.cursor };
   }
 
   /**
@@ -294,10 +2735,64 @@ class HarmonicDepths {
     const deltaTime = Math.min((timestamp - this.lastTime) / 1000, 0.1);
     this.lastTime = timestamp;
 
+    // Dispatch any journey events that have come due
+    if (this.player.isPlaying && !this.player.update(timestamp)) {
+      this.voiceLog = this.voiceRecorder.stop();
+      this.showStatus('Journey complete');
+    }
+
     // Update space animations
     this.space.update(deltaTime);
 
+    if (this.sequencer && this.sequencer.isPlaying) {
+      this.updateSequencer();
+    }
+
+    if (this.keyboardOrder) {
+      this.updateKeyLayout();
+    }
+
+    // Twenty moves a second is smooth enough with the panners' own glide
+    if (this.isInitialized && timestamp - this.spatialTime > 50) {
+      this.spatialTime = timestamp;
+      this.updateVoicePositions();
+    }
+
+    // A gamepad plays like any other input - though not over a replaying journey
+    if (this.gamepad && !this.player.isPlaying) {
+      this.gamepad.update(readWebGamepad(), deltaTime);
+    }
+
+    // The autopilot plays when nobody else is - it yields to a journey, a quiz, or a person moving the cursor
+    const idle = timestamp - this.lastInputTime;
+    if (!this.player.isPlaying && !this.quiz) {
+      if (this.autopilot && idle > AUTOPILOT_RESUME) {
+        this.updateAutopilot(deltaTime);
+      } else if (!this.autopilot && this.settings.autopilot && this.settings.autopilot.idle > 0 &&
+        idle > this.settings.autopilot.idle * 60000) {
+        this.startAutopilot();
+      }
+    }
+
+    // Pitch tracking at about 30 Hz - plenty to follow a voice
+    if (this.microphone && timestamp - this.pitchTime > 33) {
+      this.pitchTime = timestamp;
+      this.updatePitchTracking();
+    }
+
+    if (this.renderer.spectrumMode && this.isInitialized) {
+      this.updateSpectrum();
+    }
+
+    // The inspector follows the cursor and the fundamental's glides, ten times a second is plenty
+    if (timestamp - this.inspectorTime > 100) {
+      this.inspectorTime = timestamp;
+      this.updateInspector();
+      this.updateDissonanceMeter();
+    }
+
     // Render
+    this.renderer.setFields([...this.fields.values()], this.influenceRadius);
     this.renderer.render(this.space, deltaTime);
 
     // Continue loop
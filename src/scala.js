@@ -0,0 +1,287 @@
+/**
+ * Scala Tuning Files
+ *
+ * Reads and writes the Scala formats that microtonal software uses to share tunings:
+ * - .scl describes a scale as a list of pitches (exact ratios or cents) above 1/1,
+ *   ending with the interval at which the scale repeats
+ * - .kbm maps that scale onto MIDI keys, anchored to a reference frequency
+ *
+ * Ratios are written as exact fractions - a 7/4 stays 7/4, never 968.826 cents. Pitches
+ * that were only ever known in cents (an imported 12-TET, say) are written back as cents.
+ * Format reference: https://www.huygens-fokker.org/scala/scl_format.html
+ */
+
+/**
+ * Greatest common divisor
+ */
+function gcd(a, b) {
+  while (b) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+/**
+ * Reduce a fraction to lowest terms and into the octave [1, 2)
+ * @param {number} numerator
+ * @param {number} denominator
+ * @returns {Object} - {numerator, denominator}
+ */
+function octaveReduce(numerator, denominator) {
+  while (numerator >= denominator * 2) denominator *= 2;
+  while (numerator < denominator) numerator *= 2;
+
+  const divisor = gcd(numerator, denominator);
+  return { numerator: numerator / divisor, denominator: denominator / divisor };
+}
+
+/**
+ * The largest prime factor of a ratio - its "limit" in just intonation terms
+ * @param {number} numerator
+ * @param {number} denominator
+ * @returns {number} - Prime limit (1 for 1/1)
+ */
+function primeLimit(numerator, denominator) {
+  let limit = 1;
+
+  for (let n of [numerator, denominator]) {
+    for (let p = 2; p * p <= n; p++) {
+      while (n % p === 0) {
+        limit = Math.max(limit, p);
+        n /= p;
+      }
+    }
+    if (n > 1) limit = Math.max(limit, n);
+  }
+
+  return limit;
+}
+
+/**
+ * Find the simplest fraction close to a ratio (continued fraction expansion)
+ * Used to give cents-defined pitches a ratio family for colour and weighting.
+ * @param {number} ratio - Ratio to approximate
+ * @param {number} maxDenominator - Largest denominator to consider
+ * @returns {Object} - {numerator, denominator}
+ */
+function approximateFraction(ratio, maxDenominator = 64) {
+  let [h0, h1] = [0, 1];
+  let [k0, k1] = [1, 0];
+  let x = ratio;
+
+  while (true) {
+    const a = Math.floor(x);
+    const h2 = a * h1 + h0;
+    const k2 = a * k1 + k0;
+    if (k2 > maxDenominator) break;
+
+    [h0, h1] = [h1, h2];
+    [k0, k1] = [k1, k2];
+
+    const remainder = x - a;
+    if (remainder < 1e-9) break;
+    x = 1 / remainder;
+  }
+
+  return { numerator: h1, denominator: k1 };
+}
+
+/**
+ * Convert a ratio to cents
+ */
+function ratioToCents(ratio) {
+  return 1200 * Math.log2(ratio);
+}
+
+/**
+ * A scale degree from an exact fraction, in lowest terms
+ * @param {number} numerator
+ * @param {number} denominator
+ * @returns {Object} - {ratio, numerator, denominator, cents, exact}, as parseScl gives
+ */
+function exactDegree(numerator, denominator) {
+  const divisor = gcd(numerator, denominator);
+  return {
+    ratio: numerator / denominator,
+    numerator: numerator / divisor,
+    denominator: denominator / divisor,
+    cents: ratioToCents(numerator / denominator),
+    exact: true
+  };
+}
+
+/**
+ * The interval a folding strategy repeats at: the top of its window, equivalence^periods
+ * @param {Object} folding - Folding strategy (see FOLDINGS in harmonic-engine.js)
+ * @returns {Object|null} - A degree, or null if it doesn't fold (the raw series never repeats)
+ */
+function foldingPeriod(folding) {
+  if (!folding.equivalence) return null;
+  return exactDegree(Math.pow(folding.equivalence, folding.periods), 1);
+}
+
+/**
+ * Build a repeating scale from harmonic nodes, each brought within one period of 1/1
+ * @param {Array} harmonics - Nodes with ratio and numerator/denominator (e.g. from HarmonicSpace);
+ *   those with exact: false were known only in cents, and stay in cents
+ * @param {Object} period - Degree the scale repeats at (see exactDegree, foldingPeriod)
+ * @returns {Array} - Sorted unique degrees, ending with the period
+ */
+function buildScale(harmonics, period = exactDegree(2, 1)) {
+  const degrees = new Map();
+
+  for (const h of harmonics) {
+    let degree;
+    if (h.exact !== false && period.exact) {
+      let { numerator, denominator } = h;
+      while (numerator * period.denominator >= denominator * period.numerator) {
+        denominator *= period.numerator;
+        numerator *= period.denominator;
+      }
+      while (numerator < denominator) {
+        numerator *= period.numerator;
+        denominator *= period.denominator;
+      }
+      degree = exactDegree(numerator, denominator);
+    } else {
+      const cents = ((ratioToCents(h.ratio) % period.cents) + period.cents) % period.cents;
+      const ratio = Math.pow(2, cents / 1200);
+      degree = { ratio, cents, exact: false, ...approximateFraction(ratio) };
+    }
+
+    // 1/1 is implicit in Scala files - the period closes the scale instead
+    if (degree.cents < 1e-6 || degree.cents > period.cents - 1e-6) continue;
+    degrees.set(degree.exact ? `${degree.numerator}/${degree.denominator}` : degree.cents.toFixed(5), degree);
+  }
+
+  const sorted = [...degrees.values()].sort((a, b) => a.cents - b.cents);
+  sorted.push(period);
+  return sorted;
+}
+
+/**
+ * Write a scale as .scl text
+ * @param {Array} degrees - Degrees from buildScale
+ * @param {string} name - File name (without extension)
+ * @param {string} description - One-line description
+ * @returns {string}
+ */
+function serializeScl(degrees, name, description) {
+  const lines = [
+    `! ${name}.scl`,
+    '!',
+    description,
+    ` ${degrees.length}`,
+    '!'
+  ];
+
+  for (const d of degrees) {
+    lines.push(d.exact === false ? ` ${d.cents.toFixed(5)}` : ` ${d.numerator}/${d.denominator}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write a linear keyboard mapping as .kbm text, with the 1/1 on the MIDI key
+ * nearest to the fundamental and tuned to exactly that frequency
+ * @param {number} scaleSize - Number of degrees in the .scl (including the octave)
+ * @param {number} fundamental - Frequency of 1/1 in Hz
+ * @param {string} name - File name (without extension)
+ * @returns {string}
+ */
+function serializeKbm(scaleSize, fundamental, name) {
+  const referenceNote = Math.max(0, Math.min(127, Math.round(69 + 12 * Math.log2(fundamental / 440))));
+
+  const lines = [
+    `! ${name}.kbm`,
+    '! Size of map:',
+    `${scaleSize}`,
+    '! First MIDI note number to retune:',
+    '0',
+    '! Last MIDI note number to retune:',
+    '127',
+    '! Middle note where the first entry of the mapping is mapped to:',
+    `${referenceNote}`,
+    '! Reference note for which frequency is given:',
+    `${referenceNote}`,
+    '! Frequency to tune the above note to:',
+    fundamental.toFixed(6),
+    '! Scale degree to consider as formal octave:',
+    `${scaleSize}`,
+    '! Mapping.'
+  ];
+
+  for (let i = 0; i < scaleSize; i++) {
+    lines.push(`${i}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse .scl text
+ * @param {string} text - Contents of a .scl file
+ * @returns {Object} - {description, degrees: [{ratio, numerator, denominator, cents, exact, text}]}
+ */
+function parseScl(text) {
+  // Comment lines start with '!'; everything else is data, in order
+  const lines = text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+
+  if (lines.length < 2) {
+    throw new Error('Scala file is missing its description or size');
+  }
+
+  const description = lines[0].trim();
+  const count = parseInt(lines[1].trim(), 10);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`Invalid number of notes: ${lines[1].trim()}`);
+  }
+
+  const pitchLines = lines.slice(2).filter(line => line.trim() !== '');
+  if (pitchLines.length < count) {
+    throw new Error(`Expected ${count} pitches, found ${pitchLines.length}`);
+  }
+
+  const degrees = [];
+
+  for (const line of pitchLines.slice(0, count)) {
+    // Only the first token counts - anything after it is a comment
+    const token = line.trim().split(/\s+/)[0];
+    let degree;
+
+    if (token.includes('.')) {
+      // Cents value
+      const cents = parseFloat(token);
+      if (!Number.isFinite(cents)) throw new Error(`Invalid pitch: ${token}`);
+      const ratio = Math.pow(2, cents / 1200);
+      degree = { ratio, cents, exact: false, ...approximateFraction(ratio) };
+    } else {
+      // Ratio, or a plain integer meaning n/1
+      const [num, den = '1'] = token.split('/');
+      const numerator = parseInt(num, 10);
+      const denominator = parseInt(den, 10);
+      if (!(numerator > 0) || !(denominator > 0)) throw new Error(`Invalid pitch: ${token}`);
+
+      degree = exactDegree(numerator, denominator);
+    }
+
+    degree.text = token;
+    degrees.push(degree);
+  }
+
+  return { description, degrees };
+}
+
+export {
+  octaveReduce,
+  primeLimit,
+  approximateFraction,
+  ratioToCents,
+  exactDegree,
+  foldingPeriod,
+  buildScale,
+  serializeScl,
+  serializeKbm,
+  parseScl
+};
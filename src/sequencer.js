@@ -0,0 +1,155 @@
+/**
+ * Sequencer
+ *
+ * Melodic lines made of prime harmonics. A sequence is an ordered list of steps -
+ * a node, how long it lasts, how loud, and how long it takes to glide in from the
+ * previous step. Steps are scheduled slightly ahead on the audio clock, so timing is
+ * sample-accurate however busy the animation frame is; the frame only tops up the queue.
+ * Each step is struck and let go with its family's envelope (see envelopes.js).
+ *
+ * Arpeggiator patterns build the list from whatever nodes are visible,
+ * and are rebuilt at the start of every pass - descend, and the arpeggio grows.
+ */
+
+const ARP_PATTERNS = ['up', 'down', 'random', 'prime'];
+
+// How far ahead of the audio clock steps are scheduled, in seconds
+const LOOKAHEAD = 0.15;
+
+/**
+ * Order nodes for an arpeggio
+ * @param {Array} harmonics - Nodes, each with id, prime and ratio
+ * @param {string} pattern - One of ARP_PATTERNS
+ * @param {Function} random - Source of numbers in [0, 1), for 'random'
+ * @returns {Array} - The nodes in playing order
+ */
+function arpeggiate(harmonics, pattern, random = Math.random) {
+  const nodes = [...harmonics];
+
+  switch (pattern) {
+    case 'up':
+      return nodes.sort((a, b) => a.ratio - b.ratio);
+    case 'down':
+      return nodes.sort((a, b) => b.ratio - a.ratio);
+    case 'prime':
+      // Family by family, each family low to high
+      return nodes.sort((a, b) => a.prime - b.prime || a.ratio - b.ratio);
+    case 'random':
+      for (let i = nodes.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [nodes[i], nodes[j]] = [nodes[j], nodes[i]];
+      }
+      return nodes;
+    default:
+      throw new Error(`Unknown arpeggio pattern: ${pattern}`);
+  }
+}
+
+/**
+ * Plays a list of steps through a HarmonicEngine
+ */
+export class Sequencer {
+  /**
+   * @param {HarmonicEngine} engine - An initialized engine
+   * @param {Function} getSteps - Returns the steps for the next pass: [{id, prime, ratio, duration, amplitude, glide}]
+   */
+  constructor(engine, getSteps) {
+    this.engine = engine;
+    this.getSteps = getSteps;
+    this.isPlaying = false;
+    this.steps = [];
+    this.index = 0; // Next step to schedule
+    this.nextTime = 0; // Audio time the next step starts
+    this.previous = null; // Last scheduled step, for glides
+    this.timeline = []; // Scheduled steps: {index, step, start, end, voiceId, released}
+    this.count = 0; // Keeps voice ids unique
+  }
+
+  start() {
+    this.isPlaying = true;
+    this.steps = this.getSteps();
+    this.index = 0;
+    this.previous = null;
+    this.nextTime = this.engine.audioContext.currentTime + 0.05;
+  }
+
+  /**
+   * Stop, silencing anything scheduled
+   */
+  stop() {
+    this.isPlaying = false;
+    for (const entry of this.timeline) {
+      this.engine.releaseVoice(entry.voiceId, 0.1);
+    }
+    this.timeline = [];
+  }
+
+  /**
+   * Schedule whatever falls within the lookahead, and clean up finished steps.
+   * Call once per animation frame.
+   * @returns {Object|null} - The step sounding now: {index, step, progress (0-1)}
+   */
+  update() {
+    if (!this.isPlaying) return null;
+
+    const now = this.engine.audioContext.currentTime;
+
+    // After a stall (a hidden window stops animation frames), pick up from now rather than catch up
+    if (this.nextTime < now) {
+      this.nextTime = now + 0.02;
+    }
+
+    while (this.nextTime < now + LOOKAHEAD) {
+      this.scheduleNext();
+    }
+
+    // Let steps go as their ends come within reach - until then, stop() can still cut them short.
+    // The engine frees each voice once its release has rung out.
+    for (const entry of this.timeline) {
+      if (!entry.released && entry.end < now + LOOKAHEAD) {
+        this.engine.releaseVoice(entry.voiceId, null, entry.end);
+        entry.released = true;
+      }
+    }
+    this.timeline = this.timeline.filter(entry => !entry.released || entry.end >= now);
+
+    const current = this.timeline.find(entry => entry.start <= now && now < entry.end);
+    if (!current) return null;
+
+    return {
+      index: current.index,
+      step: current.step,
+      progress: (now - current.start) / (current.end - current.start)
+    };
+  }
+
+  scheduleNext() {
+    // A new pass - arpeggios pick up the nodes visible now
+    if (this.index >= this.steps.length) {
+      this.steps = this.getSteps();
+      this.index = 0;
+    }
+
+    if (this.steps.length === 0) {
+      this.nextTime += 0.25; // Nothing to play - check again shortly
+      return;
+    }
+
+    const step = this.steps[this.index];
+    const start = this.nextTime;
+    const voiceId = `seq_${this.count++}`;
+
+    this.engine.createVoice(voiceId, step.ratio, step.prime);
+    this.engine.triggerVoice(voiceId, step.amplitude, null, start);
+    if (step.glide > 0 && this.previous) {
+      this.engine.glideVoice(voiceId, this.previous.ratio, Math.min(step.glide, step.duration), start);
+    }
+
+    this.timeline.push({ index: this.index, step, start, end: start + step.duration, voiceId, released: false });
+    this.previous = step;
+    this.nextTime += step.duration;
+    this.index++;
+  }
+}
+
+export { ARP_PATTERNS, arpeggiate };
@@ -0,0 +1,84 @@
+/**
+ * Spectrum
+ *
+ * Reading the analyser's FFT back against the theory: where should each voice
+ * land (fundamental × ratio), and where does a peak actually show up?
+ * If the reverb or compressor smeared the ratios, the two would disagree.
+ *
+ * FFT bins are a few Hz wide, coarse next to a few cents at low pitches, so peaks
+ * are refined by fitting a parabola through the top bin and its neighbours.
+ */
+
+// Frequency span of the view - the same audible window the nodes are folded into
+const SPECTRUM_RANGE = { min: 20, max: 8000 };
+
+// Quietest level drawn and counted as a peak, in dB
+const SPECTRUM_FLOOR = -110;
+
+// How far a peak may sit from its expected frequency and still count as that voice
+const MATCH_TOLERANCE_CENTS = 50;
+
+/**
+ * Find local maxima in a dB spectrum
+ * @param {Float32Array} bins - Magnitudes in dB, as from AnalyserNode.getFloatFrequencyData
+ * @param {number} binWidth - Hz per bin (sampleRate / fftSize)
+ * @param {number} threshold - Ignore peaks quieter than this, in dB
+ * @returns {Array} - [{frequency, level}], frequency refined between bins
+ */
+function findPeaks(bins, binWidth, threshold = SPECTRUM_FLOOR + 30) {
+  const peaks = [];
+
+  for (let i = 1; i < bins.length - 1; i++) {
+    const level = bins[i];
+    if (level < threshold || level < bins[i - 1] || level <= bins[i + 1]) continue;
+
+    // Parabolic interpolation: vertex of the parabola through the three bins
+    const left = bins[i - 1];
+    const right = bins[i + 1];
+    const curvature = left - 2 * level + right;
+    const offset = curvature === 0 ? 0 : 0.5 * (left - right) / curvature;
+
+    peaks.push({
+      frequency: (i + offset) * binWidth,
+      level: level - 0.25 * (left - right) * offset
+    });
+  }
+
+  return peaks;
+}
+
+/**
+ * Pair each expected frequency with the strongest peak near it
+ * @param {Array} expected - [{id, frequency, ...}]
+ * @param {Array} peaks - From findPeaks
+ * @param {number} tolerance - Largest distance that still counts, in cents
+ * @returns {Array} - The expected entries with {measured, level, cents}; measured is null if nothing is there
+ */
+function matchPeaks(expected, peaks, tolerance = MATCH_TOLERANCE_CENTS) {
+  return expected.map(target => {
+    let best = null;
+    for (const peak of peaks) {
+      const cents = 1200 * Math.log2(peak.frequency / target.frequency);
+      if (Math.abs(cents) > tolerance) continue;
+      if (!best || peak.level > best.level) {
+        best = { ...peak, cents };
+      }
+    }
+
+    return {
+      ...target,
+      measured: best ? best.frequency : null,
+      level: best ? best.level : null,
+      cents: best ? best.cents : null
+    };
+  });
+}
+
+/**
+ * Position of a frequency on a log axis, 0 to 1
+ */
+function frequencyToPosition(frequency, range = SPECTRUM_RANGE) {
+  return Math.log(frequency / range.min) / Math.log(range.max / range.min);
+}
+
+export { SPECTRUM_RANGE, SPECTRUM_FLOOR, findPeaks, matchPeaks, frequencyToPosition };
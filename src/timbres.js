@@ -0,0 +1,127 @@
+/**
+ * Timbres
+ *
+ * Pure sines let the ratios speak clearly, but real instruments carry overtones -
+ * and a 7/4 sounds different once its partials start beating against the drone's.
+ * Each timbre is one of:
+ * - a built-in oscillator waveform ({type})
+ * - an additive spectrum, built as a PeriodicWave ({partials}: amplitudes of partials 1, 2, 3...)
+ * - simple two-operator FM ({fm}: a sine modulator at ratio × the carrier, with a modulation index)
+ * `level` trims loudness so switching timbres doesn't jump in volume.
+ */
+
+const TIMBRES = {
+  sine: { name: 'Sine', type: 'sine', level: 1 },
+  triangle: { name: 'Triangle', type: 'triangle', level: 0.9 },
+  sawtooth: { name: 'Sawtooth', type: 'sawtooth', level: 0.45 },
+  square: { name: 'Square', type: 'square', level: 0.4 },
+
+  // Odd partials only - hollow, clarinet-like
+  reed: { name: 'Reed', partials: [1, 0, 0.45, 0, 0.25, 0, 0.15, 0, 0.08], level: 0.7 },
+  // Octave-related partials, like organ drawbars (8', 4', 2', 1')
+  organ: { name: 'Organ', partials: [1, 0.6, 0, 0.35, 0, 0, 0, 0.2], level: 0.6 },
+  // Gently falling spectrum with every partial present - a soft string
+  string: { name: 'String', partials: [1, 0.5, 0.33, 0.25, 0.2, 0.16, 0.14, 0.12, 0.1, 0.08], level: 0.5 },
+
+  // Harmonic FM - modulator at the carrier frequency, warm and brassy
+  brass: { name: 'FM Brass', fm: { ratio: 1, index: 1.5 }, level: 0.7 },
+  // Inharmonic FM - partials no longer line up, like a bell
+  bell: { name: 'FM Bell', fm: { ratio: 3.5, index: 2 }, level: 0.7 }
+};
+
+const TIMBRE_NAMES = Object.keys(TIMBRES);
+
+/**
+ * Build the PeriodicWave for an additive timbre
+ * @param {BaseAudioContext} context - Context the wave will be used in
+ * @param {Array} partials - Amplitudes of partials 1, 2, 3...
+ * @returns {PeriodicWave}
+ */
+function createTimbreWave(context, partials) {
+  // Index 0 is the DC term - always silent
+  const real = new Float32Array(partials.length + 1);
+  const imag = new Float32Array(partials.length + 1);
+  partials.forEach((amplitude, i) => {
+    imag[i + 1] = amplitude;
+  });
+  return context.createPeriodicWave(real, imag);
+}
+
+/**
+ * Bessel function of the first kind, J_n(x), by its power series - plenty for small FM indices
+ */
+function bessel(n, x) {
+  let sum = 0;
+  let factorialM = 1;
+  let factorialMN = 1;
+  for (let k = 2; k <= n; k++) factorialMN *= k;
+
+  for (let m = 0; m < 20; m++) {
+    if (m > 0) {
+      factorialM *= m;
+      factorialMN *= m + n;
+    }
+    sum += (m % 2 ? -1 : 1) / (factorialM * factorialMN) * Math.pow(x / 2, 2 * m + n);
+  }
+  return sum;
+}
+
+/**
+ * The spectrum a timbre produces, as partials relative to the played frequency
+ * @param {string} name - Key into TIMBRES
+ * @param {number} count - How many partials to list for the built-in waveforms
+ * @returns {Array} - [{ratio, amplitude}], the first partial at ratio 1
+ */
+function getTimbreSpectrum(name, count = 8) {
+  const timbre = TIMBRES[name] || TIMBRES.sine;
+
+  if (timbre.partials) {
+    return timbre.partials
+      .map((amplitude, i) => ({ ratio: i + 1, amplitude }))
+      .filter(p => p.amplitude > 0);
+  }
+
+  if (timbre.fm) {
+    // Sidebands at 1 ± k·ratio, each with amplitude |J_k(index)|; negative frequencies fold back
+    const { ratio, index } = timbre.fm;
+    const partials = new Map();
+    for (let k = -4; k <= 4; k++) {
+      const at = Math.abs(1 + k * ratio);
+      const amplitude = Math.abs(bessel(Math.abs(k), index));
+      if (at > 0 && amplitude > 0.01) {
+        partials.set(at, (partials.get(at) || 0) + amplitude);
+      }
+    }
+    return [...partials]
+      .map(([at, amplitude]) => ({ ratio: at, amplitude }))
+      .sort((a, b) => a.ratio - b.ratio);
+  }
+
+  // Built-in waveforms - their textbook Fourier series
+  const spectrum = [];
+  for (let n = 1; n <= count; n++) {
+    const odd = n % 2 === 1;
+    let amplitude = 0;
+    if (timbre.type === 'sine') amplitude = n === 1 ? 1 : 0;
+    if (timbre.type === 'sawtooth') amplitude = 1 / n;
+    if (timbre.type === 'square') amplitude = odd ? 1 / n : 0;
+    if (timbre.type === 'triangle') amplitude = odd ? 1 / (n * n) : 0;
+    if (amplitude > 0) spectrum.push({ ratio: n, amplitude });
+  }
+  return spectrum;
+}
+
+/**
+ * Check saved timbre choices, dropping names this version doesn't know
+ * @param {Object} saved - {global, families: {prime: name}}, e.g. from settings or a preset
+ * @returns {Object} - {global, families} naming only known timbres
+ */
+function normalizeTimbres(saved = {}) {
+  const families = {};
+  for (const [family, name] of Object.entries(saved.families || {})) {
+    if (TIMBRE_NAMES.includes(name) && Number.isInteger(Number(family))) families[family] = name;
+  }
+  return { global: TIMBRE_NAMES.includes(saved.global) ? saved.global : 'sine', families };
+}
+
+export { TIMBRES, TIMBRE_NAMES, createTimbreWave, getTimbreSpectrum, normalizeTimbres };
@@ -5,14 +5,37 @@
  * Creates a sense of depth, life, and mystery.
  */
 
+import { createRandom, randomSeed } from './random.js';
+import { SPECTRUM_RANGE, SPECTRUM_FLOOR, frequencyToPosition } from './spectrum.js';
+import { formatCents } from './inspector.js';
+import { REST_INTENSITY, fieldIntensity } from './influence.js';
+
+// Frequencies labelled on the spectrum's axis
+const SPECTRUM_GRID = [50, 100, 200, 500, 1000, 2000, 5000];
+
+// Loudest level on the spectrum's scale, in dB
+const SPECTRUM_CEILING = -20;
+
 export class VisualRenderer {
-  constructor(canvas) {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to draw into
+   * @param {number} seed - Seed for textures and particles (random if omitted)
+   */
+  constructor(canvas, seed = randomSeed()) {
     this.canvas = canvas;
+    this.random = createRandom(seed);
     this.ctx = canvas.getContext('2d');
     this.width = 0;
     this.height = 0;
     this.time = 0;
-    this.cursor = { x: 0, y: 0, active: false };
+    this.fields = []; // Influence fields: [{x, y, pressure}]
+    this.fieldRadius = 120;
+    this.fundamentalTrail = []; // Past fundamentals, as cents from the nearest octave of the origin
+    this.spectrumMode = null; // null, 'spectrum' or 'waterfall'
+    this.spectrum = null; // {bins, binWidth, markers} from the engine's analyser
+    this.waterfall = null; // Offscreen canvas the waterfall scrolls through
+    this.sequence = null; // {ids, index, progress} while the sequencer plays
+    this.keyLabels = null; // {labels: Map of harmonic id -> key, held: Set of ids} while keys play nodes
     this.resize();
 
     // Background noise texture
@@ -23,6 +46,16 @@ export class VisualRenderer {
     this.maxParticles = 200;
   }
 
+  /**
+   * Restart the particle randomness from a seed, clearing live particles
+   * @param {number} seed - 32-bit integer seed
+   */
+  reseed(seed) {
+    this.random = createRandom(seed);
+    this.particles = [];
+    this.time = 0;
+  }
+
   /**
    * Create a subtle noise texture for organic background
    */
@@ -37,7 +70,7 @@ export class VisualRenderer {
     const data = imageData.data;
 
     for (let i = 0; i < data.length; i += 4) {
-      const noise = Math.random() * 20;
+      const noise = this.random() * 20;
       data[i] = noise;     // R
       data[i + 1] = noise; // G
       data[i + 2] = noise + 5; // B (slight blue tint)
@@ -65,10 +98,55 @@ export class VisualRenderer {
   }
 
   /**
-   * Set cursor position
+   * Set the influence fields - one for the mouse, each pen and each finger
+   * @param {Array} fields - [{x, y, pressure}]
+   * @param {number} radius - Reach of each field, in pixels
    */
-  setCursor(x, y, active = true) {
-    this.cursor = { x, y, active };
+  setFields(fields, radius) {
+    this.fields = fields;
+    this.fieldRadius = radius;
+  }
+
+  /**
+   * Set the trail of past fundamentals
+   * @param {Array} trail - Drift in cents (-600 to 600) of each past fundamental, oldest first
+   */
+  setFundamentalTrail(trail) {
+    this.fundamentalTrail = trail;
+  }
+
+  /**
+   * Show the spectrum view
+   * @param {string|null} mode - 'spectrum', 'waterfall', or null to hide it
+   */
+  setSpectrumMode(mode) {
+    this.spectrumMode = mode;
+    this.waterfall = null;
+  }
+
+  /**
+   * Set the latest analyser frame
+   * @param {Object} spectrum - {bins: dB per bin, binWidth: Hz per bin, markers}
+   *   markers: [{frequency, measured, cents, label, color}] - where each voice should be and where it was found
+   */
+  setSpectrum(spectrum) {
+    this.spectrum = spectrum;
+  }
+
+  /**
+   * Set the sequencer's path and playhead
+   * @param {Object|null} sequence - {ids: node ids in step order, index: step sounding (-1 between steps), progress: 0-1 through it}
+   */
+  setSequence(sequence) {
+    this.sequence = sequence;
+  }
+
+  /**
+   * Label nodes with the keys that play them
+   * @param {Object|null} keys - {labels: Map of harmonic id -> key label, held: Set of ids sounding from keys}
+   */
+  setKeyLabels(keys) {
+    this.keyLabels = keys;
   }
 
   /**
@@ -102,23 +180,41 @@ export class VisualRenderer {
     // Spawn particles for active harmonics
     const visible = space.getVisibleHarmonics();
     for (const h of visible) {
-      if (h.amplitude > 0.2 && Math.random() < h.amplitude * 0.3) {
+      if (h.amplitude > 0.2 && this.random() < h.amplitude * 0.3) {
         this.spawnParticle(h);
       }
     }
 
     // Draw harmonics
     for (const h of visible) {
-      this.drawHarmonic(h, space.depth);
+      this.drawHarmonic(h, space.depth, space.pinned.get(h.id) || 0);
+    }
+
+    // The sequencer's path through the nodes, and its playhead
+    if (this.sequence) {
+      this.drawSequence(space);
+    }
+
+    if (this.keyLabels) {
+      this.drawKeyLabels(space);
     }
 
-    // Draw cursor field
-    if (this.cursor.active) {
-      this.drawCursorField();
+    // Light up the node a tracked pitch is nearest to
+    if (space.pitchMatch) {
+      this.drawPitchMatch(space);
+    }
+
+    // Draw cursor fields
+    for (const field of this.fields) {
+      this.drawCursorField(field);
     }
 
     // Draw center (fundamental) indicator
     this.drawFundamental(space);
+
+    if (this.spectrumMode && this.spectrum) {
+      this.drawSpectrum();
+    }
   }
 
   /**
@@ -127,8 +223,8 @@ export class VisualRenderer {
   spawnParticle(harmonic) {
     if (this.particles.length >= this.maxParticles) return;
 
-    const angle = Math.random() * Math.PI * 2;
-    const speed = 10 + Math.random() * 30;
+    const angle = this.random() * Math.PI * 2;
+    const speed = 10 + this.random() * 30;
 
     this.particles.push({
       x: harmonic.x,
@@ -136,8 +232,8 @@ export class VisualRenderer {
       vx: Math.cos(angle) * speed,
       vy: Math.sin(angle) * speed,
       life: 1,
-      decay: 0.3 + Math.random() * 0.5,
-      size: 1 + Math.random() * 2,
+      decay: 0.3 + this.random() * 0.5,
+      size: 1 + this.random() * 2,
       color: harmonic.color
     });
   }
@@ -203,14 +299,14 @@ export class VisualRenderer {
   /**
    * Draw a single harmonic node
    */
-  drawHarmonic(h, depth) {
+  drawHarmonic(h, depth, pinned = 0) {
     const ctx = this.ctx;
 
     // Visibility fade based on depth
     const visibilityAlpha = Math.min(1, (depth + 0.3 - h.visibilityDepth) * 3);
     if (visibilityAlpha <= 0) return;
 
-    const { x, y, size, color, amplitude, glow, prime, isExotic } = h;
+    const { x, y, size, color, amplitude, glow, prime, isExotic, isUndertone } = h;
 
     // Base glow layer - always slightly visible
     const baseAlpha = 0.15 * visibilityAlpha;
@@ -231,16 +327,26 @@ export class VisualRenderer {
 
     // Core
     const coreSize = size * (0.3 + amplitude * 0.3);
-    const coreGradient = ctx.createRadialGradient(x, y, 0, x, y, coreSize);
 
-    coreGradient.addColorStop(0, `hsla(${color.h}, ${color.s}%, ${color.l + 30}%, ${0.8 * visibilityAlpha})`);
-    coreGradient.addColorStop(0.5, `hsla(${color.h}, ${color.s}%, ${color.l}%, ${0.5 * visibilityAlpha})`);
-    coreGradient.addColorStop(1, 'transparent');
+    if (isUndertone) {
+      // Undertones are hollow - a ring where overtones have a bright center
+      ctx.strokeStyle = `hsla(${color.h}, ${color.s}%, ${color.l + 30}%, ${(0.5 + amplitude * 0.4) * visibilityAlpha})`;
+      ctx.lineWidth = 1.5 + amplitude * 1.5;
+      ctx.beginPath();
+      ctx.arc(x, y, coreSize, 0, Math.PI * 2);
+      ctx.stroke();
+    } else {
+      const coreGradient = ctx.createRadialGradient(x, y, 0, x, y, coreSize);
 
-    ctx.fillStyle = coreGradient;
-    ctx.beginPath();
-    ctx.arc(x, y, coreSize, 0, Math.PI * 2);
-    ctx.fill();
+      coreGradient.addColorStop(0, `hsla(${color.h}, ${color.s}%, ${color.l + 30}%, ${0.8 * visibilityAlpha})`);
+      coreGradient.addColorStop(0.5, `hsla(${color.h}, ${color.s}%, ${color.l}%, ${0.5 * visibilityAlpha})`);
+      coreGradient.addColorStop(1, 'transparent');
+
+      ctx.fillStyle = coreGradient;
+      ctx.beginPath();
+      ctx.arc(x, y, coreSize, 0, Math.PI * 2);
+      ctx.fill();
+    }
 
     // Exotic primes get a subtle ring
     if (isExotic && amplitude > 0.1) {
@@ -250,6 +356,108 @@ export class VisualRenderer {
       ctx.arc(x, y, size * 1.2, 0, Math.PI * 2);
       ctx.stroke();
     }
+
+    // Latched nodes: a steady outer ring, and an arc around it showing the latched level
+    if (pinned > 0) {
+      const ringRadius = size * 1.45;
+      ctx.strokeStyle = `hsla(${color.h}, ${color.s}%, ${color.l + 25}%, ${0.25 * visibilityAlpha})`;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.arc(x, y, ringRadius, 0, Math.PI * 2);
+      ctx.stroke();
+
+      ctx.strokeStyle = `hsla(${color.h}, ${color.s}%, ${color.l + 30}%, ${0.8 * visibilityAlpha})`;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(x, y, ringRadius, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * Math.min(1, pinned / 0.8));
+      ctx.stroke();
+      ctx.lineWidth = 1;
+    }
+  }
+
+  /**
+   * Draw the sequence as a faint path from node to node, with the playhead
+   * travelling along it from the step sounding now towards the next
+   */
+  drawSequence(space) {
+    const { ids, index, progress } = this.sequence;
+    const points = ids.map(id => space.getHarmonic(id)).filter(Boolean);
+    if (points.length === 0) return;
+
+    const ctx = this.ctx;
+    ctx.strokeStyle = 'rgba(200, 210, 230, 0.12)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    points.forEach((p, i) => {
+      if (i === 0) ctx.moveTo(p.x, p.y);
+      else ctx.lineTo(p.x, p.y);
+    });
+    if (points.length > 2) ctx.closePath();
+    ctx.stroke();
+
+    if (index < 0 || index >= points.length) return;
+
+    // Playhead - dwells on the node, then slides to the next one near the end of the step
+    const from = points[index];
+    const to = points[(index + 1) % points.length];
+    const travel = Math.max(0, (progress - 0.7) / 0.3);
+    const x = from.x + (to.x - from.x) * travel;
+    const y = from.y + (to.y - from.y) * travel;
+
+    const gradient = ctx.createRadialGradient(x, y, 0, x, y, 14);
+    gradient.addColorStop(0, 'rgba(240, 240, 255, 0.9)');
+    gradient.addColorStop(1, 'transparent');
+    ctx.fillStyle = gradient;
+    ctx.beginPath();
+    ctx.arc(x, y, 14, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  /**
+   * Print each node's key just above and right of it - brighter while the key is down
+   */
+  drawKeyLabels(space) {
+    const { labels, held } = this.keyLabels;
+    const ctx = this.ctx;
+    ctx.font = '10px monospace';
+    ctx.textAlign = 'left';
+
+    for (const [id, label] of labels) {
+      const h = space.getHarmonic(id);
+      if (!h) continue;
+
+      const { color } = h;
+      const alpha = held.has(id) ? 0.95 : 0.45;
+      ctx.fillStyle = `hsla(${color.h}, ${color.s}%, ${color.l + 30}%, ${alpha})`;
+      ctx.fillText(label, h.x + h.size * 0.6 + 3, h.y - h.size * 0.6 - 3);
+    }
+  }
+
+  /**
+   * Ring the node a sung or played pitch is nearest to - tight and bright when in tune,
+   * wider and dimmer the further off it is, with the distance in cents beneath
+   */
+  drawPitchMatch(space) {
+    const { id, cents } = space.pitchMatch;
+    const h = space.getHarmonic(id);
+    if (!h) return;
+
+    const ctx = this.ctx;
+    const { color } = h;
+    const closeness = Math.max(0, 1 - Math.abs(cents) / 50);
+    const radius = h.size * (1.1 + (1 - closeness) * 0.8);
+
+    ctx.strokeStyle = `hsla(${color.h}, ${color.s + 20}%, ${color.l + 30}%, ${0.3 + closeness * 0.6})`;
+    ctx.lineWidth = 1 + closeness * 2;
+    ctx.beginPath();
+    ctx.arc(h.x, h.y, radius, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.lineWidth = 1;
+
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = `hsla(${color.h}, ${color.s}%, ${color.l + 30}%, 0.8)`;
+    ctx.fillText(`${h.label} ${formatCents(cents)}`, h.x, h.y + radius + 14);
   }
 
   /**
@@ -307,17 +515,18 @@ export class VisualRenderer {
   }
 
   /**
-   * Draw the cursor's field of influence
+   * Draw a field of influence - it glows brighter the harder it's pressed
    */
-  drawCursorField() {
+  drawCursorField(field) {
     const ctx = this.ctx;
-    const { x, y } = this.cursor;
-    const radius = 120;
+    const { x, y } = field;
+    const radius = this.fieldRadius;
+    const strength = Math.sqrt(fieldIntensity(field.pressure) / REST_INTENSITY);
 
     // Soft glow around cursor
     const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
-    gradient.addColorStop(0, 'rgba(180, 200, 255, 0.15)');
-    gradient.addColorStop(0.3, 'rgba(160, 180, 235, 0.08)');
+    gradient.addColorStop(0, `rgba(180, 200, 255, ${0.15 * strength})`);
+    gradient.addColorStop(0.3, `rgba(160, 180, 235, ${0.08 * strength})`);
     gradient.addColorStop(1, 'transparent');
 
     ctx.fillStyle = gradient;
@@ -328,7 +537,7 @@ export class VisualRenderer {
     // Small cursor point
     ctx.fillStyle = 'rgba(200, 210, 255, 0.6)';
     ctx.beginPath();
-    ctx.arc(x, y, 3, 0, Math.PI * 2);
+    ctx.arc(x, y, 3 + 2 * field.pressure, 0, Math.PI * 2);
     ctx.fill();
   }
 
@@ -353,5 +562,176 @@ export class VisualRenderer {
     ctx.beginPath();
     ctx.arc(x, y, radius, 0, Math.PI * 2);
     ctx.fill();
+
+    this.drawFundamentalTrail(x, y);
+  }
+
+  /**
+   * Draw past fundamentals as a trail around the center, like a pitch-class clock:
+   * straight up is the origin (or any octave of it), a full turn is an octave.
+   * A comma pump shows up as a trail that doesn't come back to the top.
+   */
+  drawFundamentalTrail(x, y) {
+    const trail = this.fundamentalTrail;
+    if (trail.length < 2) return;
+
+    const ctx = this.ctx;
+    const radius = 56;
+    const points = trail.map(cents => {
+      const angle = -Math.PI / 2 + (cents / 1200) * Math.PI * 2;
+      return { x: x + Math.cos(angle) * radius, y: y + Math.sin(angle) * radius };
+    });
+
+    // Origin tick
+    ctx.strokeStyle = 'rgba(200, 180, 160, 0.25)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, y - radius - 5);
+    ctx.lineTo(x, y - radius + 5);
+    ctx.stroke();
+
+    // Path between fundamentals, older segments fainter
+    for (let i = 1; i < points.length; i++) {
+      const age = i / points.length;
+      ctx.strokeStyle = `rgba(200, 180, 160, ${0.05 + age * 0.2})`;
+      ctx.beginPath();
+      ctx.moveTo(points[i - 1].x, points[i - 1].y);
+      ctx.lineTo(points[i].x, points[i].y);
+      ctx.stroke();
+    }
+
+    // Markers, the current fundamental brightest
+    points.forEach((p, i) => {
+      const isCurrent = i === points.length - 1;
+      const alpha = isCurrent ? 0.7 : 0.1 + (i / points.length) * 0.3;
+      ctx.fillStyle = `rgba(220, 200, 180, ${alpha})`;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, isCurrent ? 3 : 2, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }
+
+  /**
+   * Level of the spectrum across one pixel column, 0-1 - the loudest bin it covers
+   */
+  spectrumLevel(bins, binWidth, column, width) {
+    const { min, max } = SPECTRUM_RANGE;
+    const from = Math.floor(min * Math.pow(max / min, column / width) / binWidth);
+    const to = Math.max(from + 1, Math.floor(min * Math.pow(max / min, (column + 1) / width) / binWidth));
+
+    let level = -Infinity;
+    for (let i = from; i < to && i < bins.length; i++) {
+      level = Math.max(level, bins[i]);
+    }
+    return Math.max(0, Math.min(1, (level - SPECTRUM_FLOOR) / (SPECTRUM_CEILING - SPECTRUM_FLOOR)));
+  }
+
+  /**
+   * Draw the analyser view along the bottom of the screen: the measured spectrum
+   * (or its scrolling waterfall) on a log-frequency axis, with every voice's expected
+   * frequency marked and the measured peak beside it
+   */
+  drawSpectrum() {
+    const ctx = this.ctx;
+    const { bins, binWidth, markers } = this.spectrum;
+    const band = {
+      x: 40,
+      y: this.height - 270,
+      width: Math.max(100, Math.floor(this.width - 80)),
+      height: 160
+    };
+    const xOf = freq => band.x + frequencyToPosition(freq) * band.width;
+
+    ctx.fillStyle = 'rgba(5, 5, 8, 0.75)';
+    ctx.fillRect(band.x, band.y, band.width, band.height);
+
+    if (this.spectrumMode === 'waterfall') {
+      this.drawWaterfall(band);
+    } else {
+      // Measured spectrum as a filled line
+      ctx.beginPath();
+      ctx.moveTo(band.x, band.y + band.height);
+      for (let column = 0; column < band.width; column++) {
+        const level = this.spectrumLevel(bins, binWidth, column, band.width);
+        ctx.lineTo(band.x + column, band.y + band.height * (1 - level));
+      }
+      ctx.lineTo(band.x + band.width, band.y + band.height);
+      ctx.closePath();
+      ctx.fillStyle = 'rgba(140, 160, 200, 0.15)';
+      ctx.fill();
+      ctx.strokeStyle = 'rgba(170, 190, 230, 0.6)';
+      ctx.stroke();
+    }
+
+    // Log-frequency grid
+    ctx.font = '9px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.strokeStyle = 'rgba(140, 150, 170, 0.12)';
+    ctx.fillStyle = 'rgba(140, 150, 170, 0.45)';
+    for (const freq of SPECTRUM_GRID) {
+      const x = xOf(freq);
+      ctx.beginPath();
+      ctx.moveTo(x, band.y);
+      ctx.lineTo(x, band.y + band.height);
+      ctx.stroke();
+      ctx.fillText(freq >= 1000 ? `${freq / 1000}k` : `${freq}`, x, band.y + band.height + 12);
+    }
+
+    // Expected frequencies (dashed) and measured peaks (dots), with the difference in cents
+    ctx.setLineDash([3, 3]);
+    markers.forEach((marker, i) => {
+      const { h, s, l } = marker.color;
+      const x = xOf(marker.frequency);
+      if (x < band.x || x > band.x + band.width) return;
+
+      ctx.strokeStyle = `hsla(${h}, ${s}%, ${l + 10}%, 0.6)`;
+      ctx.beginPath();
+      ctx.moveTo(x, band.y);
+      ctx.lineTo(x, band.y + band.height);
+      ctx.stroke();
+
+      // Stagger labels over three rows so neighbours don't overwrite each other
+      const labelY = band.y - 6 - (i % 3) * 11;
+      ctx.fillStyle = `hsla(${h}, ${s}%, ${l + 20}%, 0.9)`;
+      const reading = marker.measured ? formatCents(marker.cents) : '—';
+      ctx.fillText(`${marker.label} ${reading}`, x, labelY);
+
+      if (marker.measured) {
+        const level = this.spectrumLevel(bins, binWidth, Math.round(xOf(marker.measured) - band.x), band.width);
+        ctx.beginPath();
+        ctx.arc(xOf(marker.measured), band.y + band.height * (1 - level), 3, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    });
+    ctx.setLineDash([]);
+  }
+
+  /**
+   * Scroll the waterfall down a row and paint the newest spectrum across the top
+   */
+  drawWaterfall(band) {
+    if (!this.waterfall || this.waterfall.width !== band.width) {
+      this.waterfall = document.createElement('canvas');
+      this.waterfall.width = band.width;
+      this.waterfall.height = band.height;
+    }
+
+    const { bins, binWidth } = this.spectrum;
+    const wctx = this.waterfall.getContext('2d');
+    wctx.drawImage(this.waterfall, 0, 1);
+
+    const row = wctx.createImageData(band.width, 1);
+    for (let column = 0; column < band.width; column++) {
+      const level = this.spectrumLevel(bins, binWidth, column, band.width);
+      // Dark blue through teal to warm white
+      const i = column * 4;
+      row.data[i] = 255 * Math.pow(level, 2.2);
+      row.data[i + 1] = 230 * Math.pow(level, 1.3);
+      row.data[i + 2] = 60 + 170 * level;
+      row.data[i + 3] = 255 * Math.min(1, level * 1.5);
+    }
+    wctx.putImageData(row, 0, 0);
+
+    this.ctx.drawImage(this.waterfall, band.x, band.y);
   }
 }
@@ -0,0 +1,140 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The AudioWorkletGlobalScope the processor expects
+let Processor;
+globalThis.sampleRate = 48000;
+globalThis.currentFrame = 0;
+globalThis.AudioWorkletProcessor = class {
+  constructor() {
+    this.port = { posted: [], postMessage(message) { this.posted.push(message); } };
+  }
+};
+globalThis.registerProcessor = (name, processorClass) => { Processor = processorClass; };
+await import('../src/additive-processor.js');
+
+const SINE = { ratios: [1], amplitudes: [1], level: 1 };
+const CHANNELS = 18;
+
+let processor;
+const send = messages => processor.port.onmessage({ data: messages });
+const create = (serial, ratio = 1) => send([
+  { type: 'create', serial, ratio, channels: CHANNELS, ...SINE },
+  { type: 'position', serial, gains: [[0, 1]], timeConstant: 0 }
+]);
+
+/**
+ * Run the processor for a number of blocks, returning the left channel
+ */
+function run(blocks) {
+  const left = [];
+  for (let b = 0; b < blocks; b++) {
+    const outputs = [
+      [new Float32Array(128), new Float32Array(128)],
+      Array.from({ length: CHANNELS - 2 }, () => new Float32Array(128))
+    ];
+    processor.process([], outputs);
+    left.push(...outputs[0][0]);
+    globalThis.currentFrame += 128;
+  }
+  return left;
+}
+
+const seconds = time => Math.ceil(time * sampleRate / 128);
+
+beforeEach(() => {
+  globalThis.currentFrame = 0;
+  processor = new Processor({ processorOptions: { fundamental: 110, stereoChannels: 2 } });
+});
+
+test('a voice sounds at the fundamental times its ratio', () => {
+  create(1, 4);
+  send([{ type: 'amplitude', serial: 1, amplitude: 0.5, timeConstant: 0 }]);
+  const left = run(seconds(1));
+
+  let crossings = 0;
+  for (let i = 1; i < sampleRate; i++) {
+    if (left[i - 1] < 0 && left[i] >= 0) crossings++;
+  }
+  assert.ok(Math.abs(crossings - 440) <= 1, `${crossings} cycles`);
+  assert.ok(Math.abs(Math.max(...left) - 0.5) < 1e-3);
+});
+
+test('a scheduled change lands on its exact frame', () => {
+  create(1, 4);
+  send([
+    { type: 'amplitude', serial: 1, amplitude: 0.5, timeConstant: 0 },
+    { type: 'amplitude', serial: 1, amplitude: 0, timeConstant: 0, at: 200 / sampleRate }
+  ]);
+  const left = run(2);
+  assert.equal(left.findLastIndex(value => value !== 0), 199);
+});
+
+test('a released voice is dropped once its release dies away', () => {
+  create(1);
+  send([{ type: 'trigger', serial: 1, amplitude: 0.5, attack: 0.01, peak: 1, decay: 0.1, sustain: 1 }]);
+  run(seconds(0.2));
+  send([{ type: 'release', serial: 1, timeConstant: 0.05 }]);
+  run(seconds(1));
+  assert.equal(processor.voices.size, 0);
+});
+
+test('a voice faded to 0 and then released is dropped', () => {
+  create(1);
+  send([{ type: 'amplitude', serial: 1, amplitude: 0.5, timeConstant: 0.01 }]);
+  run(seconds(0.1));
+  send([{ type: 'amplitude', serial: 1, amplitude: 0, timeConstant: 0.05 }]);
+  run(seconds(1));
+  send([{ type: 'release', serial: 1, timeConstant: 0.1 }]);
+  run(seconds(0.1));
+  assert.equal(processor.voices.size, 0);
+});
+
+test('a sequencer step - fade in, fade out, release - leaves nothing behind', () => {
+  for (let serial = 1; serial <= 20; serial++) {
+    const start = globalThis.currentFrame / sampleRate;
+    create(serial);
+    send([
+      { type: 'amplitude', serial, amplitude: 0.4, timeConstant: 0.005, at: start },
+      { type: 'amplitude', serial, amplitude: 0, timeConstant: 0.05, at: start + 0.2 }
+    ]);
+    run(seconds(0.8)); // The fade is done well before the sequencer lets the voice go
+    send([{ type: 'release', serial, timeConstant: 0.01 }]);
+  }
+  run(seconds(0.1));
+  assert.equal(processor.voices.size, 0);
+});
+
+test('a trigger attacks from silence to the peak, then settles at the sustain level', () => {
+  create(1);
+  send([{ type: 'trigger', serial: 1, amplitude: 0.5, attack: 0.01, peak: 1.6, decay: 0.2, sustain: 0.6 }]);
+  run(1);
+  const voice = processor.voices.get(1);
+  assert.ok(voice.envelope > 0 && voice.envelope < 1.6 * 128 / 480 + 1e-6);
+
+  run(seconds(0.01));
+  assert.ok(voice.envelope > 1.4);
+
+  run(seconds(1));
+  assert.ok(Math.abs(voice.envelope - 0.6) < 1e-3);
+  assert.equal(voice.amplitude, 0.5);
+});
+
+test('a glide of the fundamental keeps the phase continuous', () => {
+  create(1);
+  send([{ type: 'amplitude', serial: 1, amplitude: 1, timeConstant: 0 }]);
+  run(10);
+  send([{ type: 'fundamental', frequency: 220, time: 0.5 }]);
+  const left = run(seconds(0.5));
+
+  let step = 0;
+  for (let i = 1; i < left.length; i++) {
+    step = Math.max(step, Math.abs(left[i] - left[i - 1]));
+  }
+  assert.ok(step < 2 * Math.PI * 220 / sampleRate * 1.01);
+});
+
+test('a sync is answered once everything before it has arrived', () => {
+  send([{ type: 'sync', id: 7 }]);
+  assert.deepEqual(processor.port.posted, [{ synced: 7 }]);
+});
@@ -0,0 +1,204 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderOffline, encodeWav } from '../src/audio-export.js';
+
+/**
+ * Stands in for an engine kind: renderOffline builds a second one of the same class
+ */
+class FakeEngine {
+  constructor() {
+    this.voices = new Map();
+    this.levels = new Map(); // id -> amplitude the offline copy was given
+    FakeEngine.instances.push(this);
+  }
+
+  async init(context) {
+    this.context = context;
+    this.masterGain = { gain: { setValueAtTime() {}, linearRampToValueAtTime() {} } };
+  }
+
+  createVoice(id, ratio, family) {
+    this.voices.set(id, { ratio, family });
+  }
+
+  setVoiceAmplitude(id, amplitude) {
+    this.levels.set(id, amplitude);
+  }
+
+  setVoicePosition() {}
+
+  async sync() {}
+}
+FakeEngine.instances = [];
+
+test('offline voices sound at the level the live ones hold, envelope sustain included', async () => {
+  globalThis.OfflineAudioContext = class {
+    constructor(channels, length, sampleRate) {
+      Object.assign(this, { channels, length, sampleRate });
+    }
+
+    startRendering() {
+      return Promise.resolve(this);
+    }
+  };
+  const live = new FakeEngine();
+  live.voices.set('prime_3', { ratio: 3, family: 3, targetGain: 0.5, sustain: 0.6, position: {} });
+  live.voices.set('prime_5', { ratio: 5, family: 5, targetGain: 0.4, sustain: 1, position: {} });
+  live.voices.set('prime_7', { ratio: 7, family: 7, targetGain: 0, sustain: 1, position: {} });
+
+  const rendered = await renderOffline(live, { sampleRate: 8000, duration: 1, fadeOut: 0.5 });
+  const offline = FakeEngine.instances.at(-1);
+  assert.notEqual(offline, live);
+  assert.equal(rendered.length, 8000);
+  assert.ok(Math.abs(offline.levels.get('prime_3') - 0.3) < 1e-12);
+  assert.equal(offline.levels.get('prime_5'), 0.4);
+  assert.ok(!offline.voices.has('prime_7'), 'silent voices are left out');
+
+  delete globalThis.OfflineAudioContext;
+});
+
+/**
+ * An AudioBuffer-shaped stand-in holding the given channels
+ */
+function audioBuffer(channels, sampleRate = 48000) {
+  const data = channels.map(samples => Float32Array.from(samples));
+  return { numberOfChannels: data.length, length: data[0].length, sampleRate, getChannelData: c => data[c] };
+}
+
+/**
+ * Read a WAV file's chunks back
+ * @returns {Object} - {riffSize, chunks: ids in order, format, fact, data}
+ */
+function parseWav(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  const text = offset => String.fromCharCode(...new Uint8Array(arrayBuffer, offset, 4));
+  assert.equal(text(0), 'RIFF');
+  assert.equal(text(8), 'WAVE');
+
+  const wav = { riffSize: view.getUint32(4, true), chunks: [] };
+  let offset = 12;
+  while (offset < arrayBuffer.byteLength) {
+    const id = text(offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    wav.chunks.push(id);
+
+    if (id === 'fmt ') {
+      wav.format = {
+        size,
+        tag: view.getUint16(body, true),
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        byteRate: view.getUint32(body + 8, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitDepth: view.getUint16(body + 14, true),
+        cbSize: size >= 18 ? view.getUint16(body + 16, true) : null
+      };
+    } else if (id === 'fact') {
+      wav.fact = view.getUint32(body, true);
+    } else if (id === 'data') {
+      wav.data = new DataView(arrayBuffer, body, size);
+    }
+    offset = body + size;
+  }
+  assert.equal(offset, arrayBuffer.byteLength, 'chunks fill the file exactly');
+  return wav;
+}
+
+/**
+ * Decode interleaved samples back to floats, one array per channel
+ */
+function readSamples(wav) {
+  const { channels, bitDepth, tag } = wav.format;
+  const bytes = bitDepth / 8;
+  const frames = wav.data.byteLength / (channels * bytes);
+  const result = Array.from({ length: channels }, () => []);
+
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) {
+      const offset = (i * channels + c) * bytes;
+      let value;
+      if (tag === 3) {
+        value = wav.data.getFloat32(offset, true);
+      } else if (bitDepth === 16) {
+        const sample = wav.data.getInt16(offset, true);
+        value = sample < 0 ? sample / 0x8000 : sample / 0x7fff;
+      } else {
+        let sample = wav.data.getUint8(offset) | (wav.data.getUint8(offset + 1) << 8) | (wav.data.getUint8(offset + 2) << 16);
+        if (sample & 0x800000) sample -= 0x1000000;
+        value = sample < 0 ? sample / 0x800000 : sample / 0x7fffff;
+      }
+      result[c].push(value);
+    }
+  }
+  return result;
+}
+
+const LEFT = [0, 0.5, -0.5, 1, -1, 0.25, 1.5, -2];
+const RIGHT = [0.1, -0.1, 0.75, -0.75, 0.001, -0.001, 0, 0.3];
+const clipped = samples => samples.map(s => Math.fround(Math.max(-1, Math.min(1, s))));
+
+test('integer WAVs carry a plain PCM header', () => {
+  for (const bitDepth of [16, 24]) {
+    const file = encodeWav(audioBuffer([LEFT, RIGHT], 44100), bitDepth);
+    const wav = parseWav(file);
+    const bytes = bitDepth / 8;
+
+    assert.equal(wav.riffSize, file.byteLength - 8);
+    assert.deepEqual(wav.chunks, ['fmt ', 'data']);
+    assert.deepEqual(wav.format, {
+      size: 16,
+      tag: 1,
+      channels: 2,
+      sampleRate: 44100,
+      byteRate: 44100 * 2 * bytes,
+      blockAlign: 2 * bytes,
+      bitDepth,
+      cbSize: null
+    });
+    assert.equal(wav.data.byteLength, LEFT.length * 2 * bytes);
+  }
+});
+
+test('float WAVs carry an extended fmt chunk and a fact chunk', () => {
+  const file = encodeWav(audioBuffer([LEFT]), 32);
+  const wav = parseWav(file);
+
+  assert.equal(wav.riffSize, file.byteLength - 8);
+  assert.deepEqual(wav.chunks, ['fmt ', 'fact', 'data']);
+  assert.deepEqual(wav.format, {
+    size: 18,
+    tag: 3,
+    channels: 1,
+    sampleRate: 48000,
+    byteRate: 48000 * 4,
+    blockAlign: 4,
+    bitDepth: 32,
+    cbSize: 0
+  });
+  assert.equal(wav.fact, LEFT.length);
+});
+
+test('samples come back within one step of their bit depth, clipped to full scale', () => {
+  for (const [bitDepth, step] of [[16, 1 / 0x7fff], [24, 1 / 0x7fffff]]) {
+    const [left, right] = readSamples(parseWav(encodeWav(audioBuffer([LEFT, RIGHT]), bitDepth)));
+    for (const [decoded, original] of [[left, clipped(LEFT)], [right, clipped(RIGHT)]]) {
+      decoded.forEach((value, i) => {
+        assert.ok(Math.abs(value - original[i]) <= step, `${bitDepth}-bit sample ${i}: ${value} vs ${original[i]}`);
+      });
+    }
+    // Full scale reaches the extremes exactly
+    assert.equal(left[3], 1);
+    assert.equal(left[4], -1);
+  }
+});
+
+test('float samples come back exactly, clipped to full scale', () => {
+  const [left, right] = readSamples(parseWav(encodeWav(audioBuffer([LEFT, RIGHT]), 32)));
+  assert.deepEqual(left, clipped(LEFT));
+  assert.deepEqual(right, clipped(RIGHT));
+});
+
+test('unsupported bit depths are refused', () => {
+  assert.throws(() => encodeWav(audioBuffer([LEFT]), 8), /Unsupported bit depth/);
+});
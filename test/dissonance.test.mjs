@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pairRoughness, roughness, dissonanceCurve } from '../src/dissonance.js';
+
+// Six harmonics falling off as Sethares uses them
+const HARMONIC = [1, 2, 3, 4, 5, 6].map(n => ({ ratio: n, amplitude: Math.pow(0.88, n - 1) }));
+
+const cents = (a, b) => 1200 * Math.abs(Math.log2(a / b));
+
+test('pairRoughness is 0 at unison and positive within a critical band', () => {
+  assert.equal(pairRoughness(440, 1, 440, 1), 0);
+  assert.ok(pairRoughness(440, 1, 460, 1) > 0);
+});
+
+test('pairRoughness does not depend on which partial comes first', () => {
+  assert.equal(pairRoughness(300, 0.5, 330, 1), pairRoughness(330, 1, 300, 0.5));
+});
+
+test('pairRoughness dies away for partials far apart', () => {
+  assert.ok(pairRoughness(200, 1, 2000, 1) < 1e-6);
+});
+
+test('roughness does not depend on the order of tones or partials', () => {
+  const tones = [
+    { frequency: 220, amplitude: 1, spectrum: HARMONIC },
+    { frequency: 220 * 11 / 8, amplitude: 0.7, spectrum: HARMONIC },
+    { frequency: 220 * 7 / 4, amplitude: 0.5 }
+  ];
+  const reversed = tones.map(tone => ({ ...tone, spectrum: tone.spectrum && [...tone.spectrum].reverse() })).reverse();
+  assert.ok(Math.abs(roughness(tones) - roughness(reversed)) < 1e-12);
+});
+
+test('roughness of a single sine is 0', () => {
+  assert.equal(roughness([{ frequency: 440, amplitude: 1 }]), 0);
+});
+
+test('dissonanceCurve spans the range evenly in pitch', () => {
+  const curve = dissonanceCurve({ spectrum: HARMONIC, from: 1, to: 2, steps: 12 });
+  assert.equal(curve.length, 13);
+  assert.equal(curve[0].ratio, 1);
+  assert.ok(Math.abs(curve[12].ratio - 2) < 1e-12);
+  assert.ok(Math.abs(curve[6].ratio - Math.SQRT2) < 1e-12);
+});
+
+test('dissonanceCurve dips at 5/4, 3/2 and 2/1 for a harmonic spectrum', () => {
+  const curve = dissonanceCurve({ spectrum: HARMONIC, from: 1, to: 2.2, steps: 2000 });
+  const minima = curve
+    .filter((point, i) => i > 0 && i < curve.length - 1 &&
+      point.roughness < curve[i - 1].roughness && point.roughness <= curve[i + 1].roughness)
+    .map(point => point.ratio);
+
+  for (const target of [5 / 4, 3 / 2, 2]) {
+    assert.ok(minima.some(ratio => cents(ratio, target) < 2), `no dip at ${target}`);
+  }
+});
+
+test('roughness finds 11/8 rougher than 3/2', () => {
+  const at = ratio => roughness([
+    { frequency: 220, amplitude: 1, spectrum: HARMONIC },
+    { frequency: 220 * ratio, amplitude: 1, spectrum: HARMONIC }
+  ]);
+  assert.ok(at(11 / 8) > at(3 / 2));
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EffectsChain, normalizeEffects, delayTimes, DEFAULT_EFFECTS } from '../src/effects.js';
+
+/**
+ * Just enough of a BaseAudioContext for the chain: nodes that can be wired,
+ * params that record their targets, and a convolver as picky as the real one
+ */
+function fakeContext(sampleRate = 48000) {
+  const param = () => ({ value: 0, setTargetAtTime(value) { this.value = value; } });
+  const node = extra => ({ connect() {}, disconnect() {}, ...extra });
+  const buffer = (channels, length, rate) => {
+    const data = Array.from({ length: channels }, () => new Float32Array(length));
+    return { numberOfChannels: channels, length, sampleRate: rate, getChannelData: c => data[c] };
+  };
+
+  return {
+    sampleRate,
+    currentTime: 0,
+    createGain: () => node({ gain: param() }),
+    createBiquadFilter: () => node({ type: 'lowpass', frequency: param(), Q: param() }),
+    createDelay: () => node({ delayTime: param() }),
+    createChannelMerger: () => node(),
+    createDynamicsCompressor: () => node({
+      threshold: param(), knee: param(), ratio: param(), attack: param(), release: param()
+    }),
+    createConvolver: () => {
+      let current = null;
+      return node({
+        get buffer() { return current; },
+        set buffer(value) {
+          if (value && ![1, 2, 4].includes(value.numberOfChannels)) {
+            throw new Error('NotSupportedError');
+          }
+          current = value;
+        }
+      });
+    },
+    createBuffer: buffer,
+    // The "file" is just its channel count
+    decodeAudioData: async data => buffer(new Uint8Array(data)[0], sampleRate, sampleRate)
+  };
+}
+
+const impulseFile = channels => new Uint8Array([channels]).buffer;
+
+test('a recorded impulse response replaces the generated tail', async () => {
+  const chain = new EffectsChain(fakeContext());
+  await chain.loadImpulse(impulseFile(2));
+  assert.equal(chain.units.reverb.convolver.buffer.numberOfChannels, 2);
+  assert.ok(chain.recording);
+});
+
+test('an impulse response with an unusable channel count is refused, and the chain keeps working', async () => {
+  const chain = new EffectsChain(fakeContext());
+  await chain.loadImpulse(impulseFile(4));
+  const before = chain.recording;
+
+  for (const channels of [3, 6]) {
+    await assert.rejects(chain.loadImpulse(impulseFile(channels)), /1, 2 or 4 channels/);
+    assert.equal(chain.recording, before);
+  }
+
+  // A decay change rebuilds the impulse from the recording that was kept
+  assert.doesNotThrow(() => chain.configure({ ...chain.config, reverb: { ...chain.config.reverb, decay: 1 } }));
+  assert.equal(chain.units.reverb.convolver.buffer.numberOfChannels, 4);
+});
+
+test('normalizeEffects fills in and repairs a configuration', () => {
+  assert.deepEqual(normalizeEffects(), DEFAULT_EFFECTS);
+  const config = normalizeEffects({
+    order: ['delay', 'filter'],
+    filter: { type: 'comb', frequency: 99999 },
+    delay: { left: 4 }
+  });
+  assert.deepEqual(config.order, DEFAULT_EFFECTS.order);
+  assert.equal(config.filter.type, DEFAULT_EFFECTS.filter.type);
+  assert.equal(config.filter.frequency, 20000);
+  assert.equal(config.delay.left, DEFAULT_EFFECTS.delay.left);
+});
+
+test('delay times are whole numbers of fundamental periods, doubled up to the longest time', () => {
+  const { left, right } = delayTimes(110, { left: 3, right: 5, length: 0.8 });
+  assert.ok(Math.abs(left * 110 / 3 - Math.round(left * 110 / 3)) < 1e-9);
+  assert.ok(left <= 0.8 && left * 2 > 0.8);
+  assert.ok(right <= 0.8 && right * 2 > 0.8);
+});
+
+test('the generated tail grows from the seed - the same seed rings the same', () => {
+  const tail = (seed, context = fakeContext()) => {
+    const chain = new EffectsChain(context, {}, seed);
+    return Array.from(chain.units.reverb.convolver.buffer.getChannelData(0).subarray(0, 64));
+  };
+  assert.deepEqual(tail(7), tail(7));
+  assert.notDeepEqual(tail(7), tail(8));
+
+  const chain = new EffectsChain(fakeContext(), {}, 1);
+  chain.reseed(7);
+  assert.deepEqual(Array.from(chain.units.reverb.convolver.buffer.getChannelData(0).subarray(0, 64)), tail(7));
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_ENVELOPE, normalizeEnvelope, gestureVelocity, shapeEnvelope } from '../src/envelopes.js';
+import { moveField, fieldSpeed } from '../src/influence.js';
+
+test('normalizeEnvelope fills in and clamps', () => {
+  assert.deepEqual(normalizeEnvelope(), DEFAULT_ENVELOPE);
+  const envelope = normalizeEnvelope({ attack: -1, sustain: 'loud', release: 99 });
+  assert.equal(envelope.attack, 0.005);
+  assert.equal(envelope.sustain, DEFAULT_ENVELOPE.sustain);
+  assert.equal(envelope.release, 10);
+});
+
+test('shapeEnvelope without a velocity plays the envelope as set', () => {
+  assert.deepEqual(shapeEnvelope(DEFAULT_ENVELOPE, null), { ...DEFAULT_ENVELOPE, peak: 1 });
+});
+
+test('a pluck is sharper, accented, lower and longer than a swell', () => {
+  const swell = shapeEnvelope(DEFAULT_ENVELOPE, 0);
+  const pluck = shapeEnvelope(DEFAULT_ENVELOPE, 1);
+  assert.ok(pluck.attack < DEFAULT_ENVELOPE.attack && DEFAULT_ENVELOPE.attack < swell.attack);
+  assert.ok(pluck.peak > swell.peak);
+  assert.ok(pluck.sustain < swell.sustain);
+  assert.ok(pluck.release > swell.release);
+});
+
+test('gestureVelocity rises with speed, from 0 to 1', () => {
+  const radius = 120;
+  assert.equal(gestureVelocity(0, radius), 0);
+  assert.equal(gestureVelocity(radius, radius), 0);
+  assert.equal(gestureVelocity(radius * 100, radius), 1);
+  assert.ok(gestureVelocity(radius * 3, radius) < gestureVelocity(radius * 6, radius));
+});
+
+test('a field keeps the speed it moves at, and comes to rest once stopped', () => {
+  let field = moveField(undefined, 0, 0, 0);
+  assert.equal(field.speed, 0);
+  for (let time = 16; time <= 320; time += 16) {
+    field = moveField(field, time * 2, 0, time); // 2000 pixels per second
+  }
+  assert.ok(Math.abs(field.speed - 2000) < 20);
+  assert.ok(fieldSpeed(field, 320 + 500) < 1);
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GamepadController, DEFAULT_MAPPING } from '../src/gamepad-input.js';
+
+/**
+ * A controller recording every callback
+ * @returns {Object} - {pad, calls}
+ */
+function recorded(mapping = {}) {
+  const calls = [];
+  const pad = new GamepadController({
+    onMove: (stick, dx, dy) => calls.push(['move', stick, dx, dy]),
+    onIntensity: value => calls.push(['intensity', value]),
+    onDepth: change => calls.push(['depth', change]),
+    onFundamentalStep: direction => calls.push(['step', direction]),
+    onDisconnect: () => calls.push(['disconnect']),
+    onLearn: binding => calls.push(['learn', binding])
+  }, mapping);
+  return { pad, calls };
+}
+
+/**
+ * A standard-layout gamepad state: 4 axes, 17 buttons at rest, with some set
+ * @param {Object} axes - index -> value
+ * @param {Object} buttons - index -> value (analog) or true (digital)
+ */
+function state(axes = {}, buttons = {}) {
+  return {
+    axes: [0, 1, 2, 3].map(i => axes[i] || 0),
+    buttons: Array.from({ length: 17 }, (_, i) => {
+      const value = buttons[i] === true ? 1 : (buttons[i] || 0);
+      return { pressed: buttons[i] === true, value };
+    })
+  };
+}
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+test('a resting stick inside the deadzone moves nothing', () => {
+  const { pad, calls } = recorded();
+  pad.update(state({ 0: 0.1, 1: -0.1 }), 0.016);
+  pad.update(state({ 2: DEFAULT_MAPPING.deadzone }), 0.016);
+  assert.deepEqual(calls, []);
+});
+
+test('stick travel past the deadzone moves its own field, reaching full speed at the edge', () => {
+  const { pad, calls } = recorded();
+  pad.update(state({ 0: 1 }), 0.5);
+  pad.update(state({ 3: -1 }), 0.5);
+
+  assert.equal(calls.length, 2);
+  const [[, stickA, dxA, dyA], [, stickB, dxB, dyB]] = calls;
+  assert.equal(stickA, 0);
+  near(dxA, 0.6 * 0.5);
+  near(dyA, 0);
+  assert.equal(stickB, 1);
+  near(dxB, 0);
+  near(dyB, -0.6 * 0.5);
+
+  // Just past the deadzone the field barely moves - no jump at the edge
+  calls.length = 0;
+  pad.update(state({ 0: DEFAULT_MAPPING.deadzone + 0.01 }), 1);
+  assert.ok(calls[0][2] > 0 && calls[0][2] < 0.01);
+});
+
+test('the intensity trigger reports its travel when it changes, and its release', () => {
+  const { pad, calls } = recorded();
+  pad.update(state({}, { 6: 0.4 }), 0.016);
+  pad.update(state({}, { 6: 0.405 }), 0.016);
+  pad.update(state({}, { 6: 0.8 }), 0.016);
+  pad.update(state(), 0.016);
+  pad.update(state(), 0.016);
+
+  assert.deepEqual(calls, [['intensity', 0.4], ['intensity', 0.8], ['intensity', 0]]);
+});
+
+test('descend and ascend change depth at a rate set by their travel', () => {
+  const { pad, calls } = recorded();
+  pad.update(state({}, { 7: 1 }), 0.1);
+  pad.update(state({}, { 12: true }), 0.1);
+  pad.update(state({}, { 7: 0.5, 12: true }), 0.1);
+
+  assert.equal(calls.length, 3);
+  near(calls[0][1], 0.025);
+  near(calls[1][1], -0.025);
+  near(calls[2][1], -0.0125);
+});
+
+test('fundamental steps happen once per press, not per frame held', () => {
+  const { pad, calls } = recorded();
+  pad.update(state({}, { 5: true }), 0.016);
+  pad.update(state({}, { 5: true }), 0.016);
+  pad.update(state({}, { 5: true, 4: true }), 0.016);
+  pad.update(state(), 0.016);
+  pad.update(state({}, { 5: true }), 0.016);
+
+  assert.deepEqual(calls, [['step', 1], ['step', -1], ['step', 1]]);
+});
+
+test('learning binds the next newly pressed button, replacing the old bindings for the action', () => {
+  const { pad, calls } = recorded();
+  pad.update(state({}, { 0: true }), 0.016);
+  pad.learn('descend');
+
+  // Already held when learning began - not a new press
+  pad.update(state({ 0: 1 }, { 0: true }), 0.016);
+  assert.deepEqual(calls, []);
+
+  pad.update(state({}, { 0: true, 3: true }), 0.016);
+  assert.deepEqual(calls, [['learn', { button: 3, action: 'descend' }]]);
+  assert.equal(pad.learning, null);
+  assert.equal(pad.mapping.buttons[3], 'descend');
+  assert.equal(pad.mapping.buttons[7], undefined);
+  assert.equal(pad.mapping.buttons[13], undefined);
+  assert.equal(DEFAULT_MAPPING.buttons[7], 'descend', 'the defaults stay as they were');
+
+  calls.length = 0;
+  pad.update(state({}, { 7: 1 }), 0.1);
+  pad.update(state({}, { 3: true }), 0.1);
+  assert.deepEqual(calls.map(c => c[0]), ['depth']);
+});
+
+test('losing the gamepad lets go of everything once', () => {
+  const { pad, calls } = recorded();
+  pad.update(state({}, { 6: 1 }), 0.016);
+  pad.update(null, 0.016);
+  pad.update(null, 0.016);
+
+  assert.deepEqual(calls, [['intensity', 1], ['disconnect']]);
+  assert.equal(pad.intensity, 0);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FOLDINGS, SPATIAL_MODES, normalizeFolding, normalizeSpatial } from '../src/harmonic-engine.js';
+
+test('saved foldings are kept when they name a known strategy', () => {
+  for (const strategy of Object.keys(FOLDINGS)) {
+    assert.deepEqual(normalizeFolding({ strategy, spanOctaves: 2 }), { strategy, spanOctaves: 2 });
+  }
+});
+
+test('unknown strategies and spans fall back to the defaults', () => {
+  assert.deepEqual(normalizeFolding({ strategy: 'fifths', spanOctaves: 'wide' }), { strategy: 'double', spanOctaves: 3 });
+  assert.deepEqual(normalizeFolding({ strategy: 'toString' }), { strategy: 'double', spanOctaves: 3 });
+  assert.deepEqual(normalizeFolding(), { strategy: 'double', spanOctaves: 3 });
+});
+
+test('spans are kept to whole octaves within the allowed range', () => {
+  assert.equal(normalizeFolding({ strategy: 'span', spanOctaves: 12 }).spanOctaves, 5);
+  assert.equal(normalizeFolding({ strategy: 'span', spanOctaves: 0 }).spanOctaves, 1);
+  assert.equal(normalizeFolding({ strategy: 'span', spanOctaves: 2.4 }).spanOctaves, 2);
+});
+
+test('saved spatial settings are kept, or fall back to stereo at the default width', () => {
+  for (const mode of SPATIAL_MODES) {
+    assert.deepEqual(normalizeSpatial({ mode, width: 0.3 }), { mode, width: 0.3 });
+  }
+  assert.deepEqual(normalizeSpatial({ mode: 'ambisonic', width: 'full' }), { mode: 'stereo', width: 0.8 });
+  assert.deepEqual(normalizeSpatial({ mode: 'binaural', width: 4 }), { mode: 'binaural', width: 1 });
+  assert.deepEqual(normalizeSpatial(), { mode: 'stereo', width: 0.8 });
+});
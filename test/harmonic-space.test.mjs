@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HarmonicSpace } from '../src/harmonic-space.js';
+import { FOLDINGS, AUDIBLE_RANGE, PRIMES } from '../src/harmonic-engine.js';
+
+/**
+ * A space with the given folding, seen from the bottom with every node revealed
+ */
+function spaceWith(folding, series = 'otonal') {
+  const space = new HarmonicSpace(800, 600, 1);
+  space.setSeries(series);
+  space.setFolding(folding);
+  space.setDepth(1);
+  return space;
+}
+
+const byId = space => new Map(space.harmonics.map(h => [h.id, h]));
+
+test('each folding puts every prime node inside its window, as an exact fraction', () => {
+  const windows = [
+    [FOLDINGS.double, 4],
+    [FOLDINGS.octave, 2],
+    [FOLDINGS.tritave, 3],
+    [{ ...FOLDINGS.span, periods: 4 }, 16]
+  ];
+
+  for (const [folding, top] of windows) {
+    const space = spaceWith(folding);
+    assert.equal(space.harmonics.length, PRIMES.length);
+    for (const h of space.harmonics) {
+      assert.ok(h.ratio >= 1 && h.ratio < top, `${h.label} lies outside [1, ${top}) under ${folding.name}`);
+      assert.equal(h.ratio, h.numerator / h.denominator);
+      assert.equal(h.label, `${h.numerator}/${h.denominator}`);
+    }
+  }
+});
+
+test('folding divides by the equivalence interval, not always by octaves', () => {
+  const double = byId(spaceWith(FOLDINGS.double));
+  assert.equal(double.get('prime_7').label, '7/2');
+  assert.equal(double.get('prime_5').label, '5/2');
+  assert.equal(double.get('prime_3').label, '3/1');
+
+  const octave = byId(spaceWith(FOLDINGS.octave));
+  assert.equal(octave.get('prime_3').label, '3/2');
+  assert.equal(octave.get('prime_7').label, '7/4');
+  assert.equal(octave.get('prime_2').label, '1/1');
+
+  const tritave = byId(spaceWith(FOLDINGS.tritave));
+  assert.equal(tritave.get('prime_2').label, '2/1');
+  assert.equal(tritave.get('prime_3').label, '1/1');
+  assert.equal(tritave.get('prime_5').label, '5/3');
+  assert.equal(tritave.get('prime_7').label, '7/3');
+});
+
+test('unfolded, nodes sound the raw series', () => {
+  for (const h of spaceWith(FOLDINGS.none).harmonics) {
+    assert.equal(h.ratio, h.prime);
+    assert.equal(h.label, `${h.prime}/1`);
+  }
+});
+
+test('undertones mirror the folding below the fundamental', () => {
+  const space = spaceWith(FOLDINGS.octave, 'both');
+  const nodes = byId(space);
+  assert.equal(space.harmonics.length, PRIMES.length * 2);
+  assert.equal(nodes.get('prime_3_under').label, '2/3');
+  for (const h of space.harmonics.filter(h => h.isUndertone)) {
+    assert.ok(h.ratio > 1 / 2 && h.ratio <= 1);
+  }
+});
+
+test('changing the folding keeps node ids and places, only the pitches move', () => {
+  const space = spaceWith(FOLDINGS.double);
+  const before = space.harmonics.map(({ id, baseX, baseY }) => ({ id, baseX, baseY }));
+  space.setFolding(FOLDINGS.tritave);
+  assert.deepEqual(space.harmonics.map(({ id, baseX, baseY }) => ({ id, baseX, baseY })), before);
+});
+
+test('unfolded primes stay visible up to the audible ceiling, and no further', () => {
+  const fundamental = 110;
+  const space = spaceWith(FOLDINGS.none, 'both');
+  space.setAudibleRange(AUDIBLE_RANGE.min / fundamental, AUDIBLE_RANGE.max / fundamental);
+  const visible = new Set(space.getVisibleHarmonics().map(h => h.id));
+
+  // 71 × 110 Hz is under 8 kHz, 73 × 110 Hz is over
+  assert.ok(visible.has('prime_11'));
+  assert.ok(visible.has('prime_71'));
+  assert.ok(!visible.has('prime_73'));
+
+  // Below, 110 / 5 Hz is still audible but 110 / 7 Hz is not
+  assert.ok(visible.has('prime_5_under'));
+  assert.ok(!visible.has('prime_7_under'));
+
+  for (const h of space.getVisibleHarmonics()) {
+    const frequency = fundamental * h.ratio;
+    assert.ok(frequency >= AUDIBLE_RANGE.min && frequency <= AUDIBLE_RANGE.max);
+  }
+});
+
+test('folded windows stay audible at a low fundamental', () => {
+  const fundamental = 55;
+  const space = spaceWith({ ...FOLDINGS.span, periods: 4 });
+  space.setAudibleRange(AUDIBLE_RANGE.min / fundamental, AUDIBLE_RANGE.max / fundamental);
+  assert.equal(space.getVisibleHarmonics().length, space.harmonics.filter(h => h.visibilityDepth <= 1.3).length);
+});
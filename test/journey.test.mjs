@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JourneyRecorder, JourneyPlayer, serializeJourney, parseJourney } from '../src/journey.js';
+
+const INITIAL = {
+  fundamental: 110,
+  depth: 0.2,
+  folding: { strategy: 'tritave', spanOctaves: 3 },
+  series: 'both',
+  scale: { description: 'Just', degrees: [{ ratio: 1.5, numerator: 3, denominator: 2, cents: 701.955, exact: true, text: '3/2' }] },
+  timbres: { global: 'reed', families: { 7: 'bell' } }
+};
+
+/**
+ * A journey recorded over made-up times, in milliseconds
+ */
+function recordJourney() {
+  const recorder = new JourneyRecorder();
+  recorder.record('move', { x: 0, y: 0 }, 500); // Not recording yet
+  recorder.start(42, INITIAL, 1000);
+  recorder.record('move', { x: 0.1, y: -0.2 }, 1000);
+  recorder.record('hold', { pressure: 0.5 }, 1250);
+  recorder.record('pin', { id: 'prime_7', level: 0.35 }, 1800);
+  recorder.record('release', {}, 2500);
+  const journey = recorder.stop(3000);
+  recorder.record('move', { x: 1, y: 1 }, 3500); // Stopped
+  return journey;
+}
+
+test('events are timed in seconds from the start of the recording', () => {
+  const journey = recordJourney();
+  assert.equal(journey.seed, 42);
+  assert.equal(journey.duration, 2);
+  assert.deepEqual(journey.events.map(e => [e.t, e.type]), [
+    [0, 'move'], [0.25, 'hold'], [0.8, 'pin'], [1.5, 'release']
+  ]);
+  assert.deepEqual(journey.events[2], { t: 0.8, type: 'pin', id: 'prime_7', level: 0.35 });
+});
+
+test('the starting state is copied, so later changes do not reach the recording', () => {
+  const initial = { ...INITIAL };
+  const recorder = new JourneyRecorder();
+  recorder.start(1, initial, 0);
+  initial.series = 'otonal';
+  assert.equal(recorder.stop(10).initial.series, 'both');
+});
+
+test('replay dispatches each event once, when it comes due', () => {
+  const journey = recordJourney();
+  const dispatched = [];
+  const player = new JourneyPlayer(event => dispatched.push(event.type));
+
+  player.play(journey, 10000);
+  assert.equal(player.update(10000), true);
+  assert.deepEqual(dispatched, ['move']);
+
+  player.update(10249);
+  assert.deepEqual(dispatched, ['move']);
+  player.update(10250);
+  assert.deepEqual(dispatched, ['move', 'hold']);
+
+  // A long frame catches up on everything due, in order
+  player.update(11600);
+  assert.deepEqual(dispatched, ['move', 'hold', 'pin', 'release']);
+
+  // Playback runs for the recorded duration, even after the last event
+  assert.equal(player.update(11999), true);
+  assert.equal(player.update(12000), false);
+  assert.equal(player.isPlaying, false);
+  assert.equal(player.update(13000), false);
+  assert.equal(dispatched.length, 4);
+});
+
+test('a stopped replay dispatches nothing more', () => {
+  const dispatched = [];
+  const player = new JourneyPlayer(event => dispatched.push(event));
+  player.play(recordJourney(), 0);
+  player.update(0);
+  player.stop();
+  assert.equal(player.update(5000), false);
+  assert.equal(dispatched.length, 1);
+});
+
+test('a saved journey parses back to the same journey, starting state included', () => {
+  const journey = recordJourney();
+  assert.deepEqual(parseJourney(serializeJourney(journey)), journey);
+});
+
+test('parsing sorts events and stretches the duration to cover them', () => {
+  const journey = parseJourney(JSON.stringify({
+    version: 1,
+    seed: 7,
+    initial: { fundamental: 110, depth: 0 },
+    duration: 1,
+    events: [{ t: 3, type: 'depth', depth: 0.5 }, { t: 0.5, type: 'move', x: 0, y: 0 }]
+  }));
+  assert.deepEqual(journey.events.map(e => e.t), [0.5, 3]);
+  assert.equal(journey.duration, 3);
+});
+
+test('a starting state with unknown names falls back to the defaults', () => {
+  const journey = recordJourney();
+  journey.initial = {
+    ...journey.initial,
+    folding: { strategy: 'fifths', spanOctaves: 3 },
+    series: 'sideways',
+    timbres: { global: 'kazoo', families: {} }
+  };
+  const { initial } = parseJourney(serializeJourney(journey));
+  assert.equal(initial.folding.strategy, 'double');
+  assert.equal(initial.series, 'otonal');
+  assert.equal(initial.timbres.global, 'sine');
+});
+
+test('broken journeys are refused', () => {
+  const valid = JSON.parse(serializeJourney(recordJourney()));
+  assert.throws(() => parseJourney(JSON.stringify({ ...valid, version: 2 })), /Unsupported/);
+  assert.throws(() => parseJourney(JSON.stringify({ ...valid, seed: 0.5 })), /seed/);
+  assert.throws(() => parseJourney(JSON.stringify({ ...valid, events: [{ t: 0, type: 'teleport' }] })), /Invalid journey event/);
+  assert.throws(() => parseJourney(JSON.stringify({ ...valid, initial: { ...valid.initial, scale: {} } })), /scale/);
+});
@@ -0,0 +1,228 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeMidiFile } from '../src/midi-export.js';
+
+/**
+ * Read a Standard MIDI File back into its header and a flat list of track events
+ * @returns {Object} - {format, tracks, division, events: [{tick, status, channel, data}]}
+ */
+function parseMidiFile(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const text = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+  assert.equal(text(0), 'MThd');
+  assert.equal(view.getUint32(4), 6);
+
+  const header = {
+    format: view.getUint16(8),
+    tracks: view.getUint16(10),
+    division: view.getUint16(12),
+    events: []
+  };
+
+  let offset = 14;
+  for (let t = 0; t < header.tracks; t++) {
+    assert.equal(text(offset), 'MTrk');
+    const end = offset + 8 + view.getUint32(offset + 4);
+    offset += 8;
+
+    let tick = 0;
+    let running = null;
+    const readVarLength = () => {
+      let value = 0;
+      let byte;
+      do {
+        byte = bytes[offset++];
+        value = (value << 7) | (byte & 0x7f);
+      } while (byte & 0x80);
+      return value;
+    };
+
+    while (offset < end) {
+      tick += readVarLength();
+      let status = bytes[offset];
+      if (status & 0x80) {
+        offset++;
+      } else {
+        status = running;
+      }
+
+      if (status === 0xff) {
+        const type = bytes[offset++];
+        const length = readVarLength();
+        header.events.push({ tick, status, type, data: [...bytes.subarray(offset, offset + length)] });
+        offset += length;
+        continue;
+      }
+
+      running = status;
+      const kind = status & 0xf0;
+      const size = kind === 0xc0 || kind === 0xd0 ? 1 : 2;
+      header.events.push({ tick, status: kind, channel: status & 0x0f, data: [...bytes.subarray(offset, offset + size)] });
+      offset += size;
+    }
+    assert.equal(offset, end, 'track length matches its chunk');
+  }
+
+  return header;
+}
+
+/**
+ * Play the parsed events through per-channel state, the way an MPE synth would
+ * @returns {Object} - {zone, bendRanges, notes: [{tick, end, channel, frequency, bends}]}
+ */
+function playBack(events) {
+  const channels = Array.from({ length: 16 }, () => ({ rpn: [127, 127], bend: 8192, bendRange: 2 }));
+  const notes = [];
+  const sounding = new Map(); // channel -> note
+  let zone = null;
+
+  const frequency = (note, state) => 440 * Math.pow(2, (note - 69 + (state.bend - 8192) / 8192 * state.bendRange) / 12);
+
+  for (const event of events) {
+    const state = channels[event.channel];
+    if (event.status === 0xb0) {
+      const [controller, value] = event.data;
+      if (controller === 101) state.rpn[0] = value;
+      if (controller === 100) state.rpn[1] = value;
+      if (controller === 6) {
+        if (state.rpn[0] === 0 && state.rpn[1] === 6) zone = { channel: event.channel, members: value };
+        if (state.rpn[0] === 0 && state.rpn[1] === 0) state.bendRange = value;
+      }
+    } else if (event.status === 0xe0) {
+      state.bend = event.data[0] | (event.data[1] << 7);
+      const note = sounding.get(event.channel);
+      if (note) note.bends.push(frequency(note.note, state));
+    } else if (event.status === 0x90 && event.data[1] > 0) {
+      assert.ok(!sounding.has(event.channel), `channel ${event.channel + 1} is already sounding`);
+      const note = { tick: event.tick, end: null, channel: event.channel, note: event.data[0], frequency: frequency(event.data[0], state), bends: [] };
+      sounding.set(event.channel, note);
+      notes.push(note);
+    } else if (event.status === 0x80 || event.status === 0x90) {
+      const note = sounding.get(event.channel);
+      assert.ok(note && note.note === event.data[0], 'note off matches the sounding note');
+      note.end = event.tick;
+      sounding.delete(event.channel);
+    }
+  }
+
+  assert.equal(sounding.size, 0, 'every note is ended');
+  return { zone, bendRanges: channels.map(c => c.bendRange), notes };
+}
+
+const cents = (a, b) => Math.abs(1200 * Math.log2(a / b));
+
+/**
+ * A session with a few voices fading in together, as VoiceRecorder would log it
+ */
+function chordLog(fundamental, ratios) {
+  const events = [];
+  ratios.forEach((ratio, i) => {
+    events.push({ time: 0.1 * i, type: 'create', id: `v${i}`, ratio });
+    events.push({ time: 0.1 * i, type: 'amplitude', id: `v${i}`, amplitude: 0.5, ramp: 0.05 });
+  });
+  return { fundamental, duration: 2, events };
+}
+
+const RATIOS = [1, 3 / 2, 5 / 4, 7 / 4, 11 / 8, 13 / 8, 17 / 16 * 2, 19 / 16 * 2];
+
+test('the file is a single format 0 track at 480 ticks per quarter', () => {
+  const midi = parseMidiFile(encodeMidiFile(chordLog(110, RATIOS)));
+  assert.equal(midi.format, 0);
+  assert.equal(midi.tracks, 1);
+  assert.equal(midi.division, 480);
+  assert.ok(midi.events.some(e => e.status === 0xff && e.type === 0x2f), 'track ends');
+});
+
+test('channel 1 configures an MPE lower zone, and every member gets the bend range', () => {
+  const midi = parseMidiFile(encodeMidiFile(chordLog(110, RATIOS), { bendRange: 12 }));
+  const { zone, bendRanges } = playBack(midi.events);
+
+  assert.deepEqual(zone, { channel: 0, members: 15 });
+  for (let channel = 1; channel <= 15; channel++) {
+    assert.equal(bendRanges[channel], 12);
+  }
+
+  // The zone comes first, before any note
+  const rpn6 = midi.events.findIndex(e => e.status === 0xb0 && e.channel === 0 && e.data[0] === 6);
+  const firstNote = midi.events.findIndex(e => e.status === 0x90);
+  assert.ok(rpn6 >= 0 && rpn6 < firstNote);
+});
+
+test('each voice sounds on a member channel of its own', () => {
+  const { notes } = playBack(parseMidiFile(encodeMidiFile(chordLog(110, RATIOS))).events);
+  assert.equal(notes.length, RATIOS.length);
+
+  const channels = notes.map(n => n.channel);
+  assert.equal(new Set(channels).size, RATIOS.length);
+  assert.ok(channels.every(c => c >= 1 && c <= 15), 'voices stay off the master channel');
+});
+
+test('note plus bend reproduces fundamental × ratio to within a cent', () => {
+  for (const fundamental of [55, 110, 146.83]) {
+    for (const bendRange of [2, 48]) {
+      const { notes } = playBack(parseMidiFile(encodeMidiFile(chordLog(fundamental, RATIOS), { bendRange })).events);
+      notes.forEach((note, i) => {
+        const expected = fundamental * RATIOS[i];
+        assert.ok(cents(note.frequency, expected) < 1,
+          `${expected.toFixed(2)} Hz came back as ${note.frequency.toFixed(2)} Hz`);
+      });
+    }
+  }
+});
+
+test('a fundamental change re-bends the sounding notes to the new pitches', () => {
+  const log = chordLog(110, [1, 3 / 2, 7 / 4]);
+  log.events.push({ time: 1, type: 'fundamental', freq: 110 * Math.pow(2, 30 / 1200), ramp: 0 });
+  const { notes } = playBack(parseMidiFile(encodeMidiFile(log)).events);
+
+  for (const [i, ratio] of [1, 3 / 2, 7 / 4].entries()) {
+    const expected = 110 * Math.pow(2, 30 / 1200) * ratio;
+    const note = notes[i];
+    assert.equal(note.bends.length, 1);
+    assert.ok(cents(note.bends[0], expected) < 1);
+  }
+});
+
+test('released voices end after their fade, and later voices avoid channels still sounding', () => {
+  const log = chordLog(110, [1, 3 / 2]);
+  log.events.push({ time: 0.5, type: 'release', id: 'v0', fadeTime: 0.25 });
+  log.events.push({ time: 0.6, type: 'create', id: 'v2', ratio: 5 / 4 });
+  log.events.push({ time: 0.8, type: 'amplitude', id: 'v2', amplitude: 0.5, ramp: 0.05 });
+  const { notes } = playBack(parseMidiFile(encodeMidiFile(log)).events);
+
+  assert.equal(notes[0].end, Math.round(0.75 * 960));
+  assert.notEqual(notes[2].channel, notes[1].channel);
+  assert.ok(cents(notes[2].frequency, 110 * 5 / 4) < 1);
+});
+
+test('a voice brought back while it fades sounds again', () => {
+  // The engine revives a fading voice under its id without another 'create'
+  const log = chordLog(110, [7 / 4]);
+  log.events.push({ time: 0.5, type: 'release', id: 'v0', fadeTime: 0.5 });
+  log.events.push({ time: 0.7, type: 'amplitude', id: 'v0', amplitude: 0.4, ramp: 0.05 });
+  const { notes } = playBack(parseMidiFile(encodeMidiFile(log)).events);
+
+  assert.equal(notes.length, 2);
+  assert.equal(notes[0].end, Math.round(1 * 960));
+  assert.equal(notes[1].tick, Math.round(0.7 * 960));
+  assert.notEqual(notes[1].channel, notes[0].channel, 'the fading note keeps its channel');
+  assert.ok(cents(notes[1].frequency, 110 * 7 / 4) < 1);
+});
+
+test('a channel is only reused once its fading note has ended', () => {
+  const ratios = Array.from({ length: 15 }, (_, i) => 1 + i / 15);
+  const log = chordLog(110, ratios);
+  log.events.push({ time: 2, type: 'release', id: 'v0', fadeTime: 0.5 });
+  for (const [id, time] of [['late', 2.2], ['later', 2.6]]) {
+    log.events.push({ time, type: 'create', id, ratio: 3 / 2 });
+    log.events.push({ time, type: 'amplitude', id, amplitude: 0.5, ramp: 0.05 });
+  }
+  log.duration = 3;
+  const { notes } = playBack(parseMidiFile(encodeMidiFile(log)).events);
+
+  // All 15 channels are taken while v0 fades, so the first newcomer is dropped
+  assert.equal(notes.length, 16);
+  assert.equal(notes[15].tick, Math.round(2.6 * 960));
+  assert.equal(notes[15].channel, notes[0].channel);
+  assert.ok(notes[0].end <= notes[15].tick);
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MidiController, DEFAULT_MAPPING } from '../src/midi-input.js';
+
+const IDS = ['2', '3', '5', '7', '11'];
+
+/**
+ * A controller wired to a fake MIDI source, recording every callback
+ * @returns {Object} - {midi, send(...bytes), calls}
+ */
+function connected(mapping = {}) {
+  const calls = [];
+  const midi = new MidiController({
+    getHarmonicIds: () => IDS,
+    onNoteOn: (id, velocity) => calls.push(['on', id, velocity]),
+    onNoteOff: id => calls.push(['off', id]),
+    onControl: (target, value) => calls.push(['control', target, value]),
+    onLearn: binding => calls.push(['learn', binding])
+  }, mapping);
+
+  let handler = null;
+  midi.connect({ listen(h) { handler = h; } });
+  return { midi, calls, send: (...bytes) => handler(Uint8Array.from(bytes)) };
+}
+
+test('notes from the base note upward play the nodes in order, on any channel', () => {
+  const { send, calls } = connected();
+  send(0x90, 48, 127);
+  send(0x93, 50, 64);
+  send(0x80, 48, 0);
+  send(0x83, 50, 40);
+
+  assert.deepEqual(calls, [
+    ['on', '2', 1],
+    ['on', '5', 64 / 127],
+    ['off', '2'],
+    ['off', '5']
+  ]);
+});
+
+test('a note on with velocity 0 is a note off', () => {
+  const { send, calls } = connected();
+  send(0x90, 49, 100);
+  send(0x90, 49, 0);
+  assert.deepEqual(calls.map(c => c.slice(0, 2)), [['on', '3'], ['off', '3']]);
+});
+
+test('notes outside the nodes, and note-offs for notes never held, do nothing', () => {
+  const { send, calls } = connected();
+  send(0x90, 47, 100);
+  send(0x90, 48 + IDS.length, 100);
+  send(0x80, 60, 0);
+  assert.deepEqual(calls, []);
+});
+
+test('mapped CCs steer their targets, others are ignored', () => {
+  const { send, calls } = connected();
+  send(0xb0, 1, 127);
+  send(0xb0, 7, 0);
+  send(0xb0, 74, 64);
+  send(0xb0, 20, 100);
+
+  assert.deepEqual(calls, [
+    ['control', 'depth', 1],
+    ['control', 'volume', 0],
+    ['control', 'fundamental', 64 / 127]
+  ]);
+});
+
+test('note learn binds the next note to a node, replacing its old binding', () => {
+  const { midi, send, calls } = connected({ notes: { 60: '7' } });
+  midi.learn({ type: 'note', id: '7' });
+  send(0x90, 72, 90);
+
+  assert.deepEqual(calls[0], ['learn', { type: 'note', note: 72, id: '7' }]);
+  assert.deepEqual(calls[1], ['on', '7', 90 / 127]);
+  assert.deepEqual(midi.mapping.notes, { 72: '7' });
+  assert.equal(midi.learning, null);
+
+  // Learned bindings win over the base note
+  send(0x80, 72, 0);
+  send(0x90, 72, 90);
+  assert.deepEqual(calls.at(-1), ['on', '7', 90 / 127]);
+});
+
+test('CC learn binds the next controller to a target, dropping the old one', () => {
+  const { midi, send, calls } = connected();
+  midi.learn({ type: 'control', target: 'volume' });
+  send(0xb0, 21, 127);
+  send(0xb0, 7, 127);
+
+  assert.deepEqual(calls, [
+    ['learn', { type: 'control', controller: 21, target: 'volume' }],
+    ['control', 'volume', 1]
+  ]);
+  assert.equal(midi.mapping.controls[21], 'volume');
+  assert.equal(midi.mapping.controls[7], undefined);
+  assert.equal(DEFAULT_MAPPING.controls[7], 'volume', 'the defaults stay as they were');
+});
+
+test('cancelled learning binds nothing', () => {
+  const { midi, send, calls } = connected();
+  midi.learn({ type: 'note', id: '11' });
+  midi.cancelLearning();
+  send(0x90, 48, 100);
+  assert.deepEqual(calls, [['on', '2', 100 / 127]]);
+});
+
+test('releaseAll lets go of every held note once', () => {
+  const { midi, send, calls } = connected();
+  send(0x90, 48, 100);
+  send(0x90, 51, 100);
+  midi.releaseAll();
+  send(0x80, 48, 0);
+
+  assert.deepEqual(calls.filter(c => c[0] === 'off'), [['off', '2'], ['off', '7']]);
+});
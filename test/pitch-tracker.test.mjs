@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectPitch, nearestHarmonic } from '../src/pitch-tracker.js';
+
+const cents = (a, b) => 1200 * Math.abs(Math.log2(a / b));
+
+/**
+ * A buffer the size the microphone analyser uses: two of the longest periods, rounded up to a power of 2
+ */
+function sine(frequency, sampleRate, { amplitude = 0.5, harmonics = [1] } = {}) {
+  const length = Math.pow(2, Math.ceil(Math.log2(2 * sampleRate / 60)));
+  const samples = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    harmonics.forEach((level, h) => {
+      samples[i] += amplitude * level * Math.sin(2 * Math.PI * frequency * (h + 1) * i / sampleRate);
+    });
+  }
+  return samples;
+}
+
+for (const sampleRate of [44100, 48000]) {
+  for (const frequency of [60, 61, 110, 220, 440, 880, 1200]) {
+    test(`a ${frequency} Hz sine at ${sampleRate} Hz is found within a cent`, () => {
+      const pitch = detectPitch(sine(frequency, sampleRate), sampleRate);
+      assert.ok(pitch, 'no pitch');
+      assert.ok(Number.isFinite(pitch.frequency), `frequency ${pitch.frequency}`);
+      assert.ok(cents(pitch.frequency, frequency) < 1, `${pitch.frequency} Hz`);
+      assert.ok(pitch.clarity > 0.9);
+    });
+  }
+}
+
+test('a tone with strong overtones is found at its fundamental, not an octave up', () => {
+  const pitch = detectPitch(sine(196, 48000, { harmonics: [0.6, 1, 0.8, 0.5] }), 48000);
+  assert.ok(cents(pitch.frequency, 196) < 1, `${pitch.frequency} Hz`);
+});
+
+test('silence and noise have no pitch', () => {
+  assert.equal(detectPitch(new Float32Array(2048), 48000), null);
+
+  let seed = 1;
+  const noise = Float32Array.from({ length: 2048 }, () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648 - 0.5;
+  });
+  assert.equal(detectPitch(noise, 48000), null);
+});
+
+test('a buffer too short for the longest period gives no pitch', () => {
+  assert.equal(detectPitch(new Float32Array(1000).fill(0.5), 48000), null);
+});
+
+test('nearestHarmonic compares across octaves', () => {
+  const harmonics = [{ id: 'fifth', ratio: 3 / 2 }, { id: 'seventh', ratio: 7 / 4 }];
+  const match = nearestHarmonic(110 * 7 / 4 * 2 * Math.pow(2, 10 / 1200), harmonics, 110);
+  assert.equal(match.harmonic.id, 'seventh');
+  assert.equal(match.octaves, 1);
+  assert.ok(Math.abs(match.cents - 10) < 1e-9);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPreset, normalizePreset } from '../src/presets.js';
+
+const STATE = {
+  fundamental: 110,
+  depth: 0.4,
+  volume: 0.5,
+  timbres: { global: 'reed', families: { 7: 'bell' } },
+  folding: { strategy: 'tritave', spanOctaves: 3 },
+  series: 'both',
+  harmonics: [{ id: 'prime_7', prime: 7, ratio: 7 / 4, amplitude: 0.3 }]
+};
+
+test('a saved preset comes back as it was made', () => {
+  const preset = normalizePreset(JSON.parse(JSON.stringify(createPreset(' Septimal ', STATE))));
+  assert.equal(preset.name, 'Septimal');
+  for (const key of Object.keys(STATE)) {
+    assert.deepEqual(preset[key], STATE[key], key);
+  }
+});
+
+test('unknown timbres, foldings and series fall back to the defaults', () => {
+  const preset = normalizePreset({
+    ...STATE,
+    timbres: { global: 'theremin', families: { 7: 'bell', 11: 'kazoo' } },
+    folding: { strategy: 'fifths', spanOctaves: 40 },
+    series: 'sideways'
+  });
+  assert.deepEqual(preset.timbres, { global: 'sine', families: { 7: 'bell' } });
+  assert.deepEqual(preset.folding, { strategy: 'double', spanOctaves: 5 });
+  assert.equal(preset.series, 'otonal');
+});
+
+test('older presets without timbres or folding keep the current ones', () => {
+  const { timbres, folding, ...older } = STATE;
+  const preset = normalizePreset(older);
+  assert.equal(preset.timbres, null);
+  assert.equal(preset.folding, null);
+  assert.equal(preset.volume, 0.5);
+});
+
+test('files that are not presets are refused', () => {
+  assert.throws(() => normalizePreset(null), /Not a preset/);
+  assert.throws(() => normalizePreset({ fundamental: 110 }), /missing/);
+  assert.throws(() => normalizePreset({ ...STATE, version: 99 }), /newer/);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRandom, randomSeed } from '../src/random.js';
+
+const draw = (random, count) => Array.from({ length: count }, () => random());
+
+test('the same seed gives the same sequence', () => {
+  for (const seed of [0, 1, 42, 0xdeadbeef]) {
+    assert.deepEqual(draw(createRandom(seed), 100), draw(createRandom(seed), 100));
+  }
+});
+
+test('the sequence is fixed across machines and versions', () => {
+  // mulberry32 - journeys saved today must regrow the same space tomorrow
+  assert.deepEqual(draw(createRandom(42), 3), [0.6011037519201636, 0.44829055899754167, 0.8524657934904099]);
+});
+
+test('different seeds give different sequences', () => {
+  assert.notDeepEqual(draw(createRandom(1), 10), draw(createRandom(2), 10));
+});
+
+test('seeds are taken as 32-bit unsigned integers', () => {
+  assert.deepEqual(draw(createRandom(-1), 10), draw(createRandom(0xffffffff), 10));
+  assert.deepEqual(draw(createRandom(2 ** 32 + 5), 10), draw(createRandom(5), 10));
+});
+
+test('values fall in [0, 1) and spread evenly', () => {
+  const values = draw(createRandom(7), 10000);
+  assert.ok(values.every(v => v >= 0 && v < 1));
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  assert.ok(Math.abs(mean - 0.5) < 0.02);
+});
+
+test('fresh seeds are 32-bit unsigned integers', () => {
+  for (let i = 0; i < 100; i++) {
+    const seed = randomSeed();
+    assert.ok(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32);
+  }
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildScale, exactDegree, foldingPeriod, serializeScl, parseScl, approximateFraction } from '../src/scala.js';
+import { FOLDINGS, getPrimeFraction } from '../src/harmonic-engine.js';
+
+const TWELVE_TET = [
+  '! 12-tet.scl', '!', '12 tone equal temperament', ' 12', '!',
+  ...Array.from({ length: 11 }, (_, i) => ` ${((i + 1) * 100).toFixed(1)}`),
+  ' 2/1'
+].join('\n');
+
+// Nodes as HarmonicSpace makes them from a parsed scale
+const nodesOf = scale => scale.degrees.map(degree => ({ ...degree }));
+
+const primeNodes = (primes, folding) => primes.map(prime => {
+  const { numerator, denominator } = getPrimeFraction(prime, folding);
+  return { numerator, denominator, ratio: numerator / denominator, exact: true };
+});
+
+test('parseScl reads ratios, integers and cents', () => {
+  const { description, degrees } = parseScl('! test\nJust\n 3\n 5/4\n 701.955 ! a fifth\n 2\n');
+  assert.equal(description, 'Just');
+  assert.deepEqual(degrees.map(d => d.exact), [true, false, true]);
+  assert.equal(degrees[0].ratio, 5 / 4);
+  assert.ok(Math.abs(degrees[1].cents - 701.955) < 1e-9);
+  assert.equal(degrees[2].ratio, 2);
+});
+
+test('an imported cents scale is written back in cents, not as fractions', () => {
+  const scale = parseScl(TWELVE_TET);
+  const period = scale.degrees[scale.degrees.length - 1];
+  const text = serializeScl(buildScale(nodesOf(scale), period), 'round-trip', scale.description);
+  const again = parseScl(text);
+
+  assert.equal(again.degrees.length, 12);
+  again.degrees.slice(0, 11).forEach((degree, i) => {
+    assert.equal(degree.exact, false);
+    assert.ok(Math.abs(degree.cents - (i + 1) * 100) < 1e-4, `${degree.text}`);
+  });
+  assert.equal(again.degrees[11].text, '2/1');
+});
+
+test('exact degrees stay exact fractions', () => {
+  const degrees = buildScale(primeNodes([3, 5, 7], FOLDINGS.octave));
+  assert.deepEqual(degrees.map(d => `${d.numerator}/${d.denominator}`), ['5/4', '3/2', '7/4', '2/1']);
+  assert.ok(serializeScl(degrees, 'x', 'x').includes(' 7/4\n'));
+});
+
+test('each folding repeats at the top of its window, keeping the space\'s ratios', () => {
+  for (const name of ['octave', 'double', 'span', 'tritave']) {
+    const folding = FOLDINGS[name];
+    const period = foldingPeriod(folding);
+    const nodes = primeNodes([2, 3, 5, 7, 11, 13], folding);
+    const degrees = buildScale(nodes, period);
+
+    assert.equal(degrees[degrees.length - 1].ratio, Math.pow(folding.equivalence, folding.periods));
+    for (const node of nodes) {
+      if (node.numerator === node.denominator) continue;
+      assert.ok(degrees.some(d => d.numerator === node.numerator && d.denominator === node.denominator),
+        `${name}: ${node.numerator}/${node.denominator} missing`);
+    }
+  }
+});
+
+test('the tritave scale closes at 3/1 and folds by it', () => {
+  const degrees = buildScale(primeNodes([2, 5, 7], FOLDINGS.tritave), foldingPeriod(FOLDINGS.tritave));
+  assert.deepEqual(degrees.map(d => `${d.numerator}/${d.denominator}`), ['5/3', '2/1', '7/3', '3/1']);
+});
+
+test('undertones are brought up into the period', () => {
+  const degrees = buildScale([{ numerator: 4, denominator: 7, ratio: 4 / 7, exact: true }], exactDegree(2, 1));
+  assert.equal(`${degrees[0].numerator}/${degrees[0].denominator}`, '8/7');
+});
+
+test('the unfolded series has no period', () => {
+  assert.equal(foldingPeriod(FOLDINGS.none), null);
+});
+
+test('approximateFraction finds simple fractions', () => {
+  assert.deepEqual(approximateFraction(1.5), { numerator: 3, denominator: 2 });
+  assert.deepEqual(approximateFraction(Math.pow(2, 700 / 1200), 4), { numerator: 3, denominator: 2 });
+});
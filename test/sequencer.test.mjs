@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Sequencer, arpeggiate } from '../src/sequencer.js';
+
+/**
+ * Records what the sequencer asks of an engine, on a clock the test moves
+ */
+function fakeEngine() {
+  return {
+    audioContext: { currentTime: 0 },
+    calls: [],
+    createVoice(id) { this.calls.push(['create', id]); },
+    triggerVoice(id, amplitude, velocity, at) { this.calls.push(['trigger', id, amplitude, velocity, at]); },
+    glideVoice(id, from, time, at) { this.calls.push(['glide', id, from, time, at]); },
+    releaseVoice(id, fadeTime, at) { this.calls.push(['release', id, fadeTime, at]); },
+    setVoiceAmplitude(id) { this.calls.push(['amplitude', id]); }
+  };
+}
+
+const STEPS = [
+  { id: 'a', prime: 3, ratio: 1.5, duration: 0.5, amplitude: 0.4, glide: 0 },
+  { id: 'b', prime: 5, ratio: 1.25, duration: 0.5, amplitude: 0.3, glide: 0.1 }
+];
+
+test('steps are struck and let go through the family envelope, on the audio clock', () => {
+  const engine = fakeEngine();
+  const sequencer = new Sequencer(engine, () => STEPS);
+  sequencer.start();
+
+  for (let time = 0; time <= 1.2; time += 0.02) {
+    engine.audioContext.currentTime = time;
+    sequencer.update();
+  }
+
+  const triggers = engine.calls.filter(call => call[0] === 'trigger');
+  assert.deepEqual(triggers.slice(0, 2).map(call => call.slice(2)), [[0.4, null, 0.05], [0.3, null, 0.55]]);
+
+  // Released at each step's end, with the envelope's own release time
+  const releases = engine.calls.filter(call => call[0] === 'release');
+  assert.deepEqual(releases.slice(0, 2).map(call => call.slice(1)), [['seq_0', null, 0.55], ['seq_1', null, 1.05]]);
+
+  // No fixed fades
+  assert.ok(!engine.calls.some(call => call[0] === 'amplitude'));
+});
+
+test('stop cuts short the steps not yet let go', () => {
+  const engine = fakeEngine();
+  const sequencer = new Sequencer(engine, () => [{ ...STEPS[0], duration: 4 }]);
+  sequencer.start();
+  engine.audioContext.currentTime = 0.1;
+  sequencer.update();
+  sequencer.stop();
+
+  assert.deepEqual(engine.calls.filter(call => call[0] === 'release'), [['release', 'seq_0', 0.1, undefined]]);
+});
+
+test('arpeggiate orders nodes by pattern', () => {
+  const nodes = [
+    { id: 'x', prime: 5, ratio: 1.25 },
+    { id: 'y', prime: 3, ratio: 1.5 },
+    { id: 'z', prime: 3, ratio: 3 }
+  ];
+  assert.deepEqual(arpeggiate(nodes, 'up').map(n => n.id), ['x', 'y', 'z']);
+  assert.deepEqual(arpeggiate(nodes, 'down').map(n => n.id), ['z', 'y', 'x']);
+  assert.deepEqual(arpeggiate(nodes, 'prime').map(n => n.id), ['y', 'z', 'x']);
+  assert.equal(arpeggiate(nodes, 'random', () => 0.5).length, 3);
+});
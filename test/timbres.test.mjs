@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeTimbres } from '../src/timbres.js';
+
+test('known timbres are kept as saved', () => {
+  const saved = { global: 'reed', families: { 3: 'bell', 7: 'organ' } };
+  assert.deepEqual(normalizeTimbres(saved), saved);
+});
+
+test('unknown or missing names fall back, and unknown family timbres are dropped', () => {
+  assert.deepEqual(normalizeTimbres({ global: 'constructor', families: { 5: 'kazoo', 7: 'string', x: 'sine' } }),
+    { global: 'sine', families: { 7: 'string' } });
+  assert.deepEqual(normalizeTimbres({}), { global: 'sine', families: {} });
+  assert.deepEqual(normalizeTimbres(), { global: 'sine', families: {} });
+});